@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Scripted clients for the Dungeon Terrain server
+ *
+ * Connects a few clients that wander and swing at random, so a match can be
+ * played out without opening browsers:
+ *
+ *   npm run server
+ *   node bin/bot-client.js --clients 3
+ *
+ * The clients ask to start the match as soon as all of them are in the
+ * lobby, then log deaths and the winner until the match is over.
+ */
+
+import { parseArgs } from "node:util";
+import WebSocket from "ws";
+
+const USAGE = `Usage: node bin/bot-client.js [options]
+
+Options:
+  -n, --clients <n>    How many clients to connect (default: 2)
+  -u, --url <url>      Server to join (default: ws://localhost:8080/play)
+  -k, --keep-playing   Stay for the following matches instead of leaving
+  -h, --help           Show this help`;
+
+const ACTION_MS = 150; // How often each client acts
+const MOVES = [
+  [0, -1],
+  [0, 1],
+  [-1, 0],
+  [1, 0],
+];
+
+/**
+ * Reads the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { clients, url, keepPlaying, help }
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      clients: { type: "string", short: "n" },
+      url: { type: "string", short: "u" },
+      "keep-playing": { type: "boolean", short: "k" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const clients = Number(values.clients || 2);
+  if (!Number.isInteger(clients) || clients < 1) {
+    throw new Error(`Invalid number of clients: ${values.clients}`);
+  }
+
+  return {
+    clients: clients,
+    url: values.url || "ws://localhost:8080/play",
+    keepPlaying: Boolean(values["keep-playing"]),
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Connects one scripted client
+ * @param {string} url - Server address
+ * @param {string} name - Name to ask for
+ * @param {Object} options - Result of parseOptions
+ */
+function runClient(url, name, options) {
+  const socket = new WebSocket(`${url}?name=${encodeURIComponent(name)}`);
+  const send = (message) => socket.send(JSON.stringify(message));
+  let names = [];
+  let you = null;
+  let timer = null;
+
+  socket.on("message", (data) => {
+    const message = JSON.parse(data);
+
+    switch (message.type) {
+      case "lobby":
+        // Start once everyone has joined rather than one at a time
+        if (
+          message.state === "lobby" &&
+          message.players.length >= options.clients
+        ) {
+          send({ type: "start" });
+        }
+        break;
+      case "snapshot":
+        names = message.beings.map((being) => being.name);
+        you = message.you;
+        console.log(`${name}: match "${message.seed}" with ${names.length}`);
+        clearInterval(timer);
+        timer = setInterval(() => {
+          if (Math.random() < 0.3) {
+            send({ type: "attack" });
+          } else {
+            const [dx, dy] = MOVES[Math.floor(Math.random() * MOVES.length)];
+            send({ type: "move", dx: dx, dy: dy });
+          }
+        }, ACTION_MS);
+        break;
+      case "death":
+        if (message.being === you) {
+          const killer = names[message.killer] || message.cause;
+          console.log(`${name}: killed by ${killer}`);
+          clearInterval(timer);
+        }
+        break;
+      case "gameover":
+        console.log(`${name}: ${names[message.winner]} won`);
+        clearInterval(timer);
+        if (!options.keepPlaying) socket.close();
+        break;
+      case "error":
+        console.log(`${name}: server says ${message.message}`);
+        break;
+    }
+  });
+
+  socket.on("close", () => clearInterval(timer));
+  socket.on("error", (error) => {
+    console.error(`${name}: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  for (let i = 1; i <= options.clients; i++) {
+    runClient(options.url, `Script ${i}`, options);
+  }
+}
+
+main();
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Dungeon Terrain command line
+ *
+ * Generates a dungeon without a browser and prints its floors as plain
+ * text, one row of tiles per line:
+ *
+ *   node bin/dungeon.js --seed abc --floor 3
+ *
+ * Every floor is printed when --floor isn't given. The engine's own logging
+ * is hidden unless --verbose is passed; errors always go to stderr.
+ *
+ * --export writes the floors as a floor set (see engine/floorFiles.js)
+ * instead of printing them, and --floors replaces generated floors with
+ * the ones of a set, checking it on the way:
+ *
+ *   node bin/dungeon.js --seed abc --floor 3 --export my-floors
+ *   node bin/dungeon.js --floors my-floors --floor 3
+ *
+ * --loot-report prints what the loot table is expected to put on each
+ * floor instead, and --loot-table rolls the items from a table in a JSON
+ * file (see engine/lootTables.js) rather than the default one.
+ *
+ * --config builds the dungeon from a configuration file (see
+ * engine/dungeonConfig.js): its size, floor count and each floor's
+ * generator.
+ */
+
+import { parseArgs } from "node:util";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  randomSeed,
+  DUNGEON_CONFIG,
+  parseDungeonConfig,
+  getDungeonShape,
+  createDungeon,
+  createLootTable,
+  getLootReport,
+  formatLootReport,
+  applyFloors,
+  exportFloorSet,
+  loadFloorSet,
+} from "../src/engine/index.js";
+
+const USAGE = `Usage: dungeon [options]
+
+Options:
+  -s, --seed <seed>    Dungeon seed (random if omitted)
+  -f, --floor <n>      Floor to print, from 0; repeat or use commas for
+                       several (default: all floors)
+  -c, --config <file>  Build the dungeon from a JSON configuration file
+  -e, --export <dir>   Write the floors to a floor set in dir instead
+  -l, --floors <dir>   Use the custom floors of the floor set in dir
+  -t, --loot-table <file>
+                       Roll items from the loot table in a JSON file
+  -r, --loot-report    Print the expected loot of the floors instead
+  -v, --verbose        Show the engine's generation log
+  -h, --help           Show this help`;
+
+/**
+ * Reads the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { seed, floors, config, exportDir, floorSetDir,
+ *   lootTable, lootReport, verbose, help }; floors is null for all of them
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      seed: { type: "string", short: "s" },
+      floor: { type: "string", short: "f", multiple: true },
+      config: { type: "string", short: "c" },
+      export: { type: "string", short: "e" },
+      floors: { type: "string", short: "l" },
+      "loot-table": { type: "string", short: "t" },
+      "loot-report": { type: "boolean", short: "r" },
+      verbose: { type: "boolean", short: "v" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  return {
+    seed: values.seed || randomSeed(),
+    floors: values.floor
+      ? values.floor.flatMap((value) => value.split(",")).map(Number)
+      : null,
+    config: values.config || null,
+    exportDir: values.export || null,
+    floorSetDir: values.floors || null,
+    lootTable: values["loot-table"] || null,
+    lootReport: Boolean(values["loot-report"]),
+    verbose: Boolean(values.verbose),
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Formats one floor as text
+ * @param {Object} dungeon - The dungeon
+ * @param {number} floor - Floor index
+ * @returns {string} - A line of characters per row of the floor
+ */
+function formatFloor(dungeon, floor) {
+  const { width, height } = dungeon;
+  const map = dungeon.maps[floor];
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(map.slice(y * width, (y + 1) * width).join(""));
+  }
+  return rows.join("\n");
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let config = DUNGEON_CONFIG;
+  if (options.config) {
+    let parsed;
+    try {
+      parsed = parseDungeonConfig(await readFile(options.config, "utf8"));
+    } catch (error) {
+      parsed = { errors: [error.message] };
+    }
+    if (parsed.errors.length) {
+      console.error(
+        `Can't use the dungeon configuration:\n${parsed.errors.join("\n")}`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    config = parsed.config;
+  }
+  // Floors are counted, and loot reported, for the configured dungeon
+  const shape = getDungeonShape(config);
+  const floorCount = shape.themes.length;
+
+  if (options.floors) {
+    const invalid = options.floors.find(
+      (floor) => !Number.isInteger(floor) || floor < 0 || floor >= floorCount
+    );
+    if (invalid !== undefined) {
+      console.error(`No such floor: ${invalid} (0-${floorCount - 1})`);
+      process.exitCode = 2;
+      return;
+    }
+  } else {
+    options.floors = [...Array(floorCount).keys()];
+  }
+
+  let lootTable;
+  try {
+    lootTable = createLootTable(
+      options.lootTable
+        ? JSON.parse(await readFile(options.lootTable, "utf8"))
+        : {}
+    );
+  } catch (error) {
+    console.error(`Can't read the loot table: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // stdout is for the floors alone
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  if (options.lootReport) {
+    const reports = options.floors.map((floor) =>
+      formatLootReport(getLootReport(lootTable, shape, floor))
+    );
+    console.log = log;
+    process.stdout.write(reports.join("\n\n") + "\n");
+    return;
+  }
+
+  const dungeon = {
+    seed: options.seed,
+    ...createDungeon(options.seed, lootTable, config),
+  };
+
+  if (options.floorSetDir) {
+    const set = await loadFloorSet(dungeon, (name) =>
+      readFile(join(options.floorSetDir, name), "utf8")
+    );
+    for (const warning of set.warnings) console.error(`Warning: ${warning}`);
+    if (set.errors.length) {
+      console.log = log;
+      console.error(set.errors.join("\n"));
+      process.exitCode = 1;
+      return;
+    }
+    applyFloors(dungeon, set.floors);
+  }
+  console.log = log;
+
+  if (options.exportDir) {
+    const files = exportFloorSet(dungeon, options.floors);
+    await mkdir(options.exportDir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      await writeFile(join(options.exportDir, name), content);
+    }
+    console.error(
+      `Wrote ${options.floors.length} floors to ${options.exportDir}`
+    );
+    return;
+  }
+
+  const output = options.floors.map(
+    (floor) =>
+      `Floor ${floor} (seed ${options.seed})\n` + formatFloor(dungeon, floor)
+  );
+  process.stdout.write(output.join("\n\n") + "\n");
+}
+
+main();
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Dungeon Terrain in a terminal
+ *
+ * Plays the same game as the browser page in an ANSI terminal: arrow keys
+ * move, space attacks, m cycles the minimap, p pauses and q quits.
+ *
+ *   node bin/terminal.js --seed abc
+ *
+ * --floors plays with the custom floors of a floor set (see
+ * engine/floorFiles.js) in place of generated ones, and --config builds
+ * the dungeon from a configuration file (see engine/dungeonConfig.js).
+ *
+ * The view fills the terminal and follows it when it's resized.
+ */
+
+import { parseArgs } from "node:util";
+import { emitKeypressEvents } from "node:readline";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  HUD_HEIGHT,
+  randomSeed,
+  DUNGEON_CONFIG,
+  parseDungeonConfig,
+  getDungeonShape,
+  nextMinimapMode,
+  Player,
+  createGame,
+  addBeing,
+  onGameEvent,
+  startGameLoop,
+  stopGameLoop,
+  setGamePaused,
+  moveBeing,
+  placeOnRandomDot,
+  spawnBots,
+  getViewport,
+  applyFloors,
+  loadFloorSet,
+} from "../src/engine/index.js";
+import { RESET, htmlToANSI } from "../src/terminal/ansi.js";
+
+const USAGE = `Usage: node bin/terminal.js [options]
+
+Options:
+  -s, --seed <seed>    Dungeon seed (random if omitted)
+  -l, --floors <dir>   Use the custom floors of the floor set in dir
+  -c, --config <file>  Build the dungeon from a JSON configuration file
+  -h, --help           Show this help
+
+Keys: arrows move, space attacks, m cycles the minimap, p pauses, q quits`;
+
+// Smallest terminal the view fits in
+const MIN_WIDTH = 60;
+const MIN_HEIGHT = HUD_HEIGHT + 5;
+
+const MESSAGE_MS = 2000; // How long a notification stays up
+const FRAME_MS = 33; // Least time between two draws of the game
+
+const MOVES = {
+  up: [0, -1],
+  down: [0, 1],
+  left: [-1, 0],
+  right: [1, 0],
+};
+
+/**
+ * Reads the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { seed, floorSetDir, config, help }
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      seed: { type: "string", short: "s" },
+      floors: { type: "string", short: "l" },
+      config: { type: "string", short: "c" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  return {
+    seed: values.seed || randomSeed(),
+    floorSetDir: values.floors || null,
+    config: values.config || null,
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Creates the terminal front end for a game
+ * @param {Object} game - The game, with its player already in it
+ * @param {Player} player - The player the keyboard controls
+ * @returns {Object} - The screen, for drawScreen and showMessage
+ */
+function createScreen(game, player) {
+  return {
+    game: game,
+    player: player,
+    output: process.stdout,
+    minimap: "off", // See engine/minimap.js
+    drawTimer: null, // Set while a draw is waiting (see requestDraw)
+    message: null, // { text, color } shown over the top line
+    messageTimer: null,
+  };
+}
+
+// Draw the whole view, sized to the terminal as it is now
+function drawScreen(screen) {
+  const { output, game, player } = screen;
+  const width = output.columns || 80;
+  const height = output.rows || 24;
+
+  let lines;
+  if (width < MIN_WIDTH || height < MIN_HEIGHT) {
+    lines = [`Make the terminal at least ${MIN_WIDTH}x${MIN_HEIGHT}`];
+  } else {
+    lines = htmlToANSI(
+      getViewport(game, player, width, height, screen.minimap),
+      width
+    );
+  }
+
+  if (screen.message) {
+    const { text, color } = screen.message;
+    lines[0] = `${color}${text.slice(0, width)}${RESET}`;
+  }
+
+  // Each line is placed by itself, raw mode or not
+  let frame = "";
+  lines.slice(0, height).forEach((line, y) => {
+    frame += `\x1b[${y + 1};1H\x1b[2K${line}`;
+  });
+  output.write(frame);
+}
+
+// Draw once the current frame is over, unless a draw is already waiting,
+// so that a burst of changes is drawn once
+function requestDraw(screen) {
+  if (screen.drawTimer) return;
+  screen.drawTimer = setTimeout(() => {
+    screen.drawTimer = null;
+    drawScreen(screen);
+  }, FRAME_MS);
+}
+
+// Show a notification for a moment, like the page's pop-ups
+function showMessage(screen, text, color) {
+  clearTimeout(screen.messageTimer);
+  screen.message = { text: text, color: color };
+  screen.messageTimer = setTimeout(() => {
+    screen.message = null;
+    drawScreen(screen);
+  }, MESSAGE_MS);
+  drawScreen(screen);
+}
+
+// Handle one key press
+function handleKey(screen, key, quit) {
+  const { game, player } = screen;
+  if (!key) return;
+  if (key.name === "q" || (key.ctrl && key.name === "c")) {
+    quit();
+    return;
+  }
+
+  if (key.name === "m") {
+    screen.minimap = nextMinimapMode(screen.minimap);
+    drawScreen(screen);
+    return;
+  }
+
+  if (key.name === "p") {
+    setGamePaused(game, !game.paused);
+    showMessage(screen, game.paused ? "Paused" : "Resumed", "\x1b[1m");
+    return;
+  }
+
+  // The dead and the stunned can't move or swing, and nobody can while
+  // the game is paused
+  if (player.isDead() || player.isStunned() || game.paused) return;
+
+  if (MOVES[key.name]) {
+    const [dx, dy] = MOVES[key.name];
+    moveBeing(game, player, dx, dy);
+  } else if (key.name === "space") {
+    player.attack();
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    console.error("The terminal client needs an interactive terminal");
+    process.exitCode = 1;
+    return;
+  }
+
+  // Check the configuration and custom floors before taking over the
+  // terminal; the floors are read at the configured size
+  let config = DUNGEON_CONFIG;
+  if (options.config) {
+    let parsed;
+    try {
+      parsed = parseDungeonConfig(await readFile(options.config, "utf8"));
+    } catch (error) {
+      parsed = { errors: [error.message] };
+    }
+    if (parsed.errors.length) {
+      console.error(
+        `Can't use the dungeon configuration:\n${parsed.errors.join("\n")}`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    config = parsed.config;
+  }
+
+  let customFloors = [];
+  if (options.floorSetDir) {
+    const set = await loadFloorSet(getDungeonShape(config), (name) =>
+      readFile(join(options.floorSetDir, name), "utf8")
+    );
+    for (const warning of set.warnings) console.error(`Warning: ${warning}`);
+    if (set.errors.length) {
+      console.error(set.errors.join("\n"));
+      process.exitCode = 1;
+      return;
+    }
+    customFloors = set.floors;
+  }
+
+  // The engine logs every step; anything written now would tear the view
+  const log = console.log;
+  const error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+
+  const game = createGame(options.seed, config);
+  applyFloors(game, customFloors);
+  const player = addBeing(game, new Player(0, 0));
+  placeOnRandomDot(game, player);
+  spawnBots(game);
+  const screen = createScreen(game, player);
+
+  // Redraw whenever something changes on the player's floor
+  onGameEvent(game, "change", ({ floor }) => {
+    if (floor === undefined || floor === player.floor) requestDraw(screen);
+  });
+  onGameEvent(game, "death", ({ being, killer, cause }) => {
+    if (being === player) {
+      showMessage(screen, `You were slain by ${cause}`, "\x1b[1;31m");
+    } else if (killer === player) {
+      showMessage(screen, `You defeated ${being.name}`, "\x1b[1m");
+    }
+  });
+  onGameEvent(game, "encumbered", ({ being, item }) => {
+    if (being === player) {
+      showMessage(screen, `Too heavy to carry: ${item.name}`, "\x1b[1;31m");
+    }
+  });
+  onGameEvent(game, "gameover", ({ winner }) => {
+    if (winner === player) {
+      showMessage(
+        screen,
+        "Victory! You are the last one standing",
+        "\x1b[1;33m"
+      );
+    }
+  });
+
+  // Alternate screen without a cursor, put back on quit
+  const redraw = () => {
+    process.stdout.write("\x1b[2J");
+    drawScreen(screen);
+  };
+  const quit = () => {
+    stopGameLoop(game);
+    process.stdout.off("resize", redraw);
+    clearTimeout(screen.messageTimer);
+    clearTimeout(screen.drawTimer);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    process.stdin.unref();
+    process.stdout.write(`${RESET}\x1b[?25h\x1b[?1049l`);
+    console.log = log;
+    console.error = error;
+    console.log(`Seed ${game.seed}: ${player.kills} kills`);
+  };
+  process.stdout.write("\x1b[?1049h\x1b[?25l\x1b[2J");
+
+  emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on("keypress", (sequence, key) => handleKey(screen, key, quit));
+  process.stdout.on("resize", redraw);
+
+  startGameLoop(game);
+  drawScreen(screen);
+}
+
+main();
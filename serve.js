@@ -0,0 +1,83 @@
+/**
+ * Development server for Dungeon Terrain
+ *
+ * Serves the game's files, since browsers only load the client's ES
+ * modules over HTTP. Run with `npm start`, then open http://localhost:8080
+ * (PORT changes the port). Only the page, its code and custom/ are served;
+ * the rest of the repository stays private.
+ */
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// Always ends with a separator
+const ROOT = fileURLToPath(new URL(".", import.meta.url));
+
+// Files and directories (ending in /) the page may load: itself, its code,
+// the attack sketches it reads, and the floor sets and dungeon files made
+// for it
+const PUBLIC_PATHS = ["index.html", "example-ascii.txt", "src/", "custom/"];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// Whether a path inside the repository, relative to it, may be served
+function isPublic(relative) {
+  const path = relative.split(sep).join("/");
+  return PUBLIC_PATHS.some((allowed) =>
+    allowed.endsWith("/") ? path.startsWith(allowed) : path === allowed
+  );
+}
+
+/**
+ * Answers a request with the file it names: 400 for a path that isn't
+ * valid, 403 for one that isn't public and 404 for a file that's missing
+ * @param {IncomingMessage} request - The HTTP request
+ * @param {ServerResponse} response - The response to write
+ */
+async function serveStatic(request, response) {
+  let path;
+  try {
+    const { pathname } = new URL(request.url, "http://localhost");
+    path = normalize(join(ROOT, decodeURIComponent(pathname)));
+  } catch (error) {
+    response.writeHead(400, { "Content-Type": "text/plain" }).end("Bad path");
+    return;
+  }
+
+  const file = path.endsWith(sep) ? join(path, "index.html") : path;
+  // Never serve anything outside the repository, or private inside it
+  if (!file.startsWith(ROOT) || !isPublic(file.slice(ROOT.length))) {
+    response.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const body = await readFile(file);
+    response.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[extname(file)] || "application/octet-stream",
+    });
+    response.end(body);
+  } catch (error) {
+    response.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+  }
+}
+
+// Start the server when run directly rather than imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8080;
+  createServer(serveStatic).listen(port, () => {
+    console.log(`Dungeon Terrain running at http://localhost:${port}`);
+  });
+}
+
+// Export functions
+export { serveStatic };
@@ -0,0 +1,327 @@
+/**
+ * Canvas renderer for the browser client
+ *
+ * Draws the map part of the view on a <canvas> laid over the top of the
+ * page. Glyphs are rendered once into a font atlas, one slot per character
+ * and look, and copied from there; each draw only repaints the cells whose
+ * character or look changed since the last one. The HUD stays HTML in the
+ * <pre> below the canvas, so the inventory can still be clicked, and is
+ * only rewritten when its text changes.
+ */
+
+import {
+  HUD_HEIGHT,
+  DIRECTION_GLOWS,
+  getViewportCells,
+  getHUD,
+} from "../engine/index.js";
+
+const FONT_FAMILY = '"Courier New", monospace';
+const BACKGROUND = "#000000";
+const ATLAS_COLUMNS = 32; // Glyph slots per row of the atlas
+
+// The tile classes of index.html in the order they're declared there, so
+// that later ones win when a cell has several, just like in CSS. Glows are
+// their text-shadows.
+const CELL_STYLES = [
+  [
+    "upstairs",
+    {
+      color: "#ffcc00",
+      background: "rgba(255, 153, 0, 0.3)",
+      bold: true,
+      glow: { color: "#ffcc00", blur: 10 },
+    },
+  ],
+  [
+    "downstairs",
+    {
+      color: "#66ffff",
+      background: "rgba(0, 204, 255, 0.3)",
+      bold: true,
+      glow: { color: "#66ffff", blur: 10 },
+    },
+  ],
+  [
+    "player",
+    { color: "#ffffff", bold: true, glow: { color: "#ffffff", blur: 10 } },
+  ],
+  [
+    "bot",
+    { color: "#ff5555", bold: true, glow: { color: "#ff0000", blur: 6 } },
+  ],
+  ["remembered", { color: "#444444" }],
+  [
+    "weapon",
+    { color: "#ffcc00", bold: true, glow: { color: "#ff9900", blur: 10 } },
+  ],
+  ["armor", { color: "#00ccff" }],
+  ["trinket", { color: "#ff00ff" }],
+];
+
+// The .storm class, wrapped around whatever lies outside the safe zone
+const STORM_STYLE = {
+  color: "#c9a0ff",
+  background: "rgba(140, 40, 200, 0.35)",
+};
+
+/**
+ * Creates a renderer that draws the map on a canvas
+ * @param {HTMLElement} element - The <pre> the HUD and messages go in
+ * @returns {Object} - The renderer (see renderer.js)
+ */
+function createCanvasRenderer(element) {
+  const canvas = document.createElement("canvas");
+  Object.assign(canvas.style, { position: "absolute", top: "0", left: "0" });
+  element.parentNode.insertBefore(canvas, element);
+
+  const state = {
+    canvas: canvas,
+    context: canvas.getContext("2d"),
+    element: element,
+    width: 80,
+    height: 24,
+    fontSize: 16,
+    cellWidth: 10,
+    cellHeight: 16,
+    scale: 1,
+    atlas: null,
+    looks: new Map(), // Resolved styles by look key
+    drawn: [], // Key of what each cell shows now
+    hud: null, // HTML the HUD shows now
+  };
+
+  return {
+    resize(width, height, fontSize) {
+      resizeCanvas(state, width, height, fontSize);
+    },
+
+    draw(game, viewer, minimap) {
+      showCanvas(state, true);
+      drawCells(
+        state,
+        getViewportCells(game, viewer, state.width, state.height, minimap)
+      );
+
+      const hud = getHUD(game, viewer, state.width).join("\n");
+      if (hud !== state.hud) {
+        element.innerHTML = hud;
+        state.hud = hud;
+      }
+    },
+
+    showText(text) {
+      showCanvas(state, false);
+      element.textContent = text;
+      state.hud = null;
+    },
+  };
+}
+
+// Size the canvas for the viewport and start over with a fresh atlas, since
+// every glyph changes with the font size
+function resizeCanvas(state, width, height, fontSize) {
+  const { canvas, context, element } = state;
+  state.width = width;
+  state.height = height;
+  state.fontSize = fontSize;
+  state.scale = window.devicePixelRatio || 1;
+
+  context.font = `${fontSize}px ${FONT_FAMILY}`;
+  state.cellWidth = Math.max(1, Math.round(context.measureText("M").width));
+  state.cellHeight = fontSize;
+
+  const rows = Math.max(0, height - HUD_HEIGHT);
+  canvas.width = width * state.cellWidth * state.scale;
+  canvas.height = rows * state.cellHeight * state.scale;
+  canvas.style.width = `${width * state.cellWidth}px`;
+  canvas.style.height = `${rows * state.cellHeight}px`;
+
+  element.style.fontSize = `${fontSize}px`;
+  element.style.lineHeight = `${fontSize}px`;
+  if (canvas.style.display !== "none") element.style.top = canvas.style.height;
+
+  state.atlas = createFontAtlas(state);
+  state.drawn = [];
+  state.hud = null;
+}
+
+// Switch between the game and a full-page message
+function showCanvas(state, visible) {
+  if (visible === (state.canvas.style.display !== "none")) return;
+  state.canvas.style.display = visible ? "" : "none";
+  state.element.style.top = visible ? state.canvas.style.height || "0" : "0";
+  state.drawn = [];
+  state.hud = null;
+}
+
+// Repaint the cells that changed since the last draw
+function drawCells(state, cells) {
+  const { context, cellWidth, cellHeight, scale } = state;
+
+  context.setTransform(scale, 0, 0, scale, 0, 0);
+  cells.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      const look = resolveLook(state, cell);
+      const key = `${cell.char}|${look.key}`;
+      const index = y * state.width + x;
+      if (state.drawn[index] === key) return;
+      state.drawn[index] = key;
+
+      const left = x * cellWidth;
+      const top = y * cellHeight;
+      context.fillStyle = BACKGROUND;
+      context.fillRect(left, top, cellWidth, cellHeight);
+      for (const background of look.backgrounds) {
+        context.fillStyle = background;
+        context.fillRect(left, top, cellWidth, cellHeight);
+      }
+
+      if (cell.char === " ") return;
+      const slot = getGlyph(state, cell.char, look);
+      context.drawImage(
+        state.atlas.canvas,
+        slot.x,
+        slot.y,
+        slot.width,
+        slot.height,
+        left,
+        top,
+        cellWidth,
+        cellHeight
+      );
+    });
+  });
+}
+
+/**
+ * Works out how a cell looks from its CSS classes, its colour, the storm
+ * and the viewer's facing, the same way the stylesheet would
+ * @param {Object} state - The renderer's state
+ * @param {Object} cell - A cell from getViewportCells
+ * @returns {Object} - { key, color, bold, backgrounds, glows }
+ */
+function resolveLook(state, cell) {
+  const key = `${cell.style}|${cell.color || ""}|${cell.storm ? 1 : 0}|${
+    cell.direction === undefined ? "" : cell.direction
+  }`;
+  if (state.looks.has(key)) return state.looks.get(key);
+
+  const classes = cell.style ? cell.style.split(" ") : [];
+  const look = {
+    key: key,
+    // Terrain keeps its own colour in the storm, as inline styles do
+    color: cell.color || (cell.storm ? STORM_STYLE.color : "#ffffff"),
+    bold: false,
+    backgrounds: cell.storm ? [STORM_STYLE.background] : [],
+    glows: [],
+  };
+
+  for (const [name, style] of CELL_STYLES) {
+    if (!classes.includes(name)) continue;
+    look.color = style.color;
+    if (style.bold) look.bold = true;
+    if (style.background) look.backgrounds.push(style.background);
+    if (style.glow) look.glows = [{ x: 0, y: 0, ...style.glow }];
+  }
+
+  // The viewer's own glyph glows white all round, plus towards its facing
+  if (cell.direction !== undefined) {
+    const facing = DIRECTION_GLOWS[cell.direction];
+    look.glows = [
+      { x: 0, y: 0, color: "#ffffff", blur: 10 },
+      { x: facing.x, y: facing.y, color: facing.color, blur: 8 },
+    ];
+  }
+
+  state.looks.set(key, look);
+  return look;
+}
+
+// An empty atlas for the current font size, a few rows of slots to start
+function createFontAtlas(state) {
+  const canvas = document.createElement("canvas");
+  canvas.width = ATLAS_COLUMNS * state.cellWidth * state.scale;
+  canvas.height = 4 * state.cellHeight * state.scale;
+  return {
+    canvas: canvas,
+    context: canvas.getContext("2d"),
+    slots: new Map(),
+  };
+}
+
+/**
+ * Finds a glyph in the atlas, rendering it into the next free slot the
+ * first time it's needed
+ * @param {Object} state - The renderer's state
+ * @param {string} char - The character
+ * @param {Object} look - Result of resolveLook
+ * @returns {Object} - { x, y, width, height } of the slot, in atlas pixels
+ */
+function getGlyph(state, char, look) {
+  const atlas = state.atlas;
+  const key = `${char}|${look.color}|${look.bold}|${JSON.stringify(
+    look.glows
+  )}`;
+  if (atlas.slots.has(key)) return atlas.slots.get(key);
+
+  const width = state.cellWidth * state.scale;
+  const height = state.cellHeight * state.scale;
+  const index = atlas.slots.size;
+  const slot = {
+    x: (index % ATLAS_COLUMNS) * width,
+    y: Math.floor(index / ATLAS_COLUMNS) * height,
+    width: width,
+    height: height,
+  };
+
+  // Out of rows: double the atlas, keeping what's already in it
+  if (slot.y + height > atlas.canvas.height) {
+    const old = atlas.canvas;
+    atlas.canvas = document.createElement("canvas");
+    atlas.canvas.width = old.width;
+    atlas.canvas.height = old.height * 2;
+    atlas.context = atlas.canvas.getContext("2d");
+    atlas.context.drawImage(old, 0, 0);
+  }
+
+  const context = atlas.context;
+  const scale = state.scale;
+  context.save();
+  context.setTransform(scale, 0, 0, scale, 0, 0);
+  // Glows stay inside the glyph's own cell
+  context.beginPath();
+  context.rect(
+    slot.x / scale,
+    slot.y / scale,
+    state.cellWidth,
+    state.cellHeight
+  );
+  context.clip();
+  context.font = `${look.bold ? "bold " : ""}${
+    state.fontSize
+  }px ${FONT_FAMILY}`;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillStyle = look.color;
+
+  const centerX = slot.x / scale + state.cellWidth / 2;
+  const centerY = slot.y / scale + state.cellHeight / 2;
+  for (const glow of look.glows) {
+    context.shadowColor = glow.color;
+    context.shadowBlur = glow.blur;
+    context.shadowOffsetX = glow.x;
+    context.shadowOffsetY = glow.y;
+    context.fillText(char, centerX, centerY);
+  }
+  // A sharp copy on top of the glows
+  context.shadowColor = "transparent";
+  context.fillText(char, centerX, centerY);
+  context.restore();
+
+  atlas.slots.set(key, slot);
+  return slot;
+}
+
+// Export functions
+export { CELL_STYLES, createCanvasRenderer };
@@ -0,0 +1,47 @@
+/**
+ * Custom floors for the Dungeon Terrain browser client
+ *
+ * Loads a floor set (see engine/floorFiles.js) from the server the page
+ * came from, and downloads the floor the player is on as the two files of
+ * the format, ready to be edited and put in a set.
+ */
+
+import { exportFloor, loadFloorSet } from "../engine/index.js";
+import { downloadFile } from "./saveSlots.js";
+
+/**
+ * Reads a floor set over HTTP
+ * @param {string} url - The set's directory, relative to the page
+ * @param {Object} dungeon - Shape of the dungeon the set is for (see
+ *   getDungeonShape)
+ * @returns {Promise<Object>} - Result of loadFloorSet
+ */
+function fetchFloorSet(url, dungeon) {
+  const base = url.replace(/\/$/, "");
+  return loadFloorSet(dungeon, (name) =>
+    fetch(`${base}/${name}`).then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.text();
+    })
+  );
+}
+
+/**
+ * Downloads one floor of a game as floor-<n>.txt and floor-<n>.json
+ * @param {Object} game - The game
+ * @param {number} floor - Floor index
+ */
+function downloadFloor(game, floor) {
+  const { text, sidecar } = exportFloor(game, floor);
+  downloadFile(`floor-${floor}.txt`, text, "text/plain");
+  downloadFile(
+    `floor-${floor}.json`,
+    JSON.stringify(sidecar, null, 2) + "\n",
+    "application/json"
+  );
+}
+
+// Export functions
+export { fetchFloorSet, downloadFloor };
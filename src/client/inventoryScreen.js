@@ -0,0 +1,292 @@
+/**
+ * Inventory screen for the browser client
+ *
+ * A modal over the game, opened with "i", that lists everything worn and
+ * carried. The arrow keys (or the mouse) pick an equipment slot or an item,
+ * and the selection can be equipped, unequipped, dropped or compared with
+ * what's worn in the slot it would go to.
+ *
+ * The screen never changes the player itself: it calls the actions it was
+ * created with, so the page can apply them to its own game or send them to
+ * the server, and shows the player again on the next refresh.
+ */
+
+import {
+  EQUIPMENT_SLOTS,
+  getEquippedItem,
+  findEquipSlot,
+  describeItem,
+  compareItems,
+} from "../engine/index.js";
+
+const HELP =
+  "arrows: select   tab: switch list   enter/e: equip   u: unequip   " +
+  "d: drop   c: compare   i/esc: close";
+
+/**
+ * Creates the inventory screen, hidden until opened
+ * @param {Object} actions - { equip(inventoryIndex, slot, index),
+ *   unequip(slot, index), drop(inventoryIndex) }
+ * @returns {Object} - { isOpen, open, close, refresh, handleKey }
+ */
+function createInventoryScreen(actions) {
+  const element = document.createElement("div");
+  element.className = "inventory-screen";
+  element.style.display = "none";
+  document.body.appendChild(element);
+
+  const state = {
+    element: element,
+    player: null,
+    list: "inventory", // The list the selection is in: inventory or equipment
+    selected: { inventory: 0, equipment: 0 },
+    comparing: false,
+    html: null, // What the screen shows now
+  };
+
+  const screen = {
+    isOpen() {
+      return element.style.display !== "none";
+    },
+
+    open(player) {
+      element.style.display = "";
+      screen.refresh(player);
+    },
+
+    close() {
+      element.style.display = "none";
+      state.html = null;
+    },
+
+    // Show the player as they are now; only rewrites what changed, so the
+    // game's many redraws don't get in the way of clicks
+    refresh(player) {
+      state.player = player;
+      if (!screen.isOpen() || !player) return;
+      clampSelection(state);
+      const html = renderInventoryScreen(state);
+      if (html !== state.html) {
+        element.innerHTML = html;
+        state.html = html;
+      }
+    },
+
+    // Keys while the screen is open; returns whether the key was used
+    handleKey(event) {
+      const key = event.key;
+      if (key === "i" || key === "Escape") {
+        screen.close();
+      } else if (key === "ArrowUp" || key === "ArrowDown") {
+        state.selected[state.list] += key === "ArrowUp" ? -1 : 1;
+      } else if (key === "ArrowLeft" || key === "ArrowRight" || key === "Tab") {
+        state.list = state.list === "inventory" ? "equipment" : "inventory";
+      } else if (key === "Enter" || key === "e") {
+        useSelection(
+          state,
+          actions,
+          state.list === "inventory" ? "equip" : "unequip"
+        );
+      } else if (key === "u" || key === "d") {
+        useSelection(state, actions, key === "u" ? "unequip" : "drop");
+      } else if (key === "c") {
+        state.comparing = !state.comparing;
+      } else {
+        return false;
+      }
+      event.preventDefault();
+      screen.refresh(state.player);
+      return true;
+    },
+  };
+
+  // Clicking a row selects it, clicking a button acts on the selection
+  element.addEventListener("click", (event) => {
+    const target = event.target.closest("[data-list], [data-action]");
+    if (!target) return;
+    if (target.dataset.action === "compare") {
+      state.comparing = !state.comparing;
+    } else if (target.dataset.action === "close") {
+      screen.close();
+      return;
+    } else if (target.dataset.action) {
+      useSelection(state, actions, target.dataset.action);
+    } else {
+      state.list = target.dataset.list;
+      state.selected[state.list] = parseInt(target.dataset.index);
+    }
+    screen.refresh(state.player);
+  });
+
+  return screen;
+}
+
+// Keep the selection on an existing row as items come and go
+function clampSelection(state) {
+  const counts = {
+    inventory: state.player.inventory.length,
+    equipment: EQUIPMENT_SLOTS.length,
+  };
+  for (const list of Object.keys(counts)) {
+    const last = Math.max(0, counts[list] - 1);
+    state.selected[list] = Math.min(last, Math.max(0, state.selected[list]));
+  }
+}
+
+/**
+ * Works out what's selected and what it would be compared with
+ * @param {Object} state - The screen's state
+ * @returns {Object} - { item, inventoryIndex, slot, other }, where slot is
+ *   the EQUIPMENT_SLOTS entry the item is in or would go to and other is
+ *   the item worn there
+ */
+function getSelection(state) {
+  const player = state.player;
+  if (state.list === "equipment") {
+    const slot = EQUIPMENT_SLOTS[state.selected.equipment];
+    return {
+      item: getEquippedItem(player, slot.slot, slot.index),
+      inventoryIndex: null,
+      slot: slot,
+      other: null,
+    };
+  }
+
+  const inventoryIndex = state.selected.inventory;
+  const item = player.inventory[inventoryIndex] || null;
+  const slot = item ? findEquipSlot(player, item) : null;
+  return {
+    item: item,
+    inventoryIndex: item ? inventoryIndex : null,
+    slot: slot,
+    other: slot ? getEquippedItem(player, slot.slot, slot.index) : null,
+  };
+}
+
+// Equip, unequip or drop the selection, if that makes sense for it
+function useSelection(state, actions, action) {
+  const { item, inventoryIndex, slot } = getSelection(state);
+  if (!item) return;
+
+  if (action === "equip" && inventoryIndex !== null && slot) {
+    actions.equip(inventoryIndex, slot.slot, slot.index);
+  } else if (action === "unequip" && inventoryIndex === null) {
+    actions.unequip(slot.slot, slot.index);
+  } else if (action === "drop" && inventoryIndex !== null) {
+    actions.drop(inventoryIndex);
+  }
+}
+
+/**
+ * Builds the screen's HTML: equipment, inventory and the selection's
+ * details side by side
+ * @param {Object} state - The screen's state
+ * @returns {string} - HTML for the screen's element
+ */
+function renderInventoryScreen(state) {
+  const player = state.player;
+  const selection = getSelection(state);
+
+  const equipment = EQUIPMENT_SLOTS.map((slot, index) => {
+    const item = getEquippedItem(player, slot.slot, slot.index);
+    return renderRow(
+      "equipment",
+      index,
+      state,
+      `<span class="inventory-slot">${slot.label}</span>${
+        item ? itemName(item) : '<span class="inventory-empty">empty</span>'
+      }`
+    );
+  });
+
+  const inventory = player.inventory.length
+    ? player.inventory.map((item, index) =>
+        renderRow(
+          "inventory",
+          index,
+          state,
+          `${itemName(item)}${item.quantity > 1 ? ` x${item.quantity}` : ""}`
+        )
+      )
+    : ['<div class="inventory-empty">Nothing carried</div>'];
+
+  return `<div class="inventory-window">
+<div class="inventory-title">INVENTORY<button data-action="close">x</button></div>
+<div class="inventory-columns">
+<div class="inventory-list"><h3>Equipment</h3>${equipment.join("")}</div>
+<div class="inventory-list"><h3>Carried</h3>${inventory.join("")}</div>
+<div class="inventory-details">${renderDetails(state, selection)}</div>
+</div>
+<div class="inventory-help">${HELP}</div>
+</div>`;
+}
+
+function renderRow(list, index, state, content) {
+  const selected = state.list === list && state.selected[list] === index;
+  return `<div class="inventory-entry${
+    selected ? " selected" : ""
+  }" data-list="${list}" data-index="${index}">${content}</div>`;
+}
+
+// An item's name in its type's colour
+function itemName(item) {
+  return `<span style="color: var(--item-color-${item.type})">${item.name}</span>`;
+}
+
+// Details of the selected item with the buttons that apply to it, or the
+// comparison with what it would replace
+function renderDetails(state, selection) {
+  const { item, inventoryIndex, slot, other } = selection;
+  if (!item) {
+    return `<h3>${slot ? slot.label : "Nothing selected"}</h3>
+<div class="inventory-empty">${slot ? "Nothing worn here" : ""}</div>`;
+  }
+
+  const carried = inventoryIndex !== null;
+  const buttons = [
+    carried && slot ? '<button data-action="equip">Equip</button>' : "",
+    carried ? "" : '<button data-action="unequip">Unequip</button>',
+    carried ? '<button data-action="drop">Drop</button>' : "",
+    carried && slot
+      ? `<button data-action="compare">${
+          state.comparing ? "Details" : "Compare"
+        }</button>`
+      : "",
+  ].join("");
+
+  if (state.comparing && carried && slot) {
+    return `<h3>${itemName(item)} vs ${
+      other ? itemName(other) : `empty ${slot.label.toLowerCase()}`
+    }</h3>
+${renderComparison(item, other)}
+<div class="inventory-buttons">${buttons}</div>`;
+  }
+
+  const lines = describeItem(item)
+    .map(([label, text]) => `<tr><th>${label}</th><td>${text}</td></tr>`)
+    .join("");
+  return `<h3>${itemName(item)}</h3>
+<p>${item.description}</p>
+<table>${lines}</table>
+${carried && slot ? `<p>Goes to: ${slot.label}</p>` : ""}
+<div class="inventory-buttons">${buttons}</div>`;
+}
+
+// Side by side numbers, with what equipping would gain or lose
+function renderComparison(item, other) {
+  const rows = compareItems(item, other)
+    .map((row) => {
+      // Less weight is better, more of everything else
+      const gain = row.label === "Weight" ? -row.difference : row.difference;
+      const style = gain > 0 ? "better" : gain < 0 ? "worse" : "";
+      const change = row.difference > 0 ? `+${row.difference}` : row.difference;
+      return `<tr><th>${row.label}</th><td>${row.value}</td><td>${
+        row.other
+      }</td><td class="${style}">${row.difference ? change : ""}</td></tr>`;
+    })
+    .join("");
+  return `<table><tr><th></th><th>This</th><th>Worn</th><th></th></tr>${rows}</table>`;
+}
+
+// Export functions
+export { createInventoryScreen, renderInventoryScreen };
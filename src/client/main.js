@@ -0,0 +1,752 @@
+/**
+ * Browser client for Dungeon Terrain
+ *
+ * Runs a single-player game of the engine (src/engine) in the page: draws
+ * the player's viewport with a renderer (see renderer.js, ?renderer=text
+ * picks the HTML one), turns key presses into moves and attacks, and keeps
+ * saves in localStorage or .json files.
+ *
+ * The dungeon can be configured with ?dungeon=<file.json> and with
+ * ?width=, ?height=, ?floorCount=, ?generators= and ?stairs=, which win
+ * over the file (see engine/dungeonConfig.js).
+ *
+ * With ?online in the URL it joins the multiplayer server instead (see
+ * online.js); the server runs the game and the page only shows it.
+ */
+
+import {
+  randomSeed,
+  resetAndDistributeItems,
+  tryEquipItem,
+  equipItem,
+  unequipItem,
+  dropItem,
+  Player,
+  createGame,
+  addBeing,
+  onGameEvent,
+  startGameLoop,
+  stopGameLoop,
+  setGamePaused,
+  moveBeing,
+  placeOnRandomDot,
+  spawnBots,
+  serializeGame,
+  restoreGame,
+  applyFloors,
+  DUNGEON_CONFIG,
+  createDungeonConfig,
+  checkDungeonConfig,
+  dungeonConfigFromParams,
+  getDungeonShape,
+  nextMinimapMode,
+} from "../engine/index.js";
+import {
+  SAVE_SLOT_COUNT,
+  writeSaveSlot,
+  readSaveSlot,
+  listSaveSlots,
+  exportSaveFile,
+  importSaveFile,
+} from "./saveSlots.js";
+import { connectOnline, formatLobby } from "./online.js";
+import { createRenderer } from "./renderer.js";
+import { fetchFloorSet, downloadFloor } from "./floorSet.js";
+import { createInventoryScreen } from "./inventoryScreen.js";
+
+// We'll calculate these dynamically based on window size
+let VIEWPORT_WIDTH = 80;
+let VIEWPORT_HEIGHT = 24;
+
+// Draws the game into the page
+const renderer = createRenderer(
+  new URLSearchParams(window.location.search).get("renderer"),
+  document.getElementById("map")
+);
+
+// The inventory screen, opened with "i" (see inventoryScreen.js)
+const inventoryScreen = createInventoryScreen({
+  equip: (inventoryIndex, slot, index) => {
+    if (server) {
+      server.send({
+        type: "equip",
+        index: inventoryIndex,
+        slot: slot,
+        slotIndex: index,
+      });
+    } else if (canManageInventory()) {
+      const item = equipItem(player, inventoryIndex, slot, index);
+      if (item) showEquipNotification(item);
+      updateMap();
+    }
+  },
+  unequip: (slot, index) => {
+    if (server) {
+      server.send({ type: "unequip", slot: slot, slotIndex: index });
+    } else if (canManageInventory()) {
+      const item = unequipItem(player, slot, index);
+      if (item) showNotification(`Unequipped: ${item.name}`, "#ffffff");
+      updateMap();
+    }
+  },
+  drop: (inventoryIndex) => {
+    if (server) {
+      server.send({ type: "drop", index: inventoryIndex });
+    } else if (canManageInventory()) {
+      const item = dropItem(
+        player,
+        game.maps[player.floor],
+        game.floorItems[player.floor],
+        inventoryIndex
+      );
+      if (item) {
+        showNotification(`Dropped: ${item.name}`, "#ffffff");
+      } else {
+        showNotification("Nothing can be dropped here", "#ff5555");
+      }
+      updateMap();
+    }
+  },
+});
+
+// The running game and the player this page controls
+let game = null;
+let player = null;
+
+// Hand-made floors that replace generated ones in every new game, loaded
+// from a floor set with ?floors=<directory>
+let customFloors = [];
+
+// Connection to the multiplayer server when playing online, and the lobby
+// we're waiting in between matches
+let server = null;
+let lobby = null;
+
+// How the minimap shows, cycled with "m" (see engine/minimap.js)
+let minimapMode = "off";
+
+// Whether a redraw is waiting for the next animation frame
+let drawPending = false;
+
+// What new dungeons are made of (see loadDungeonConfig)
+let dungeonConfig = DUNGEON_CONFIG;
+
+/**
+ * Reads the seed from the page URL (?seed=...)
+ * @returns {string|null} - The seed or null if none was given
+ */
+function getSeedFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const seed = params.get("seed");
+  return seed && seed.trim() ? seed.trim() : null;
+}
+
+// Directory of a floor set to play with (?floors=...)
+function getFloorSetFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get("floors");
+  return url && url.trim() ? url.trim() : null;
+}
+
+// Dungeon configuration file (?dungeon=...)
+function getDungeonConfigFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get("dungeon");
+  return url && url.trim() ? url.trim() : null;
+}
+
+// Online play is asked for with ?online, optionally with &name=...
+function getOnlineOptionsFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.has("online") ? { name: params.get("name") } : null;
+}
+
+// Generate a new dungeon and drop the player into it with a full set of bots
+function newGame(seed) {
+  const created = createGame(seed, dungeonConfig);
+  applyFloors(created, customFloors);
+  const you = addBeing(created, new Player(0, 0));
+  placeOnRandomDot(created, you);
+  spawnBots(created);
+  startGame(created);
+}
+
+// Show and run a game, replacing the current one. Online, the game is the
+// server's mirror and runs there, so only its events are hooked up.
+function startGame(next, you = null) {
+  if (game) stopGameLoop(game);
+
+  game = next;
+  player = you || game.beings.find((being) => being instanceof Player);
+  lobby = null;
+
+  // Redraw whenever something changes on the player's floor, at most
+  // once a frame however many steps the game takes in between
+  onGameEvent(game, "change", ({ floor }) => {
+    if (floor === undefined || floor === player.floor) requestDraw();
+  });
+
+  onGameEvent(game, "death", ({ being, killer, cause }) => {
+    if (being === player) {
+      showNotification(`You were slain by ${cause}`, "#ff5555");
+    } else if (killer === player) {
+      showNotification(`You defeated ${being.name}`, "#ffffff");
+    }
+  });
+
+  onGameEvent(game, "encumbered", ({ being, item }) => {
+    if (being === player && item) {
+      showNotification(`Too heavy to carry: ${item.name}`, "#ff5555");
+    }
+  });
+
+  onGameEvent(game, "gameover", ({ winner, nextMatchIn }) => {
+    if (winner === player) {
+      showNotification("Victory! You are the last one standing", "#ffcc00");
+    } else if (server) {
+      showNotification(
+        `${winner.name} won, next match in ${nextMatchIn}s`,
+        "#ffffff"
+      );
+    }
+  });
+
+  if (!server) startGameLoop(game);
+  updateMap();
+}
+
+// Join the multiplayer server and wait in its lobby
+function goOnline(name) {
+  server = connectOnline(name, {
+    onMatch: (mirror, you) => startGame(mirror, you),
+    onLobby: (message) => {
+      if (game) stopGameLoop(game);
+      game = null;
+      player = null;
+      lobby = message;
+      showLobby();
+    },
+    onError: (message) => showNotification(message, "#ff5555"),
+    onClose: () => {
+      showNotification("Lost the connection to the server", "#ff5555");
+    },
+  });
+
+  // Keep the lobby's countdown ticking
+  setInterval(() => {
+    if (lobby) showLobby();
+  }, 1000);
+}
+
+function showLobby() {
+  inventoryScreen.close();
+  renderer.showText(formatLobby(lobby));
+}
+
+function updateMap() {
+  renderer.draw(game, player, minimapMode);
+  inventoryScreen.refresh(player);
+}
+
+// Draw on the next animation frame, unless a draw is already waiting
+function requestDraw() {
+  if (drawPending) return;
+  drawPending = true;
+  window.requestAnimationFrame(() => {
+    drawPending = false;
+    if (game && !lobby) updateMap();
+  });
+}
+
+// Like the server, the dead and the stunned can look but not touch
+function canManageInventory() {
+  return !player.isDead() && !player.isStunned();
+}
+
+// Debug teleport: put the player somewhere random on another floor
+function teleportToFloor(floor) {
+  player.cancelAttack();
+  player.floor = floor;
+  placeOnRandomDot(game, player);
+  updateMap();
+}
+
+// Handle keyboard input
+document.addEventListener("keydown", function (event) {
+  // Prevent default actions for arrow keys
+  if (
+    event.key === "ArrowUp" ||
+    event.key === "ArrowDown" ||
+    event.key === "ArrowLeft" ||
+    event.key === "ArrowRight" ||
+    event.key === " " || // Space bar
+    event.key === "Enter" || // Start an online match
+    event.key === "i" || // Inventory key
+    event.key === "m" || // Minimap
+    event.key === "p" || // Pause
+    event.key === "d" || // Debug key
+    event.key === "r" || // Reset key
+    event.key === "S" || // Save to a slot
+    event.key === "L" || // Load from a slot
+    event.key === "E" || // Export save file
+    event.key === "O" || // Import save file
+    event.key === "F" // Export the current floor
+  ) {
+    event.preventDefault();
+  }
+
+  // The inventory screen has the keyboard while it's open
+  if (inventoryScreen.isOpen()) {
+    inventoryScreen.handleKey(event);
+    return;
+  }
+  if (event.key === "i" && game) {
+    inventoryScreen.open(player);
+    return;
+  }
+  // Only changes what's drawn, so it works online and after death too
+  if (event.key === "m" && game) {
+    minimapMode = nextMinimapMode(minimapMode);
+    updateMap();
+    return;
+  }
+
+  if (server) {
+    handleOnlineKey(event);
+    return;
+  }
+
+  // Nothing to control while the dungeon is still being generated
+  if (!game) return;
+
+  if (event.key === "p") {
+    setGamePaused(game, !game.paused);
+    showNotification(game.paused ? "Paused" : "Resumed", "#ffffff");
+    return;
+  }
+
+  // Saving and loading work even after death
+  if (event.key === "S") {
+    const slot = promptForSaveSlot("Save to");
+    if (slot && writeSaveSlot(slot, serializeGame(game))) {
+      showNotification(`Saved to slot ${slot}`, "#ffffff");
+    }
+    return;
+  }
+  if (event.key === "L") {
+    const slot = promptForSaveSlot("Load from");
+    const save = slot && readSaveSlot(slot);
+    if (save) loadGame(save, `Loaded slot ${slot}`);
+    return;
+  }
+  if (event.key === "E") {
+    exportSaveFile(serializeGame(game));
+    return;
+  }
+  if (event.key === "O") {
+    chooseSaveFile();
+    return;
+  }
+  if (event.key === "F") {
+    downloadFloor(game, player.floor);
+    showNotification(`Exported floor ${player.floor}`, "#ffffff");
+    return;
+  }
+
+  // Debug keys for development
+  if (event.key === "d") {
+    console.log("DEBUG: Displaying game state");
+    console.log(`Player position: (${player.x}, ${player.y})`);
+    console.log(`Current map: ${player.floor}`);
+    console.log(
+      `Map regions: ${JSON.stringify(game.floorConnectivity[player.floor])}`
+    );
+    console.log(`Items on map: ${game.floorItems[player.floor].length}`);
+    console.log(`Inventory items: ${player.inventory.length}`);
+    return;
+  }
+
+  if (event.key === "r") {
+    console.log("DEBUG: Forcing item redistribution");
+    game.floorItems[player.floor] = resetAndDistributeItems(
+      game,
+      game.floorItems[player.floor],
+      true,
+      game.itemRNGs[player.floor],
+      player.floor
+    );
+    updateMap();
+    return;
+  }
+
+  // The dead and the stunned can't move or swing, and nobody can while
+  // the game is paused
+  if (player.isDead() || player.isStunned() || game.paused) {
+    return;
+  }
+
+  // Regular game controls below
+  switch (event.key) {
+    case "ArrowUp":
+      if (event.metaKey && event.shiftKey) {
+        if (player.floor > 0) {
+          teleportToFloor(player.floor - 1);
+          console.log(`Debug: Moved up to floor ${player.floor}`);
+        } else {
+          console.log("Debug: Already at the top floor");
+        }
+        event.preventDefault();
+      } else {
+        moveBeing(game, player, 0, -1);
+      }
+      break;
+    case "ArrowDown":
+      if (event.metaKey && event.shiftKey) {
+        if (player.floor < game.maps.length - 1) {
+          teleportToFloor(player.floor + 1);
+          console.log(`Debug: Moved down to floor ${player.floor}`);
+        } else {
+          console.log("Debug: Already at the bottom floor");
+        }
+        event.preventDefault();
+      } else {
+        moveBeing(game, player, 0, 1);
+      }
+      break;
+    case "ArrowLeft":
+      moveBeing(game, player, -1, 0);
+      break;
+    case "ArrowRight":
+      moveBeing(game, player, 1, 0);
+      break;
+    // Debug floor traversal with cmd+shift+, and cmd+shift+.
+    case ",":
+      if (event.metaKey && event.shiftKey) {
+        if (player.floor > 0) {
+          teleportToFloor(player.floor - 1);
+          console.log(`Debug: Moved up to floor ${player.floor}`);
+        } else {
+          console.log("Debug: Already at the top floor");
+        }
+        event.preventDefault();
+      }
+      break;
+    case ".":
+      if (event.metaKey && event.shiftKey) {
+        if (player.floor < game.maps.length - 1) {
+          teleportToFloor(player.floor + 1);
+          console.log(`Debug: Moved down to floor ${player.floor}`);
+        } else {
+          console.log("Debug: Already at the bottom floor");
+        }
+        event.preventDefault();
+      }
+      break;
+    // Direct floor access with number keys 0-9
+    case "0":
+    case "1":
+    case "2":
+    case "3":
+    case "4":
+    case "5":
+    case "6":
+    case "7":
+    case "8":
+    case "9":
+      if (event.metaKey) {
+        const targetFloor = parseInt(event.key);
+        if (targetFloor >= 0 && targetFloor < game.maps.length) {
+          teleportToFloor(targetFloor);
+          console.log(`Debug: Teleported to floor ${player.floor}`);
+        } else {
+          console.log(`Debug: Floor ${targetFloor} does not exist`);
+        }
+        event.preventDefault();
+      }
+      break;
+    case " ": // Spacebar
+      player.attack();
+      event.preventDefault();
+      break;
+  }
+});
+
+// Online, keys become commands for the server. It decides what happens,
+// so saves and the debug keys are off.
+function handleOnlineKey(event) {
+  const moves = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+  };
+
+  if (event.key === "Enter") {
+    if (lobby) server.send({ type: "start" });
+  } else if (!game) {
+    return;
+  } else if (moves[event.key]) {
+    const [dx, dy] = moves[event.key];
+    server.send({ type: "move", dx: dx, dy: dy });
+  } else if (event.key === " ") {
+    server.send({ type: "attack" });
+  } else if (["S", "L", "E", "O", "F", "d", "r", "p"].includes(event.key)) {
+    showNotification("Not available in online play", "#ff5555");
+  }
+}
+
+// Initialize and start
+renderer.showText("Generating map, please wait...");
+
+// Function to adjust viewport based on window size
+function adjustViewportToWindow() {
+  const windowWidth = window.innerWidth;
+  const windowHeight = window.innerHeight;
+
+  // For monospace fonts, we need to consider the aspect ratio
+  // Most monospace fonts are about 0.6 width/height ratio
+  const charAspectRatio = 0.6;
+
+  // Calculate the maximum possible characters we can fit
+  // Try various font sizes and find the one that maximizes viewport usage
+  let bestFontSize = 12;
+  let maxChars = 0;
+
+  for (let fontSize = 8; fontSize <= 24; fontSize++) {
+    // How many characters we can fit with this font size
+    const widthChars = Math.floor(windowWidth / (fontSize * charAspectRatio));
+    const heightChars = Math.floor(windowHeight / fontSize);
+    const totalChars = widthChars * heightChars;
+
+    // Choose the font size that fits the most characters
+    // but ensure it's not too small to be readable
+    if (totalChars > maxChars && fontSize >= 10) {
+      maxChars = totalChars;
+      bestFontSize = fontSize;
+    }
+  }
+
+  // Update viewport dimensions
+  VIEWPORT_WIDTH = Math.floor(windowWidth / (bestFontSize * charAspectRatio));
+  VIEWPORT_HEIGHT = Math.floor(windowHeight / bestFontSize);
+
+  // Set the font size and line height
+  renderer.resize(VIEWPORT_WIDTH, VIEWPORT_HEIGHT, bestFontSize);
+
+  // If the game is already initialized, update the map display
+  if (game) {
+    updateMap();
+  }
+}
+
+// Set up resize listener
+window.addEventListener("resize", adjustViewportToWindow);
+
+// Initial adjustment
+adjustViewportToWindow();
+
+/**
+ * Builds the dungeon configuration from the URL, fetching its file if it
+ * names one. A configuration with any problems is left out entirely and
+ * the default dungeon is used.
+ * @returns {Promise} - Resolves once the configuration is in place
+ */
+function loadDungeonConfig() {
+  const url = getDungeonConfigFromURL();
+  const file = url
+    ? fetch(url).then((response) => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+    : Promise.resolve({});
+
+  return file
+    .then((overrides) => {
+      const config = createDungeonConfig({
+        ...overrides,
+        ...dungeonConfigFromParams(new URLSearchParams(window.location.search)),
+      });
+      const errors = checkDungeonConfig(config);
+      if (errors.length) {
+        for (const error of errors) console.error(`ERROR: ${error}`);
+        showNotification(
+          `Dungeon settings not used: ${errors[0]}` +
+            (errors.length > 1 ? ` (+${errors.length - 1} more)` : ""),
+          "#ff5555"
+        );
+        return;
+      }
+      dungeonConfig = config;
+    })
+    .catch((error) => {
+      console.error(`ERROR: Could not load ${url}: ${error.message}`);
+      showNotification(
+        `Dungeon settings not used: ${error.message}`,
+        "#ff5555"
+      );
+    });
+}
+
+// Fetch a floor set for the games to come. A set with any problems is
+// left out entirely and the floors are generated as usual.
+function loadCustomFloors(url) {
+  renderer.showText(`Loading custom floors from ${url}...`);
+  return fetchFloorSet(url, getDungeonShape(dungeonConfig)).then((set) => {
+    for (const warning of set.warnings) console.log(`WARNING: ${warning}`);
+    if (set.errors.length) {
+      for (const error of set.errors) console.error(`ERROR: ${error}`);
+      showNotification(
+        `Custom floors not used: ${set.errors[0]}` +
+          (set.errors.length > 1 ? ` (+${set.errors.length - 1} more)` : ""),
+        "#ff5555"
+      );
+      return;
+    }
+    customFloors = set.floors;
+    showNotification(
+      `Playing with custom floors ${set.floors
+        .map((parsed) => parsed.floor)
+        .join(", ")}`,
+      "#ffffff"
+    );
+  });
+}
+
+function loadGame(save, message) {
+  startGame(restoreGame(save));
+  showNotification(message, "#ffffff");
+}
+
+// Ask which slot to use, listing what each one holds
+function promptForSaveSlot(action) {
+  const summary = listSaveSlots()
+    .map((info) => {
+      if (info.corrupt) return `${info.slot}: unreadable`;
+      if (!info.savedAt) return `${info.slot}: empty`;
+      const date = new Date(info.savedAt).toLocaleString();
+      return `${info.slot}: seed ${info.seed}, floor ${info.floor}, ${date}`;
+    })
+    .join("\n");
+  const answer = window.prompt(`${action} slot:\n${summary}`, "1");
+  const slot = parseInt(answer);
+  return slot >= 1 && slot <= SAVE_SLOT_COUNT ? slot : null;
+}
+
+// Let the user pick an exported save file and load it
+function chooseSaveFile() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", () => {
+    if (!input.files.length) return;
+    importSaveFile(input.files[0]).then((save) => {
+      if (save) {
+        loadGame(save, `Loaded ${input.files[0].name}`);
+      } else {
+        showNotification("That file is not a usable save", "#ff5555");
+      }
+    });
+  });
+  input.click();
+}
+
+// Handle clicks on inventory items
+document.addEventListener("click", function (event) {
+  // Check if a clickable inventory item was clicked
+  if (event.target.classList.contains("inventory-item")) {
+    const itemIndex = parseInt(event.target.dataset.itemIndex);
+
+    // Get the item from the inventory
+    const item = player && player.inventory[itemIndex];
+
+    // The server equips it and sends back the new inventory
+    if (item && server) {
+      server.send({ type: "equip", index: itemIndex });
+      return;
+    }
+
+    if (item) {
+      // Try to equip the item
+      const wasEquipped = tryEquipItem(player, item, itemIndex);
+
+      if (wasEquipped) {
+        // Create and show a notification
+        showEquipNotification(item);
+
+        // Refresh the display to show equipped item
+        updateMap();
+      } else {
+        console.log(`Could not equip ${item.name} - no available slot`);
+      }
+    }
+  }
+});
+
+/**
+ * Shows a brief notification about equipped items
+ * @param {Object} item - The item that was equipped
+ */
+function showEquipNotification(item) {
+  showNotification(`Equipped: ${item.name}`, `var(--item-color-${item.type})`);
+}
+
+/**
+ * Shows a brief message at the bottom of the screen
+ * @param {string} text - The message
+ * @param {string} color - CSS color for the text
+ */
+function showNotification(text, color) {
+  // Create notification element
+  const notification = document.createElement("div");
+  notification.className = "equip-notification";
+  notification.textContent = text;
+
+  // Style the notification
+  Object.assign(notification.style, {
+    position: "absolute",
+    bottom: "20px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    backgroundColor: "rgba(0, 0, 0, 0.7)",
+    color: color,
+    padding: "10px 20px",
+    borderRadius: "5px",
+    fontFamily: "monospace",
+    zIndex: "1000",
+    transition: "opacity 0.5s",
+    opacity: "1",
+    textAlign: "center",
+  });
+
+  // Add to document
+  document.body.appendChild(notification);
+
+  // Remove after 2 seconds
+  setTimeout(() => {
+    notification.style.opacity = "0";
+    setTimeout(() => {
+      document.body.removeChild(notification);
+    }, 500);
+  }, 2000);
+}
+
+const online = getOnlineOptionsFromURL();
+if (online) {
+  renderer.showText("Connecting to the server...");
+  goOnline(online.name);
+} else {
+  // Custom floors are read at the configured size, so the configuration
+  // comes first
+  const floorSet = getFloorSetFromURL();
+  loadDungeonConfig().then(() => {
+    if (floorSet) {
+      loadCustomFloors(floorSet).then(() =>
+        newGame(getSeedFromURL() || randomSeed())
+      );
+    } else {
+      setTimeout(() => newGame(getSeedFromURL() || randomSeed()), 100);
+    }
+  });
+}
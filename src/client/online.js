@@ -0,0 +1,132 @@
+/**
+ * Online play for the browser client
+ *
+ * Connects to the multiplayer server (src/server) and keeps a mirror of its
+ * match up to date. The page draws the mirror like any other game; key
+ * presses become commands for the server instead of moves in the mirror.
+ */
+
+import {
+  createMirrorGame,
+  applyDelta,
+  applySelf,
+  emitGameEvent,
+  findItemById,
+} from "../engine/index.js";
+
+/**
+ * Opens a connection to the server the page was loaded from
+ * @param {string|null} name - Name to play under, the server picks one if
+ *   not given
+ * @param {Object} handlers - Callbacks, all optional:
+ *   onMatch(game, player)   A match started; game is its mirror
+ *   onLobby(lobby)          Waiting for the next match
+ *   onError(message)        The server refused a command
+ *   onClose()               The connection was lost
+ * @returns {Object} - { send(command) }
+ */
+function connectOnline(name, handlers) {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const query = name ? `?name=${encodeURIComponent(name)}` : "";
+  const socket = new WebSocket(
+    `${protocol}//${window.location.host}/play${query}`
+  );
+
+  let mirror = null;
+
+  socket.addEventListener("message", (event) => {
+    const message = JSON.parse(event.data);
+
+    switch (message.type) {
+      case "snapshot":
+        mirror = createMirrorGame(message);
+        console.log(`Joined match with seed "${message.seed}"`);
+        if (handlers.onMatch) handlers.onMatch(mirror.game, mirror.player);
+        break;
+      case "delta":
+        if (!mirror) return;
+        applyDelta(mirror.game, message);
+        if (message.self) applySelf(mirror.game, mirror.player, message.self);
+        emitGameEvent(mirror.game, "change");
+        break;
+      case "death":
+        if (!mirror) return;
+        emitGameEvent(mirror.game, "death", {
+          being: mirror.game.beings[message.being],
+          killer: mirror.game.beings[message.killer] || null,
+          cause: message.cause,
+        });
+        break;
+      case "encumbered":
+        if (!mirror) return;
+        emitGameEvent(mirror.game, "encumbered", {
+          being: mirror.player,
+          item: findItemById(message.item),
+        });
+        break;
+      case "gameover":
+        if (!mirror) return;
+        mirror.game.gameOver = true;
+        mirror.game.winner = mirror.game.beings[message.winner];
+        emitGameEvent(mirror.game, "gameover", {
+          winner: mirror.game.winner,
+          nextMatchIn: message.nextMatchIn,
+        });
+        break;
+      case "lobby":
+        mirror = null;
+        message.receivedAt = Date.now();
+        if (handlers.onLobby) handlers.onLobby(message);
+        break;
+      case "error":
+        console.log(`Server: ${message.message}`);
+        if (handlers.onError) handlers.onError(message.message);
+        break;
+    }
+  });
+
+  socket.addEventListener("close", () => {
+    console.log("Disconnected from the server");
+    if (handlers.onClose) handlers.onClose();
+  });
+
+  return {
+    send: (command) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(command));
+      }
+    },
+  };
+}
+
+/**
+ * Text for the lobby screen
+ * @param {Object} lobby - A lobby message from the server
+ * @param {number} now - Current time, to count down from when it arrived
+ * @returns {string} - Lines to show in place of the map
+ */
+function formatLobby(lobby, now = Date.now()) {
+  const lines = ["DUNGEON TERRAIN - ONLINE", ""];
+
+  if (lobby.state === "lobby") {
+    if (lobby.startsIn !== null) {
+      const waited = Math.floor((now - lobby.receivedAt) / 1000);
+      const startsIn = Math.max(0, lobby.startsIn - waited);
+      lines.push(`Next match starts in ${startsIn}s`);
+    } else {
+      lines.push(
+        `Waiting for players (${lobby.players.length}/${lobby.minPlayers})`
+      );
+    }
+    lines.push("Press Enter to start now");
+  } else {
+    lines.push("A match is in progress, you'll join the next one");
+  }
+
+  lines.push("", "Connected:");
+  for (const name of lobby.players) lines.push(`  ${name}`);
+  return lines.join("\n");
+}
+
+// Export functions
+export { connectOnline, formatLobby };
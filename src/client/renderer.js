@@ -0,0 +1,55 @@
+/**
+ * Renderers for the browser client
+ *
+ * A renderer puts a player's view on the page. Each one is created on the
+ * <pre id="map"> element and has the same three methods:
+ *
+ *   resize(width, height, fontSize)   Viewport size in characters, HUD
+ *                                     included, and the font size in pixels
+ *   draw(game, viewer, minimap)       Show what the viewer sees, with the
+ *                                     minimap in one of MINIMAP_MODES
+ *   showText(text)                    Show a message instead of the game
+ *
+ * "canvas" draws the map on a canvas, repainting only the cells that
+ * changed, and keeps the HUD as HTML so its inventory stays clickable.
+ * "text" writes the whole view into the <pre> as HTML.
+ */
+
+import { createTextRenderer } from "./textRenderer.js";
+import { createCanvasRenderer } from "./canvasRenderer.js";
+
+const RENDERERS = {
+  canvas: createCanvasRenderer,
+  text: createTextRenderer,
+};
+
+const DEFAULT_RENDERER = "canvas";
+
+/**
+ * Creates a renderer by name, falling back to text where there's no canvas
+ * @param {string|null} name - A key of RENDERERS, the default if not given
+ * @param {HTMLElement} element - The <pre> to draw in
+ * @returns {Object} - The renderer
+ */
+function createRenderer(name, element) {
+  let chosen = name || DEFAULT_RENDERER;
+  if (!RENDERERS[chosen]) {
+    console.log(`Unknown renderer "${chosen}", using ${DEFAULT_RENDERER}`);
+    chosen = DEFAULT_RENDERER;
+  }
+  if (chosen === "canvas" && !supportsCanvas()) {
+    console.log("Canvas isn't available, using the text renderer");
+    chosen = "text";
+  }
+
+  console.log(`Using the ${chosen} renderer`);
+  return RENDERERS[chosen](element);
+}
+
+function supportsCanvas() {
+  const canvas = document.createElement("canvas");
+  return Boolean(canvas.getContext && canvas.getContext("2d"));
+}
+
+// Export functions
+export { RENDERERS, DEFAULT_RENDERER, createRenderer };
@@ -0,0 +1,135 @@
+/**
+ * Save Slots and Files for the Dungeon Terrain browser client
+ *
+ * Keeps saves made by serializeGame (see engine/saveSystem.js) in
+ * localStorage slots, and exports them to or imports them from .json files.
+ */
+
+import { parseSave } from "../engine/saveSystem.js";
+
+// Number of localStorage slots
+const SAVE_SLOT_COUNT = 3;
+const SAVE_KEY_PREFIX = "dungeon-terrain-save-";
+
+/**
+ * Stores a save in a localStorage slot
+ * @param {number} slot - Slot number, 1 to SAVE_SLOT_COUNT
+ * @param {Object} save - The save
+ * @returns {boolean} - Whether the save was written
+ */
+function writeSaveSlot(slot, save) {
+  if (!(slot >= 1 && slot <= SAVE_SLOT_COUNT)) {
+    console.error(`ERROR: Invalid save slot: ${slot}`);
+    return false;
+  }
+
+  try {
+    localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(save));
+    console.log(`Saved game to slot ${slot}`);
+    return true;
+  } catch (error) {
+    // Usually the storage quota
+    console.error(`ERROR: Could not save to slot ${slot}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reads the save in a localStorage slot
+ * @param {number} slot - Slot number, 1 to SAVE_SLOT_COUNT
+ * @returns {Object|null} - The save or null if the slot is empty or unusable
+ */
+function readSaveSlot(slot) {
+  const text = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+  if (text === null) {
+    console.log(`Save slot ${slot} is empty`);
+    return null;
+  }
+  return parseSave(text);
+}
+
+/**
+ * Removes the save in a localStorage slot
+ * @param {number} slot - Slot number, 1 to SAVE_SLOT_COUNT
+ */
+function deleteSaveSlot(slot) {
+  localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+}
+
+/**
+ * Summarizes every slot for choosing one
+ * @returns {Array} - Per slot: { slot, savedAt, seed, floor } or { slot }
+ *   when empty
+ */
+function listSaveSlots() {
+  const slots = [];
+  for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+    const text = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+    if (text === null) {
+      slots.push({ slot });
+      continue;
+    }
+    try {
+      const save = JSON.parse(text);
+      slots.push({
+        slot,
+        savedAt: save.savedAt,
+        seed: save.seed,
+        floor: save.currentMapIndex,
+      });
+    } catch (error) {
+      slots.push({ slot, corrupt: true });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Downloads a save as a .json file
+ * @param {Object} save - The save
+ */
+function exportSaveFile(save) {
+  downloadFile(
+    `dungeon-${save.seed}-floor${save.currentMapIndex}.json`,
+    JSON.stringify(save),
+    "application/json"
+  );
+}
+
+/**
+ * Has the browser download some text as a file
+ * @param {string} name - File name
+ * @param {string} text - Contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type: type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Reads a save from a file chosen by the user
+ * @param {File} file - The .json file
+ * @returns {Promise<Object|null>} - The save or null if it can't be used
+ */
+function importSaveFile(file) {
+  return file.text().then(parseSave);
+}
+
+// Export functions
+export {
+  SAVE_SLOT_COUNT,
+  writeSaveSlot,
+  readSaveSlot,
+  deleteSaveSlot,
+  listSaveSlots,
+  exportSaveFile,
+  importSaveFile,
+  downloadFile,
+};
@@ -0,0 +1,38 @@
+/**
+ * Text renderer for the browser client
+ *
+ * Writes the whole view into the <pre> as HTML, a <span> per styled tile.
+ * Simple and selectable, but the page rebuilds every line on each draw.
+ */
+
+import { getViewport } from "../engine/index.js";
+
+/**
+ * Creates a renderer that draws into a <pre> as HTML
+ * @param {HTMLElement} element - The <pre> to draw in
+ * @returns {Object} - The renderer (see renderer.js)
+ */
+function createTextRenderer(element) {
+  let width = 80;
+  let height = 24;
+
+  return {
+    resize(columns, rows, fontSize) {
+      width = columns;
+      height = rows;
+      element.style.fontSize = `${fontSize}px`;
+      element.style.lineHeight = `${fontSize}px`;
+    },
+
+    draw(game, viewer, minimap) {
+      element.innerHTML = getViewport(game, viewer, width, height, minimap);
+    },
+
+    showText(text) {
+      element.textContent = text;
+    },
+  };
+}
+
+// Export functions
+export { createTextRenderer };
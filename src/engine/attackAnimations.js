@@ -0,0 +1,182 @@
+/**
+ * Attack Animations for Dungeon Terrain
+ *
+ * Attack frames are drawn in example-ascii.txt, which is read and parsed
+ * when the engine loads:
+ *
+ *   # <set name>
+ *     Right-facing attack:
+ *     XXX   XXX    XXX
+ *     X@X   X@X    X@-
+ *     X|X   XX\    XXX
+ *
+ * Each block of rows holds one frame per column group, read left to right.
+ * A frame is a grid of any size holding the attacker ('@') once; frames
+ * line up on it. 'X' marks empty space and every other character is part
+ * of the weapon, but only the blade characters (| \ - /) hit. A set is
+ * named by its heading less the words "attack" and "animation", so
+ * "# ATTACK SWING ANIMATION" is "swing". Anything else in the file, like
+ * the notes, is left alone.
+ */
+
+// The designer's sheet of attack frames (example-ascii.txt, at the top of
+// the repository). Weapons pick a set from it by name (Weapon.animation).
+const ATTACK_ANIMATION_FILE = new URL(
+  "../../example-ascii.txt",
+  import.meta.url
+);
+
+// Direction labels, in the order used by Being.direction
+const ANIMATION_DIRECTIONS = ["down", "right", "up", "left"];
+
+// Words in a heading that aren't part of the set's name
+const HEADING_WORDS = ["attack", "attacks", "animation", "animations"];
+
+// Weapon characters that hit; any others, like a grip, are only drawn
+const BLADE_CHARS = ["|", "\\", "-", "/"];
+
+/**
+ * Parses attack animation sets from ASCII frame definitions
+ * @param {string} text - Definitions in the example-ascii.txt format
+ * @returns {Object} - Sets by name, each { frames } where
+ *   frames[direction][frame] is { grid, origin, blades }: origin is the
+ *   attacker's { x, y } in the grid and blades lists the cells that hit as
+ *   { dx, dy, char } offsets from the attacker
+ */
+function parseAttackAnimations(text) {
+  const sets = {};
+  const lines = text.split("\n");
+  let setName = null;
+  let direction = -1;
+  let block = [];
+
+  // Turn the rows collected under a direction label into frames
+  const finishBlock = () => {
+    if (setName && direction >= 0 && block.length > 0) {
+      const frames = parseFrameBlock(block);
+      if (frames) {
+        sets[setName] = sets[setName] || { frames: [] };
+        sets[setName].frames[direction] = frames;
+      }
+    }
+    block = [];
+    direction = -1;
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    const heading = trimmed.match(/^#\s*(.+)$/);
+    const label = trimmed.match(/^(\w+)-facing attack:$/i);
+
+    if (heading) {
+      finishBlock();
+      setName = heading[1]
+        .toLowerCase()
+        .split(/\s+/)
+        .filter((word) => !HEADING_WORDS.includes(word))
+        .join(" ");
+    } else if (label) {
+      finishBlock();
+      direction = ANIMATION_DIRECTIONS.indexOf(label[1].toLowerCase());
+      if (direction < 0) {
+        console.error(
+          `ERROR: Unknown direction "${label[1]}" on line ${i + 1}`
+        );
+      }
+    } else if (trimmed === "") {
+      finishBlock();
+    } else if (direction >= 0) {
+      block.push({ text: trimmed, line: i + 1 });
+    }
+  });
+  finishBlock();
+
+  // Only complete sets are usable
+  for (const [name, set] of Object.entries(sets)) {
+    if (!ANIMATION_DIRECTIONS.every((_, d) => set.frames[d])) {
+      console.error(`ERROR: Animation set "${name}" needs all four directions`);
+      delete sets[name];
+    }
+  }
+
+  return sets;
+}
+
+/**
+ * Splits one direction's rows into frames and finds their blade cells
+ * @param {Array} rows - { text, line } for each row of the block
+ * @returns {Array|null} - The frames, or null if the block is malformed
+ */
+function parseFrameBlock(rows) {
+  const columns = rows.map((row) => row.text.split(/\s+/));
+  const frameCount = columns[0].length;
+
+  // Every row has a group for each frame, as wide as the frame's first row
+  const malformed = columns.findIndex(
+    (groups) =>
+      groups.length !== frameCount ||
+      groups.some((group, f) => group.length !== columns[0][f].length)
+  );
+  if (malformed >= 0) {
+    console.error(
+      `ERROR: Frames starting on line ${rows[0].line} must be rectangles ` +
+        `(problem on line ${rows[malformed].line})`
+    );
+    return null;
+  }
+
+  const frames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const grid = columns.map((groups) => groups[f].split(""));
+    const attackers = [];
+    grid.forEach((row, y) =>
+      row.forEach((char, x) => {
+        if (char === "@") attackers.push({ x, y });
+      })
+    );
+    if (attackers.length !== 1) {
+      console.error(
+        `ERROR: Frame ${f + 1} starting on line ${
+          rows[0].line
+        } needs exactly one '@'`
+      );
+      return null;
+    }
+
+    const origin = attackers[0];
+    const blades = [];
+    grid.forEach((row, y) =>
+      row.forEach((char, x) => {
+        if (BLADE_CHARS.includes(char)) {
+          blades.push({ dx: x - origin.x, dy: y - origin.y, char });
+        }
+      })
+    );
+    frames.push({ grid, origin, blades });
+  }
+  return frames;
+}
+
+/**
+ * Reads an animation file: from disk under Node, over HTTP in the browser
+ * @param {URL} url - Where the file is
+ * @returns {Promise<string>} - Its text
+ */
+async function readAnimationFile(url) {
+  if (url.protocol === "file:") {
+    const { readFile } = await import("node:fs/promises");
+    return readFile(url, "utf8");
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Can't load ${url.pathname}: ${response.status}`);
+  }
+  return response.text();
+}
+
+const ATTACK_ANIMATIONS = parseAttackAnimations(
+  await readAnimationFile(ATTACK_ANIMATION_FILE)
+);
+
+// Export functions
+export { ATTACK_ANIMATIONS, parseAttackAnimations };
@@ -0,0 +1,263 @@
+/**
+ * Combat Rules for Dungeon Terrain
+ *
+ * Attacks play out frame by frame (see attackAnimations.js). Every blade
+ * cell of the current frame hits whoever stands on it, once per attack.
+ * Damage is reduced by armor, weapons roll their status effects and the
+ * target is knocked back a tile. Blades that strike breakable terrain wear
+ * it down instead, until it crumbles into rubble.
+ */
+
+import { ATTACK_ANIMATIONS } from "./attackAnimations.js";
+import { getTile, canEnterTile } from "./tiles.js";
+import { Player } from "./entities.js";
+import { getBeingAt } from "./world.js";
+import { emitGameEvent } from "./game.js";
+
+// Cost and speed of each attack animation set (see attackAnimations.js).
+// Swings sweep the 3x3 square around the attacker, thrusts reach
+// further along a narrow line beside it. Sets not listed here use swing's.
+const ATTACK_KINDS = {
+  swing: {
+    staminaCost: 10, // Before weapon weight and endurance
+    frameMs: 100,
+  },
+  thrust: {
+    staminaCost: 14,
+    frameMs: 70,
+  },
+};
+
+// How much of a hit's damage wears down each material, by the weapon's
+// damage type; bare hands count as "unarmed" and anything not listed does
+// full damage. Blunt weapons break stone best.
+const MATERIAL_DAMAGE = {
+  stone: { blunt: 1.5, slash: 0.4, pierce: 0.25, magic: 0.75, unarmed: 0.1 },
+};
+
+// Stamina cost and frame time of an attack animation set
+function getAttackCosts(kind) {
+  return ATTACK_KINDS[kind] || ATTACK_KINDS.swing;
+}
+
+// Current animation frame of a being's attack, or null
+function getAttackFrame(being) {
+  const set = ATTACK_ANIMATIONS[being.attackKind];
+  return set.frames[being.direction][being.attackFrame] || null;
+}
+
+// Check if a position is within the current frame of a being's attack
+function isInAttackArea(x, y, being) {
+  const frame = getAttackFrame(being);
+  if (!frame) return false;
+  const row = frame.grid[y - being.y + frame.origin.y];
+  return (
+    Boolean(row && row[x - being.x + frame.origin.x]) &&
+    !(x === being.x && y === being.y) // Exclude the attacker's position
+  );
+}
+
+// Hit whoever and whatever breakable terrain the blades of the current
+// frame cover
+function checkAttackHits(game, attacker) {
+  const map = game.maps[attacker.floor];
+  const attackFrame = attacker.attackFrame;
+  const playerDirection = attacker.direction;
+  // Bots swing constantly, only log the players' swings
+  const logHits = attacker instanceof Player;
+
+  const frame = getAttackFrame(attacker);
+  if (!frame) return;
+
+  // Log the current attack frame and direction
+  if (logHits) {
+    console.log(
+      `${attacker.name}: ${attacker.attackKind} frame ${attackFrame + 1}/${
+        ATTACK_ANIMATIONS[attacker.attackKind].frames[playerDirection].length
+      }, Direction: ${["DOWN", "RIGHT", "UP", "LEFT"][playerDirection]}`
+    );
+  }
+
+  // Only the blade cells of the frame can hit
+  for (const { dx, dy, char } of frame.blades) {
+    const x = attacker.x + dx;
+    const y = attacker.y + dy;
+
+    // Make sure we're within map boundaries
+    if (x < 0 || x >= game.width || y < 0 || y >= game.height) continue;
+    const cell = map[y * game.width + x];
+
+    // The blade hits whoever stands here, once per swing
+    const target = getBeingAt(game, attacker.floor, x, y);
+    const index = y * game.width + x;
+    if (target && !attacker.hitTargets.has(target)) {
+      attacker.hitTargets.add(target);
+      resolveHit(game, attacker, target, dx, dy);
+    } else if (
+      !target &&
+      getTile(game, attacker.floor, cell).durability > 0 &&
+      !attacker.hitTargets.has(index)
+    ) {
+      // Terrain is struck once per swing too, keyed by its index
+      attacker.hitTargets.add(index);
+      resolveTerrainHit(game, attacker, x, y, logHits);
+    } else if (!logHits) {
+      continue;
+    } else if (!target && !canEnterTile(game, attacker.floor, x, y)) {
+      console.log(
+        `🛡️ HIT: ${getTile(game, attacker.floor, cell).name} at offset ` +
+          `(${dx},${dy}) with ${char} holds`
+      );
+    } else if (!target) {
+      // Log empty swing
+      console.log(`➖ Swing: Empty at offset (${dx},${dy}) with ${char}`);
+    }
+  }
+}
+
+// Armor defense at which a hit is reduced by half
+const ARMOR_HALF_DAMAGE_DEFENSE = 50;
+
+/**
+ * Applies one blade hit: weapon damage scaled by the attacker's stats,
+ * reduced by the target's armor, plus status effect rolls and knockback
+ * @param {Object} game - The game both beings are in
+ * @param {Being} attacker - The being swinging
+ * @param {Being} target - The being caught by the blade
+ * @param {number} dx - Horizontal offset of the target from the attacker
+ * @param {number} dy - Vertical offset of the target from the attacker
+ */
+function resolveHit(game, attacker, target, dx, dy) {
+  const rawDamage = attacker.calculateDamage();
+  const defense = target.getDefense();
+  const damage = Math.max(
+    1,
+    Math.round(
+      (rawDamage * ARMOR_HALF_DAMAGE_DEFENSE) /
+        (ARMOR_HALF_DAMAGE_DEFENSE + defense)
+    )
+  );
+
+  const died = target.takeDamage(damage);
+  if (attacker instanceof Player || target instanceof Player) {
+    console.log(
+      `⚔️ ${attacker.name} hit ${target.name} for ${damage} ` +
+        `(${rawDamage} before ${defense} defense), ` +
+        `${target.stats.health}/${target.stats.maxHealth} HP left`
+    );
+  }
+
+  if (died) {
+    handleDeath(game, target, attacker);
+    return;
+  }
+
+  const weapon = attacker.getCurrentWeapon();
+  if (weapon) {
+    weapon.applyStatusEffects(target, attacker);
+  }
+
+  knockBack(game, target, dx, dy);
+}
+
+/**
+ * Wears down a breakable tile struck by a blade: the hit's damage, scaled
+ * by how well the weapon's damage type works on the tile's material. A
+ * tile worn past its durability turns into its rubble for good.
+ * @param {Object} game - The game
+ * @param {Being} attacker - The being swinging
+ * @param {number} x - Tile X position on the attacker's floor
+ * @param {number} y - Tile Y position on the attacker's floor
+ * @param {boolean} log - Whether to log the hit
+ * @returns {boolean} - Whether the tile broke
+ */
+function resolveTerrainHit(game, attacker, x, y, log = false) {
+  const floor = attacker.floor;
+  const map = game.maps[floor];
+  const index = y * game.width + x;
+  const tile = getTile(game, floor, map[index]);
+  if (tile.durability <= 0) return false;
+
+  const weapon = attacker.getCurrentWeapon();
+  const damageType = weapon ? weapon.damageType : "unarmed";
+  const scale = (MATERIAL_DAMAGE[tile.material] || {})[damageType];
+  const damage = attacker.calculateDamage() * (scale === undefined ? 1 : scale);
+
+  // Wear is kept per floor until the tile breaks (see createDungeon)
+  const wear = game.tileWear[floor];
+  wear[index] = Math.round(((wear[index] || 0) + damage) * 10) / 10;
+  if (wear[index] < tile.durability) {
+    if (log) {
+      console.log(
+        `🔥 HIT: ${tile.name} at (${x},${y}) for ${damage.toFixed(1)}, ` +
+          `${Math.ceil(tile.durability - wear[index])} durability left`
+      );
+    }
+    return false;
+  }
+
+  delete wear[index];
+  map[index] = tile.rubble;
+  console.log(
+    `💥 ${attacker.name} broke through the ${tile.name} at (${x},${y})`
+  );
+  emitGameEvent(game, "change", { floor: floor });
+  return true;
+}
+
+// Push a being one tile in the direction of (dx, dy) if there's room, into
+// water or lava as readily as onto floor. A blade's offset can be several
+// tiles out, but only ever moves its target one.
+function knockBack(game, being, dx, dy) {
+  const newX = being.x + Math.sign(dx);
+  const newY = being.y + Math.sign(dy);
+  if (
+    newX < 0 ||
+    newX >= game.width ||
+    newY < 0 ||
+    newY >= game.height ||
+    !canEnterTile(game, being.floor, newX, newY) ||
+    getBeingAt(game, being.floor, newX, newY)
+  ) {
+    return false;
+  }
+
+  being.cancelAttack();
+  being.x = newX;
+  being.y = newY;
+  return true;
+}
+
+// Take a being out of the match and check whether it's over.
+// The killer may be null for deaths by status effect alone.
+function handleDeath(game, being, killer, cause = null) {
+  being.cancelAttack();
+  const by = killer ? killer.name : cause;
+  if (killer) killer.kills++;
+  console.log(`💀 ${being.name} was killed by ${by}`);
+  emitGameEvent(game, "death", { being, killer, cause: by });
+
+  const survivors = game.beings.filter((b) => !b.isDead());
+  if (survivors.length === 1 && !game.gameOver) {
+    const winner = survivors[0];
+    game.gameOver = true;
+    game.winner = winner;
+    console.log(`🏆 ${winner.name} is the last one standing`);
+    emitGameEvent(game, "gameover", { winner });
+  }
+}
+
+// Export functions
+export {
+  ATTACK_KINDS,
+  MATERIAL_DAMAGE,
+  ARMOR_HALF_DAMAGE_DEFENSE,
+  getAttackCosts,
+  getAttackFrame,
+  isInAttackArea,
+  checkAttackHits,
+  resolveHit,
+  resolveTerrainHit,
+  knockBack,
+  handleDeath,
+};
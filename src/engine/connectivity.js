@@ -0,0 +1,238 @@
+/**
+ * Floor Connectivity for Dungeon Terrain
+ *
+ * Generators can leave pockets of floor sealed off from the rest. These
+ * passes find them and either carve a path to the main region or fill them
+ * in, so every stair, item and spawn point can be reached.
+ */
+
+import { getTile, isNavigable } from "./tiles.js";
+
+// Regions smaller than this are filled in rather than connected
+const MIN_REGION_SIZE = 6;
+
+// Flood-fills the navigable tiles of a floor into connected regions,
+// using the same 4-way movement as moveBeing. Only ground that can be
+// walked without harm counts, so no floor relies on swimming or lava.
+function findNavigableRegions(dungeon, floor) {
+  const { width, height } = dungeon;
+  const regionOf = new Int32Array(width * height).fill(-1);
+  const regions = [];
+  const queue = new Int32Array(width * height);
+
+  for (let start = 0; start < width * height; start++) {
+    if (
+      regionOf[start] !== -1 ||
+      !isNavigable(dungeon, floor, start % width, Math.floor(start / width))
+    ) {
+      continue;
+    }
+
+    const region = { id: regions.length, tiles: [] };
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    regionOf[start] = region.id;
+
+    while (head < tail) {
+      const index = queue[head++];
+      region.tiles.push(index);
+      const x = index % width;
+      const y = Math.floor(index / width);
+
+      for (const [dx, dy] of [
+        [0, 1],
+        [1, 0],
+        [0, -1],
+        [-1, 0],
+      ]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+          continue;
+        }
+        const next = ny * width + nx;
+        if (regionOf[next] === -1 && isNavigable(dungeon, floor, nx, ny)) {
+          regionOf[next] = region.id;
+          queue[tail++] = next;
+        }
+      }
+    }
+
+    regions.push(region);
+  }
+
+  return { regionOf, regions };
+}
+
+// Carves the shortest path from a region to any tile already marked
+// as connected. Bridgeable tiles such as water and lava get bridges,
+// anything else becomes floor. Returns the tile indices along the path.
+function carvePathToConnected(dungeon, floor, region, connected) {
+  const { width, height } = dungeon;
+  const map = dungeon.maps[floor];
+  const parent = new Int32Array(width * height).fill(-1);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  for (const index of region.tiles) {
+    parent[index] = index;
+    queue[tail++] = index;
+  }
+
+  let target = -1;
+  while (head < tail && target === -1) {
+    const index = queue[head++];
+    const x = index % width;
+    const y = Math.floor(index / width);
+
+    for (const [dx, dy] of [
+      [0, 1],
+      [1, 0],
+      [0, -1],
+      [-1, 0],
+    ]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+        continue;
+      }
+      const next = ny * width + nx;
+      if (parent[next] !== -1) continue;
+      parent[next] = index;
+      if (connected[next]) {
+        target = next;
+        break;
+      }
+      queue[tail++] = next;
+    }
+  }
+
+  if (target === -1) return [];
+
+  // Walk back from the connected tile to the region, carving as we go
+  const path = [];
+  let index = parent[target];
+  while (parent[index] !== index) {
+    if (getTile(dungeon, floor, map[index]).bridgeable) {
+      map[index] = "=";
+    } else if (
+      !isNavigable(dungeon, floor, index % width, Math.floor(index / width))
+    ) {
+      map[index] = ".";
+    }
+    path.push(index);
+    index = parent[index];
+  }
+
+  return path;
+}
+
+// Fills a pocket with whatever blocking tile surrounds it most
+function fillRegion(dungeon, floor, region) {
+  const { width, height } = dungeon;
+  const map = dungeon.maps[floor];
+  const counts = {};
+  for (const index of region.tiles) {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    for (const [dx, dy] of [
+      [0, 1],
+      [1, 0],
+      [0, -1],
+      [-1, 0],
+    ]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+        continue;
+      }
+      if (!isNavigable(dungeon, floor, nx, ny)) {
+        const cell = map[ny * width + nx];
+        counts[cell] = (counts[cell] || 0) + 1;
+      }
+    }
+  }
+
+  let fill = "#";
+  let best = 0;
+  for (const [cell, count] of Object.entries(counts)) {
+    if (count > best) {
+      best = count;
+      fill = cell;
+    }
+  }
+
+  for (const index of region.tiles) {
+    map[index] = fill;
+  }
+}
+
+/**
+ * Post-generation pass that leaves every navigable tile of a floor
+ * reachable from every other one. Small sealed pockets are filled in,
+ * larger ones get a corridor (or bridge) carved to the main region.
+ * @param {Object} dungeon - The dungeon whose floor to repair in place
+ * @param {number} floor - Floor index
+ * @returns {Object} - Region counts before and after the pass
+ */
+function ensureConnectivity(dungeon, floor) {
+  const { regionOf, regions } = findNavigableRegions(dungeon, floor);
+  const report = {
+    regionsBefore: regions.length,
+    connected: 0,
+    removed: 0,
+    tilesCarved: 0,
+    regionsAfter: 0,
+  };
+
+  if (regions.length > 1) {
+    const connected = new Uint8Array(dungeon.width * dungeon.height);
+    const merged = new Uint8Array(regions.length);
+    const merge = (region) => {
+      merged[region.id] = 1;
+      for (const index of region.tiles) {
+        connected[index] = 1;
+      }
+    };
+
+    // Largest region first; everything else gets attached to it
+    const bySize = regions
+      .slice()
+      .sort((a, b) => b.tiles.length - a.tiles.length);
+    merge(bySize[0]);
+
+    for (let i = 1; i < bySize.length; i++) {
+      const region = bySize[i];
+      // Already joined by a corridor carved for an earlier region
+      if (merged[region.id]) continue;
+
+      if (region.tiles.length < MIN_REGION_SIZE) {
+        fillRegion(dungeon, floor, region);
+        report.removed++;
+        continue;
+      }
+
+      const path = carvePathToConnected(dungeon, floor, region, connected);
+      for (const index of path) {
+        if (regionOf[index] === -1) {
+          report.tilesCarved++;
+          connected[index] = 1;
+        } else if (!merged[regionOf[index]]) {
+          // The corridor ran through another pocket, which now
+          // belongs to the main region too
+          merge(regions[regionOf[index]]);
+        }
+      }
+      merge(region);
+      report.connected++;
+    }
+  }
+
+  report.regionsAfter = findNavigableRegions(dungeon, floor).regions.length;
+  return report;
+}
+
+// Export functions
+export { MIN_REGION_SIZE, findNavigableRegions, ensureConnectivity };
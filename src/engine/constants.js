@@ -0,0 +1,21 @@
+/**
+ * Shared Constants for Dungeon Terrain
+ *
+ * Directions and settings used across the engine. Settings that only
+ * matter to one module live next to the code that uses them, and the size
+ * and themes of the floors belong to each dungeon (see getDungeonShape).
+ */
+
+// Unit steps for each direction (down, right, up, left)
+const DIRECTION_VECTORS = [
+  [0, 1],
+  [1, 0],
+  [0, -1],
+  [-1, 0],
+];
+
+// Battle royale settings
+const TOTAL_PLAYERS = 100; // Players plus bots
+
+// Export constants
+export { DIRECTION_VECTORS, TOTAL_PLAYERS };
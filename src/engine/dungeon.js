@@ -0,0 +1,160 @@
+/**
+ * Dungeon Generation for Dungeon Terrain
+ *
+ * Builds all floors of a run from its seed: the terrain of each theme,
+ * repairs so every floor is one connected region, stairs linking the floors
+ * and the items lying on them.
+ */
+
+import { deriveRNG } from "./random.js";
+import { GENERATORS } from "./terrain.js";
+import { ensureConnectivity } from "./connectivity.js";
+import { distributeItems, updateMapWithItems } from "./itemSystem.js";
+import { LOOT_TABLE } from "./lootTables.js";
+import {
+  DUNGEON_CONFIG,
+  getFloorStairs,
+  getDungeonShape,
+} from "./dungeonConfig.js";
+
+// Random spots tried for a stair before picking among the open tiles left
+const STAIR_ATTEMPTS = 1000;
+
+// A floor tile ('.') for a stair. Open floors find one at the first few
+// tries; a crowded one falls back to a list of what's still open.
+function findStairSpot(dungeon, floor, rng) {
+  const map = dungeon.maps[floor];
+  for (let attempt = 0; attempt < STAIR_ATTEMPTS; attempt++) {
+    const pos = Math.floor(rng.random() * dungeon.width * dungeon.height);
+    if (map[pos] === ".") return pos;
+  }
+  const open = [];
+  map.forEach((tile, pos) => {
+    if (tile === ".") open.push(pos);
+  });
+  if (!open.length) {
+    throw new Error(`Floor ${floor} has no room left for its stairs`);
+  }
+  return open[Math.floor(rng.random() * open.length)];
+}
+
+/**
+ * Generates every floor of a dungeon from its seed: terrain, connectivity
+ * repairs, linked stairs and items. The dungeon keeps its own floor size
+ * and themes (see getDungeonShape), so dungeons of any shape can be played
+ * side by side.
+ * @param {string|number} seed - The dungeon seed
+ * @param {Object} lootTable - Table the floors' items are rolled from (see
+ *   lootTables.js)
+ * @param {Object} config - Floor size and what each floor is made of (see
+ *   dungeonConfig.js); check it with checkDungeonConfig first
+ * @returns {Object} - { maps, floorItems, stairLinks, floorConnectivity,
+ *   itemRNGs, tileWear }, all indexed by floor, with the config, the floor
+ *   size and the themes
+ */
+function createDungeon(seed, lootTable = LOOT_TABLE, config = DUNGEON_CONFIG) {
+  const dungeon = { ...getDungeonShape(config), maps: [] };
+  const { width, height, themes, maps } = dungeon;
+  console.log(
+    `Initializing ${themes.length} ${width}x${height} maps ` +
+      `with seed "${seed}"...`
+  );
+
+  // Each floor, its stairs and its items get their own stream derived
+  // from the dungeon seed, so one floor never shifts another's layout
+  const itemRNGs = [];
+  for (let i = 0; i < themes.length; i++) {
+    itemRNGs.push(deriveRNG(seed, "items", i));
+  }
+
+  config.floors.forEach(({ generator, params }, i) => {
+    if (!GENERATORS[generator]) {
+      throw new Error(`Unknown generator "${generator}" for floor ${i}`);
+    }
+    console.log(`Generating map ${i}: ${generator}`);
+    maps.push(
+      GENERATORS[generator](deriveRNG(seed, "floor", i), params, {
+        width,
+        height,
+      })
+    );
+  });
+
+  console.log("Checking floor connectivity...");
+  // Repair sealed pockets before anything is placed, so every stair,
+  // item and spawn point lands in the one remaining region
+  const floorConnectivity = [];
+  for (let i = 0; i < maps.length; i++) {
+    const report = ensureConnectivity(dungeon, i);
+    floorConnectivity.push(report);
+    console.log(
+      `Map ${i}: ${report.regionsBefore} regions -> ${report.regionsAfter} ` +
+        `(${report.connected} connected, ${report.removed} removed, ` +
+        `${report.tilesCarved} tiles carved)`
+    );
+    if (report.regionsAfter > 1) {
+      console.error(`ERROR: Map ${i} is still split after repair`);
+    }
+  }
+
+  console.log("Adding stairs to maps...");
+  // Add stairs
+  const upStairs = [];
+  const downStairs = [];
+  for (let i = 0; i < maps.length; i++) {
+    const rng = deriveRNG(seed, "stairs", i);
+    upStairs.push([]);
+    downStairs.push([]);
+    if (i > 0) {
+      for (let s = 0; s < getFloorStairs(config, i - 1); s++) {
+        const pos = findStairSpot(dungeon, i, rng);
+        maps[i][pos] = "<";
+        upStairs[i].push(pos);
+      }
+    }
+    if (i < maps.length - 1) {
+      for (let s = 0; s < getFloorStairs(config, i); s++) {
+        const pos = findStairSpot(dungeon, i, rng);
+        maps[i][pos] = ">";
+        downStairs[i].push(pos);
+      }
+    }
+  }
+
+  // Pair the n-th '>' of each floor with the n-th '<' of the next
+  const stairLinks = maps.map(() => ({}));
+  for (let i = 0; i < maps.length - 1; i++) {
+    downStairs[i].forEach((down, s) => {
+      const up = upStairs[i + 1][s];
+      stairLinks[i][down] = { floor: i + 1, index: up };
+      stairLinks[i + 1][up] = { floor: i, index: down };
+    });
+  }
+
+  console.log("Distributing items on maps...");
+  // Distribute items on each map
+  const floorItems = [];
+  for (let i = 0; i < maps.length; i++) {
+    console.log(`Distributing items on map ${i}...`);
+    floorItems.push(distributeItems(dungeon, itemRNGs[i], i, lootTable));
+    updateMapWithItems(maps[i], floorItems[i], width);
+  }
+
+  console.log("Maps initialization complete!");
+  // Damage taken so far by breakable tiles, by tile index (see
+  // resolveTerrainHit)
+  const tileWear = maps.map(() => ({}));
+
+  return {
+    ...dungeon,
+    floorItems,
+    stairLinks,
+    floorConnectivity,
+    itemRNGs,
+    tileWear,
+    config,
+  };
+}
+
+// Export functions
+export { createDungeon };
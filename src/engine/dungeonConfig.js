@@ -0,0 +1,260 @@
+/**
+ * Dungeon Configuration for Dungeon Terrain
+ *
+ * What a dungeon is made of: how big its floors are and, floor by floor,
+ * the generator that builds it (see registerGenerator in terrain.js), that
+ * generator's parameters and how many stairs lead down from it. Like loot
+ * tables, configurations are plain data, so they can be read from JSON:
+ *
+ *   { "width": 120, "height": 80, "stairsPerFloor": 3,
+ *     "floors": [
+ *       { "generator": "caves", "params": { "fillRatio": 0.5 } },
+ *       { "generator": "maze", "params": { "rooms": 40 }, "stairs": 2 },
+ *       "islands"
+ *     ] }
+ *
+ * A floor given as a string is just its generator. A floor's theme, which
+ * decides its tiles and loot, is its generator's name unless it sets
+ * "theme". "floorCount" repeats the floors, or cuts them short, to that many.
+ *
+ * Parameters each generator takes, with their defaults (the values each
+ * copes with are registered with its generator, see GENERATOR_PARAMS):
+ *   caves      fillRatio 0.45, smoothing 5
+ *   terrain    waterLevel 0.3, mountainLevel 0.7, paths 30
+ *   maze       rooms 100
+ *   islands    waterLevel 0.4
+ *   forest     treeDensity 0.6
+ *   rivers     rivers 8, bridgeChance 0.1
+ *   mountains  mountainLevel 0.5
+ *   urban      blockSize 15, streetWidth 3
+ *   volcanic   lavaLevel 0.3, rockLevel 0.6
+ *   hybrid     waterLevel 0.2, mountainLevel 0.4, wallLevel 0.6
+ *   arena      radius 0.4, boulders 80
+ */
+
+import { GENERATORS, GENERATOR_PARAMS } from "./terrain.js";
+
+// The dungeon every run uses unless it's given another
+const DUNGEON_CONFIG = {
+  width: 100,
+  height: 100,
+  stairsPerFloor: 5, // Of each kind, '<' and '>'
+  floors: [
+    { generator: "caves" },
+    { generator: "terrain" },
+    { generator: "maze" },
+    { generator: "islands" },
+    { generator: "forest" },
+    { generator: "rivers" },
+    { generator: "mountains" },
+    { generator: "urban" },
+    { generator: "volcanic" },
+    { generator: "hybrid" },
+    { generator: "arena" },
+  ],
+};
+
+// Smallest and largest floors, dungeons and stair counts the generators
+// cope with
+const DUNGEON_LIMITS = {
+  width: [40, 400],
+  height: [40, 400],
+  floors: [1, 50],
+  stairs: [1, 50], // Of each kind on a floor
+};
+
+// Whether a value is a whole number within a [min, max] range
+function inRange(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Builds a configuration from a partial one, such as one read from JSON
+ * or the URL, taking whatever it leaves out from DUNGEON_CONFIG. A
+ * floorCount outside DUNGEON_LIMITS builds no floors at all, for
+ * checkDungeonConfig to report.
+ * @param {Object} overrides - Any of the fields of DUNGEON_CONFIG, plus
+ *   floorCount
+ * @returns {Object} - The complete configuration
+ */
+function createDungeonConfig(overrides = {}) {
+  const { floorCount, ...fields } = overrides;
+  const listed = (fields.floors || DUNGEON_CONFIG.floors).map((floor) =>
+    typeof floor === "string" ? { generator: floor } : { ...floor }
+  );
+  let count = listed.length;
+  if (floorCount !== undefined) {
+    count = inRange(floorCount, DUNGEON_LIMITS.floors) ? floorCount : 0;
+  }
+
+  return {
+    ...DUNGEON_CONFIG,
+    ...fields,
+    floors: Array.from({ length: count }, (_, floor) => ({
+      ...listed[floor % listed.length],
+    })),
+  };
+}
+
+/**
+ * Finds everything wrong with a configuration
+ * @param {Object} config - Result of createDungeonConfig
+ * @returns {Array} - Error messages, empty if it can be used
+ */
+function checkDungeonConfig(config) {
+  const errors = [];
+
+  for (const field of ["width", "height"]) {
+    if (!inRange(config[field], DUNGEON_LIMITS[field])) {
+      errors.push(
+        `The ${field} has to be a whole number from ` +
+          DUNGEON_LIMITS[field].join(" to ")
+      );
+    }
+  }
+  if (
+    !Array.isArray(config.floors) ||
+    !inRange(config.floors.length, DUNGEON_LIMITS.floors)
+  ) {
+    errors.push(`A dungeon has ${DUNGEON_LIMITS.floors.join(" to ")} floors`);
+    return errors;
+  }
+  if (!inRange(config.stairsPerFloor, DUNGEON_LIMITS.stairs)) {
+    errors.push(
+      "stairsPerFloor has to be a whole number from " +
+        DUNGEON_LIMITS.stairs.join(" to ")
+    );
+  }
+
+  config.floors.forEach((floor, index) => {
+    if (!GENERATORS[floor.generator]) {
+      errors.push(
+        `Floor ${index}: unknown generator "${floor.generator}" ` +
+          `(one of ${Object.keys(GENERATORS).join(", ")})`
+      );
+    }
+    if (
+      floor.params !== undefined &&
+      (typeof floor.params !== "object" || Array.isArray(floor.params))
+    ) {
+      errors.push(`Floor ${index}: params has to be an object`);
+    } else if (floor.params && GENERATORS[floor.generator]) {
+      errors.push(...checkGeneratorParams(floor, index));
+    }
+    if (
+      floor.stairs !== undefined &&
+      !inRange(floor.stairs, DUNGEON_LIMITS.stairs)
+    ) {
+      errors.push(
+        `Floor ${index}: stairs has to be a whole number from ` +
+          DUNGEON_LIMITS.stairs.join(" to ")
+      );
+    }
+  });
+  return errors;
+}
+
+// Everything wrong with the parameters of one floor's generator
+function checkGeneratorParams(floor, index) {
+  const errors = [];
+  const specs = GENERATOR_PARAMS[floor.generator] || {};
+  for (const [name, value] of Object.entries(floor.params)) {
+    const spec = specs[name];
+    if (!spec) {
+      const known = Object.keys(specs);
+      errors.push(
+        `Floor ${index}: ${floor.generator} has no parameter "${name}"` +
+          (known.length ? ` (only ${known.join(", ")})` : "")
+      );
+      continue;
+    }
+    const [min, max] = spec.range;
+    const valid = spec.whole ? Number.isInteger(value) : Number.isFinite(value);
+    if (!valid || value < min || value > max) {
+      errors.push(
+        `Floor ${index}: ${name} has to be a ` +
+          `${spec.whole ? "whole number" : "number"} from ${min} to ${max}`
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Reads a configuration from the text of a JSON file
+ * @param {string} text - The file's contents
+ * @returns {Object} - { config, errors }, config being null if the text
+ *   isn't JSON
+ */
+function parseDungeonConfig(text) {
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [`Not JSON: ${error.message}`] };
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return { config: null, errors: ["A dungeon configuration is an object"] };
+  }
+  const config = createDungeonConfig(overrides);
+  return { config, errors: checkDungeonConfig(config) };
+}
+
+/**
+ * Reads configuration overrides from URL parameters:
+ *   ?width=120&height=80&floorCount=5&generators=caves,maze&stairs=3
+ * @param {URLSearchParams} params - The page's parameters
+ * @returns {Object} - Overrides for createDungeonConfig
+ */
+function dungeonConfigFromParams(params) {
+  const overrides = {};
+  const number = (name) =>
+    params.has(name) ? Number(params.get(name)) : undefined;
+
+  if (params.has("width")) overrides.width = number("width");
+  if (params.has("height")) overrides.height = number("height");
+  if (params.has("floorCount")) overrides.floorCount = number("floorCount");
+  if (params.has("stairs")) overrides.stairsPerFloor = number("stairs");
+  if (params.has("generators")) {
+    overrides.floors = params
+      .get("generators")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name);
+  }
+  return overrides;
+}
+
+// Stairs leading down from a floor, and up into the one below it
+function getFloorStairs(config, floor) {
+  const own = config.floors[floor].stairs;
+  return own === undefined ? config.stairsPerFloor : own;
+}
+
+/**
+ * The shape of the dungeon a configuration builds: what every module that
+ * works with floors needs to know about them. Dungeons and games carry it
+ * (see createDungeon).
+ * @param {Object} config - Result of createDungeonConfig
+ * @returns {Object} - { width, height, themes }, themes holding the theme
+ *   of each floor; there are as many floors as themes
+ */
+function getDungeonShape(config) {
+  return {
+    width: config.width,
+    height: config.height,
+    themes: config.floors.map((floor) => floor.theme || floor.generator),
+  };
+}
+
+// Export functions
+export {
+  DUNGEON_CONFIG,
+  DUNGEON_LIMITS,
+  createDungeonConfig,
+  checkDungeonConfig,
+  parseDungeonConfig,
+  dungeonConfigFromParams,
+  getFloorStairs,
+  getDungeonShape,
+};
@@ -0,0 +1,170 @@
+/**
+ * Encumbrance for Dungeon Terrain
+ *
+ * Items weigh something. Everything a being carries, worn or not, has to fit
+ * in its carry capacity, which grows with strength and endurance; pickups
+ * that would go over it are refused. What it wears and wields is its equip
+ * load, and the share of its endurance-based maximum that load takes puts
+ * it in a load tier. Heavier tiers step slower, swing slower and spend more
+ * stamina per swing.
+ */
+
+// How long a plain step takes, like key repeat, unless the being has a
+// pace of its own (stepMs; bots step once per think). The load tier's
+// delay adds to it and a tile's moveCost scales the whole.
+const BASE_STEP_MS = 60;
+
+// Carry capacity: base plus per point of strength and endurance
+const BASE_CAPACITY = 40;
+const STRENGTH_CAPACITY = 3;
+const ENDURANCE_CAPACITY = 2;
+
+// Maximum equip load: base plus per point of endurance
+const BASE_EQUIP_LOAD = 25;
+const ENDURANCE_EQUIP_LOAD = 2;
+
+// Tiers by the share of the maximum equip load in use, lightest first.
+// moveDelayMs is the least time between steps, attackFrameScale stretches
+// each attack frame and staminaScale multiplies the stamina per swing.
+const LOAD_TIERS = [
+  {
+    name: "light",
+    upTo: 0.3,
+    moveDelayMs: 0,
+    attackFrameScale: 1,
+    staminaScale: 1,
+  },
+  {
+    name: "medium",
+    upTo: 0.7,
+    moveDelayMs: 40,
+    attackFrameScale: 1.1,
+    staminaScale: 1.1,
+  },
+  {
+    name: "heavy",
+    upTo: 1,
+    moveDelayMs: 90,
+    attackFrameScale: 1.25,
+    staminaScale: 1.3,
+  },
+  {
+    name: "overloaded",
+    upTo: Infinity,
+    moveDelayMs: 200,
+    attackFrameScale: 1.5,
+    staminaScale: 1.6,
+  },
+];
+
+// Weight of an inventory entry, the whole stack
+function stackWeight(item) {
+  return (item.weight || 0) * (item.quantity || 1);
+}
+
+// Everything a being wears and wields, weapons in both hands included
+function getWornItems(being) {
+  const equipment = being.equipment;
+  return [
+    equipment.head,
+    equipment.chest,
+    equipment.legs,
+    equipment.arms,
+    ...equipment.rightHand,
+    ...equipment.leftHand,
+    ...equipment.rings,
+    ...equipment.talismans,
+  ].filter((item) => item);
+}
+
+// Most weight a being can carry, worn or not
+function getCarryCapacity(being) {
+  return (
+    BASE_CAPACITY +
+    being.stats.strength * STRENGTH_CAPACITY +
+    being.stats.endurance * ENDURANCE_CAPACITY
+  );
+}
+
+// Weight of the worn items plus the inventory
+function getCarriedWeight(being) {
+  return (
+    getEquipLoad(being) +
+    being.inventory.reduce((sum, item) => sum + stackWeight(item), 0)
+  );
+}
+
+// Weight of the worn items alone; each slot holds a single item
+function getEquipLoad(being) {
+  return getWornItems(being).reduce((sum, item) => sum + (item.weight || 0), 0);
+}
+
+// Equip load at which a being is fully loaded
+function getMaxEquipLoad(being) {
+  return BASE_EQUIP_LOAD + being.stats.endurance * ENDURANCE_EQUIP_LOAD;
+}
+
+/**
+ * Finds the load tier a being is in. Carrying more than its capacity
+ * overloads it whatever it wears.
+ * @param {Object} being - Any Being
+ * @returns {Object} - The LOAD_TIERS entry
+ */
+function getLoadTier(being) {
+  if (getCarriedWeight(being) > getCarryCapacity(being)) {
+    return LOAD_TIERS[LOAD_TIERS.length - 1];
+  }
+  const ratio = getEquipLoad(being) / Math.max(1, getMaxEquipLoad(being));
+  return LOAD_TIERS.find((tier) => ratio <= tier.upTo);
+}
+
+/**
+ * Least time between a being's steps off a tile: its plain step plus the
+ * load tier's delay, stretched by slower tiles (moveCost above 1) and
+ * shortened by quicker ones
+ * @param {Object} being - Any Being
+ * @param {number} moveCost - moveCost of the tile stepped off (see tiles.js)
+ * @returns {number} - Milliseconds
+ */
+function getStepDelay(being, moveCost = 1) {
+  const base = being.stepMs || BASE_STEP_MS;
+  return Math.round((base + getLoadTier(being).moveDelayMs) * moveCost);
+}
+
+// Whether picking up an item keeps a being within its carry capacity
+function canCarry(being, item) {
+  return (
+    getCarriedWeight(being) + (item.weight || 0) <= getCarryCapacity(being)
+  );
+}
+
+/**
+ * Summarizes a being's load for display
+ * @param {Object} being - Any Being
+ * @returns {Object} - { carried, capacity, equipLoad, maxEquipLoad, tier },
+ *   weights rounded to one decimal and tier the tier's name
+ */
+function describeLoad(being) {
+  const round = (weight) => Math.round(weight * 10) / 10;
+  return {
+    carried: round(getCarriedWeight(being)),
+    capacity: round(getCarryCapacity(being)),
+    equipLoad: round(getEquipLoad(being)),
+    maxEquipLoad: round(getMaxEquipLoad(being)),
+    tier: getLoadTier(being).name,
+  };
+}
+
+// Export functions
+export {
+  BASE_STEP_MS,
+  LOAD_TIERS,
+  getCarryCapacity,
+  getCarriedWeight,
+  getEquipLoad,
+  getMaxEquipLoad,
+  getLoadTier,
+  getStepDelay,
+  canCarry,
+  describeLoad,
+};
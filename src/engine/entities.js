@@ -0,0 +1,768 @@
+/**
+ * Beings for Dungeon Terrain
+ *
+ * Being holds everything a combatant has: stats, equipment, inventory,
+ * status effects and its attack animation. Player is a being controlled by
+ * a person, Bot one that decides for itself. Each being keeps a reference
+ * to the game it was added to, which is how it reaches the maps and the
+ * other beings.
+ */
+
+import { DIRECTION_VECTORS } from "./constants.js";
+import { getStatusModifier } from "./items.js";
+import { pickupItem, autoEquipItem } from "./itemSystem.js";
+import { ATTACK_ANIMATIONS } from "./attackAnimations.js";
+import { getLoadTier, getStepDelay } from "./encumbrance.js";
+import { getZoneState, isOutsideZone } from "./safeZone.js";
+import { getTileAt, isNavigable } from "./tiles.js";
+import { getAttackCosts, checkAttackHits, handleDeath } from "./combat.js";
+import {
+  getBeingAt,
+  findNearestBeing,
+  findNearestItemTile,
+  takeStairs,
+  countLivingBeings,
+} from "./world.js";
+import { AI_TICK_MS, emitGameEvent, getGameTime } from "./game.js";
+
+// Status effects advance once per status tick (see STATUS_TICK_MS)
+const POOL_STATS = ["health", "stamina"]; // Drained per tick, not lowered
+const MAX_STATUS_STACKS = 3; // Repeats of a damage-over-time effect
+
+// Derived stats
+const VITALITY_HEALTH = 5; // Max health per point of vitality gained
+const ENDURANCE_STAMINA = 5; // Max stamina per point of endurance gained
+
+// Bot behaviour
+const BOT_SIGHT_RADIUS = 8; // Tiles within which bots notice others
+const BOT_LOOT_RADIUS = 6; // Tiles within which bots go for items
+const BOT_FLEE_THRESHOLD = 0.3; // Fraction of max health
+
+// Being class - base class for players and bots
+class Being {
+  constructor(x, y, char = "@", direction = 1) {
+    this.x = x;
+    this.y = y;
+    this.char = char;
+    this.direction = direction; // (0=down, 1=right, 2=up, 3=left)
+    this.floor = 0; // Index into the game's maps
+    this.name = "Being";
+    this.game = null; // Set when added to a game (see addBeing)
+
+    // Base stats, before equipment and status effects
+    this.baseStats = {
+      maxHealth: 100,
+      maxStamina: 100,
+      strength: 15,
+      dexterity: 12,
+      intelligence: 10,
+      faith: 8,
+      vitality: 14,
+      endurance: 13,
+      resistance: 11,
+      luck: 9,
+      sight: 8, // Field of view radius in tiles
+    };
+
+    // Equipment slots
+    this.equipment = {
+      head: null,
+      chest: null,
+      legs: null,
+      arms: null,
+      rightHand: [], // array to cycle through weapons
+      leftHand: [], // array to cycle through weapons
+      rings: [null, null], // two ring slots
+      talismans: [null, null, null], // three talisman slots
+    };
+
+    // Inventory
+    this.inventory = [];
+
+    // Status effects
+    this.buffs = [];
+    this.debuffs = [];
+
+    // Combat state
+    this.isAttacking = false;
+    this.attackKind = "swing";
+    this.attackFrame = 0;
+    this.attackSpeed = 100; // ms per frame
+    this.attackElapsed = 0; // Time the current frame has been shown
+    this.hitTargets = new Set();
+    this.kills = 0;
+    this.lastMoveAt = -Infinity; // Game time of the last step (see canStep)
+    this.regen = { health: 0, stamina: 0 }; // Points not yet recovered
+
+    // Effective stats, derived from the base stats (see recalculateStats)
+    this.stats = null;
+    this.recalculateStats();
+  }
+
+  // Items whose modifiers count towards the effective stats
+  getEquippedItems() {
+    return [
+      this.equipment.head,
+      this.equipment.chest,
+      this.equipment.legs,
+      this.equipment.arms,
+      ...this.equipment.rings,
+      ...this.equipment.talismans,
+    ].filter((item) => item);
+  }
+
+  // Rebuild the effective stats from the base stats plus equipped
+  // armor, rings and talismans and all active buffs and debuffs.
+  // Call whenever any of those change; health and stamina carry over.
+  recalculateStats() {
+    const stats = { ...this.baseStats, defense: 0 };
+    const add = (stat, value) => {
+      if (stats[stat] !== undefined) {
+        stats[stat] += value;
+      }
+    };
+
+    for (const item of this.getEquippedItems()) {
+      stats.defense += item.defense || 0;
+      Object.entries(item.statModifiers || {}).forEach(([stat, value]) =>
+        add(stat, value)
+      );
+    }
+
+    for (const status of [...this.buffs, ...this.debuffs]) {
+      if (status.effects) {
+        Object.entries(status.effects).forEach(([stat, value]) =>
+          add(stat, value)
+        );
+      }
+      // Tick-based penalties; pools are drained per tick instead
+      if (
+        status.ticksRemaining !== undefined &&
+        !POOL_STATS.includes(status.stat)
+      ) {
+        add(status.stat, status.amount);
+      }
+    }
+
+    // Vitality and endurance gained or lost change the pool sizes
+    stats.maxHealth +=
+      (stats.vitality - this.baseStats.vitality) * VITALITY_HEALTH;
+    stats.maxStamina +=
+      (stats.endurance - this.baseStats.endurance) * ENDURANCE_STAMINA;
+
+    // No stat drops below zero, and pools never below 1
+    for (const stat of Object.keys(stats)) {
+      stats[stat] = Math.max(0, stats[stat]);
+    }
+    stats.maxHealth = Math.max(1, stats.maxHealth);
+    stats.maxStamina = Math.max(1, stats.maxStamina);
+
+    // Keep the current pools, clamped to the new maximums
+    const previous = this.stats || {};
+    stats.health = Math.min(
+      previous.health !== undefined ? previous.health : stats.maxHealth,
+      stats.maxHealth
+    );
+    stats.stamina = Math.min(
+      previous.stamina !== undefined ? previous.stamina : stats.maxStamina,
+      stats.maxStamina
+    );
+
+    this.stats = stats;
+    return stats;
+  }
+
+  // Get current weapon from right hand
+  getCurrentWeapon() {
+    if (this.equipment.rightHand.length > 0) {
+      return this.equipment.rightHand[0]; // Get first item in right hand array
+    }
+    return null;
+  }
+
+  // Cycle through weapons in right hand
+  cycleRightHandWeapon() {
+    if (this.equipment.rightHand.length > 1) {
+      const weapon = this.equipment.rightHand.shift();
+      this.equipment.rightHand.push(weapon);
+      return true;
+    }
+    return false;
+  }
+
+  // Add item to inventory
+  addToInventory(item) {
+    console.log(
+      `DEBUG: addToInventory called with item:`,
+      JSON.stringify(item, null, 2)
+    );
+
+    if (!item) {
+      console.error(
+        "ERROR: Attempted to add null or undefined item to inventory"
+      );
+      console.trace("Stack trace for invalid item");
+      return;
+    }
+
+    // Check if item is stackable (e.g., consumables) and already exists
+    const existingItem = this.inventory.find(
+      (i) => i.id === item.id && i.type === item.type
+    );
+
+    console.log(
+      `DEBUG: Inventory before addition - ${this.inventory.length} items:`,
+      JSON.stringify(
+        this.inventory.map((i) => ({
+          id: i.id,
+          name: i.name,
+          type: i.type,
+        })),
+        null,
+        2
+      )
+    );
+
+    if (existingItem) {
+      console.log(
+        `Item already exists in inventory, increasing quantity from ${
+          existingItem.quantity
+        } to ${existingItem.quantity + (item.quantity || 1)}`
+      );
+      existingItem.quantity += item.quantity || 1;
+    } else {
+      console.log(`Adding new item to inventory: ${item.name}`);
+      // Make sure we're adding a proper copy of the item with all properties,
+      // keeping its class so methods like Weapon.calculateDamage still work
+      const itemToAdd = Object.assign(
+        Object.create(Object.getPrototypeOf(item)),
+        item,
+        { quantity: item.quantity || 1 }
+      );
+      console.log(
+        `DEBUG: Item being added:`,
+        JSON.stringify(itemToAdd, null, 2)
+      );
+      this.inventory.push(itemToAdd);
+    }
+
+    console.log(
+      `DEBUG: Inventory after addition - ${this.inventory.length} items`
+    );
+  }
+
+  // Remove item from inventory
+  removeFromInventory(itemId, quantity = 1) {
+    const index = this.inventory.findIndex((i) => i.id === itemId);
+
+    if (index >= 0) {
+      if (this.inventory[index].quantity > quantity) {
+        this.inventory[index].quantity -= quantity;
+      } else {
+        this.inventory.splice(index, 1);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  // Add a buff, timed in game time so that it waits out pauses
+  addBuff(buff) {
+    const now = getGameTime(this.game);
+    this.buffs.push({
+      ...buff,
+      startTime: now,
+      endTime: buff.duration ? now + buff.duration * 1000 : null,
+    });
+    this.recalculateStats();
+  }
+
+  // Add a debuff, timed like a buff
+  addDebuff(debuff) {
+    const now = getGameTime(this.game);
+    this.debuffs.push({
+      ...debuff,
+      startTime: now,
+      endTime: debuff.duration ? now + debuff.duration * 1000 : null,
+    });
+    this.recalculateStats();
+  }
+
+  // Update status effects (remove expired buffs/debuffs)
+  updateStatusEffects() {
+    const now = getGameTime(this.game);
+    const active = (status) => !status.endTime || status.endTime > now;
+
+    const count = this.buffs.length + this.debuffs.length;
+    this.buffs = this.buffs.filter(active);
+    this.debuffs = this.debuffs.filter(active);
+
+    // Expired effects no longer count towards the stats
+    if (this.buffs.length + this.debuffs.length !== count) {
+      this.recalculateStats();
+    }
+  }
+
+  // Take damage
+  takeDamage(amount) {
+    this.stats.health = Math.max(0, this.stats.health - amount);
+    return this.stats.health <= 0;
+  }
+
+  // Heal
+  heal(amount) {
+    this.stats.health = Math.min(
+      this.stats.maxHealth,
+      this.stats.health + amount
+    );
+  }
+
+  // Use stamina
+  useStamina(amount) {
+    if (this.stats.stamina >= amount) {
+      this.stats.stamina -= amount;
+      return true;
+    }
+    return false;
+  }
+
+  // Recover stamina
+  recoverStamina(amount) {
+    this.stats.stamina = Math.min(
+      this.stats.maxStamina,
+      this.stats.stamina + amount
+    );
+  }
+
+  // Get damage output (base damage calculation)
+  calculateDamage() {
+    // Weapons scale with the wielder's stats (Weapon.calculateDamage),
+    // unarmed hits use strength + a default 5
+    const weapon = this.getCurrentWeapon();
+    let damage = weapon
+      ? weapon.calculateDamage(this)
+      : this.stats.strength * 0.5 + 5;
+
+    // Add random variation (±20%), from the game's seeded combat rolls
+    const variation = 0.8 + this.game.combatRNG.random() * 0.4;
+    damage = Math.floor(damage * variation);
+
+    return damage;
+  }
+
+  // Total defense from equipped armor
+  getDefense() {
+    return this.stats.defense;
+  }
+
+  // Name of the animation set the current weapon attacks with
+  getAttackKind() {
+    const weapon = this.getCurrentWeapon();
+    return weapon && ATTACK_ANIMATIONS[weapon.animation]
+      ? weapon.animation
+      : "swing";
+  }
+
+  // Stamina for one attack: heavier weapons and loads cost more,
+  // endurance less
+  getAttackStaminaCost() {
+    const weapon = this.getCurrentWeapon();
+    const weight = weapon ? weapon.weight || 0 : 0;
+    const baseCost = getAttackCosts(this.getAttackKind()).staminaCost;
+    return Math.max(
+      1,
+      Math.round(
+        (baseCost + weight - this.stats.endurance / 5) *
+          getLoadTier(this).staminaScale
+      )
+    );
+  }
+
+  // The tile type the being stands on (see tiles.js)
+  getTile() {
+    return getTileAt(this.game, this.floor, this.x, this.y);
+  }
+
+  // In water too deep to stand in, where there's no swinging a weapon
+  isSwimming() {
+    const tile = this.getTile();
+    return tile.swimmable && !tile.walkable;
+  }
+
+  // Whether enough time has passed since the last step for the load
+  // being carried and the tile being stepped off, in game time
+  canStep(now = getGameTime(this.game)) {
+    return now - this.lastMoveAt >= getStepDelay(this, this.getTile().moveCost);
+  }
+
+  /**
+   * Applies a tick-based debuff, as used by STATUS_EFFECTS in items.js.
+   * Pool stats (health, stamina) drain by `amount` every tick; any other
+   * stat is lowered by `amount` until the debuff runs out.
+   * @param {string} stat - Stat to affect
+   * @param {number} amount - Change per tick or penalty (negative)
+   * @param {number} ticks - Duration in status ticks
+   * @param {Object} effect - The STATUS_EFFECTS entry causing it
+   * @param {Being} attacker - Who inflicted it, credited for kills
+   * @returns {Object|null} - The active debuff, or null if resisted
+   */
+  applyDebuff(stat, amount, ticks, effect = null, attacker = null) {
+    // Talisman resistances shrink the effect; 100% means immunity
+    const resistance = Math.min(
+      1,
+      getStatusModifier(this, effect, "resistance")
+    );
+    amount *= 1 - resistance;
+    if (amount === 0) return null;
+    // Whole numbers only, without rounding small effects away
+    amount = Math.sign(amount) * Math.ceil(Math.abs(amount));
+
+    const name = effect ? effect.name : stat.toUpperCase();
+    const existing = this.debuffs.find(
+      (debuff) =>
+        debuff.ticksRemaining !== undefined &&
+        debuff.name === name &&
+        debuff.stat === stat
+    );
+
+    if (existing) {
+      existing.ticksRemaining = Math.max(existing.ticksRemaining, ticks);
+      existing.attacker = attacker || existing.attacker;
+
+      if (POOL_STATS.includes(stat)) {
+        // Damage over time stacks, up to a limit
+        if (existing.stacks < MAX_STATUS_STACKS) {
+          existing.stacks++;
+          existing.amount += amount;
+        }
+      } else if (amount < existing.amount) {
+        // Stat penalties don't stack, the stronger one wins
+        existing.amount = amount;
+        this.recalculateStats();
+      }
+      return existing;
+    }
+
+    const debuff = {
+      name: name,
+      id: effect ? effect.id : stat,
+      stat: stat,
+      amount: amount,
+      ticksRemaining: ticks,
+      stacks: 1,
+      attacker: attacker,
+    };
+    this.debuffs.push(debuff);
+    if (!POOL_STATS.includes(stat)) {
+      this.recalculateStats();
+    }
+    return debuff;
+  }
+
+  // Advance tick-based debuffs by one status tick: drain pools, count
+  // down durations and drop the ones that have run out
+  tickStatusEffects() {
+    for (const debuff of this.debuffs) {
+      if (debuff.ticksRemaining === undefined || this.isDead()) continue;
+
+      if (debuff.stat === "health") {
+        // Someone has to be left standing; the debuff still runs out
+        const lastStanding = countLivingBeings(this.game) <= 1;
+        if (!lastStanding && this.takeDamage(-debuff.amount)) {
+          handleDeath(this.game, this, debuff.attacker, debuff.name);
+        }
+      } else if (debuff.stat === "stamina") {
+        this.stats.stamina = Math.max(0, this.stats.stamina + debuff.amount);
+      }
+      debuff.ticksRemaining--;
+    }
+
+    const count = this.debuffs.length;
+    this.debuffs = this.debuffs.filter(
+      (debuff) =>
+        debuff.ticksRemaining === undefined || debuff.ticksRemaining > 0
+    );
+    if (this.debuffs.length !== count) {
+      this.recalculateStats();
+    }
+  }
+
+  // Stunned beings lose their turn
+  isStunned() {
+    return this.debuffs.some(
+      (debuff) => debuff.id === "stun" && debuff.ticksRemaining > 0
+    );
+  }
+
+  // Check if the being is dead
+  isDead() {
+    return this.stats.health <= 0;
+  }
+
+  // Attack method - starts a swing in the facing direction
+  attack() {
+    // Reset any existing attack animation
+    this.cancelAttack();
+
+    if (this.isSwimming()) return false;
+
+    // Check if we have enough stamina to attack
+    const staminaCost = this.getAttackStaminaCost();
+    if (!this.useStamina(staminaCost)) {
+      return false; // Not enough stamina
+    }
+
+    this.isAttacking = true;
+    this.attackKind = this.getAttackKind();
+    this.attackSpeed = Math.round(
+      getAttackCosts(this.attackKind).frameMs *
+        getLoadTier(this).attackFrameScale
+    );
+    this.attackFrame = 0;
+    this.attackElapsed = 0;
+    this.hitTargets = new Set(); // Each being and tile is hit once per swing
+
+    // The first frame lands at once; the game loop plays the rest
+    this.updateAttackAnimation();
+    return true;
+  }
+
+  /**
+   * Moves a swing in progress on by some time, one frame per attackSpeed
+   * milliseconds. Called by the game loop every step (see stepGame).
+   * @param {number} ms - Time passed, in milliseconds
+   */
+  advanceAttack(ms) {
+    if (!this.isAttacking) return;
+    this.attackElapsed += ms;
+    while (this.isAttacking && this.attackElapsed >= this.attackSpeed) {
+      this.attackElapsed -= this.attackSpeed;
+      this.updateAttackAnimation();
+    }
+  }
+
+  // Show the current attack frame, hit whatever it reaches and move on to
+  // the next one, ending the swing after the last
+  updateAttackAnimation() {
+    emitGameEvent(this.game, "change", { floor: this.floor });
+
+    // Check for hits in this frame
+    checkAttackHits(this.game, this);
+
+    this.attackFrame++;
+
+    const frames = ATTACK_ANIMATIONS[this.attackKind].frames[this.direction];
+    if (this.attackFrame >= frames.length) {
+      this.isAttacking = false;
+      // Final update to remove the attack animation
+      emitGameEvent(this.game, "change", { floor: this.floor });
+    }
+  }
+
+  // Stop a swing in progress
+  cancelAttack() {
+    this.isAttacking = false;
+    this.attackElapsed = 0;
+  }
+}
+
+// Player class extends Being
+
+// A being controlled by a person, in the browser or over the network
+class Player extends Being {
+  constructor(x, y, name = "You") {
+    super(x, y, "@", 1); // Call the parent constructor
+    this.name = name;
+
+    // Tiles this player has seen, one array per floor, so fog of war is
+    // kept when changing levels. Sized to the game's floors by addBeing.
+    this.exploredTiles = [];
+  }
+}
+
+// Computer-controlled combatant. Bots roam their floor, pick up and
+// equip items, hunt anything nearby and run away when badly hurt.
+class Bot extends Being {
+  constructor(x, y, floor, name, rng) {
+    super(x, y, "@", rng.int(4));
+    this.floor = floor;
+    this.name = name;
+    this.rng = rng; // Own stream so bots don't disturb other rolls
+    this.state = "roam"; // roam, loot, hunt, flee or zone
+    this.wanderDirection = rng.int(4);
+    this.stepMs = AI_TICK_MS; // A step per think on plain floor (see canStep)
+  }
+
+  // Decide on and perform one action. Called every AI tick.
+  think() {
+    if (this.isDead() || this.isStunned()) return false;
+
+    const enemy = findNearestBeing(this.game, this, BOT_SIGHT_RADIUS);
+
+    // Flee from the nearest threat when health runs low
+    if (
+      enemy &&
+      this.stats.health < this.stats.maxHealth * BOT_FLEE_THRESHOLD
+    ) {
+      this.state = "flee";
+      return this.stepAwayFrom(enemy.x, enemy.y);
+    }
+
+    // Fight anything in reach, chase anything in sight
+    if (enemy) {
+      this.state = "hunt";
+      const dx = enemy.x - this.x;
+      const dy = enemy.y - this.y;
+      if (Math.abs(dx) <= 1 && Math.abs(dy) <= 1) {
+        this.faceToward(dx, dy);
+        if (!this.isAttacking) this.attack();
+        return true;
+      }
+      return this.stepToward(enemy.x, enemy.y);
+    }
+
+    // Head back into the safe zone before anything else
+    if (this.game.safeZone) {
+      const zone = getZoneState(this.game.safeZone);
+      if (isOutsideZone(zone, this.x, this.y)) {
+        this.state = "zone";
+        return this.stepToward(Math.round(zone.x), Math.round(zone.y));
+      }
+    }
+
+    // Collect any item lying nearby that there's room to carry
+    const item = findNearestItemTile(
+      this.game,
+      this.floor,
+      this.x,
+      this.y,
+      BOT_LOOT_RADIUS,
+      this
+    );
+    if (item) {
+      this.state = "loot";
+      return this.stepToward(item.x, item.y);
+    }
+
+    this.state = "roam";
+    return this.wander();
+  }
+
+  // Turn to face a relative position (picks the dominant axis)
+  faceToward(dx, dy) {
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      if (dx !== 0) this.direction = dx > 0 ? 1 : 3;
+    } else {
+      this.direction = dy > 0 ? 0 : 2;
+    }
+  }
+
+  // Greedy step that closes the larger gap first
+  stepToward(tx, ty) {
+    const dx = Math.sign(tx - this.x);
+    const dy = Math.sign(ty - this.y);
+    const steps =
+      Math.abs(tx - this.x) >= Math.abs(ty - this.y)
+        ? [
+            [dx, 0],
+            [0, dy],
+          ]
+        : [
+            [0, dy],
+            [dx, 0],
+          ];
+    for (const [sx, sy] of steps) {
+      if ((sx !== 0 || sy !== 0) && this.tryMove(sx, sy)) return true;
+    }
+    return this.wander();
+  }
+
+  // Step that increases the distance to a position
+  stepAwayFrom(tx, ty) {
+    const dx = Math.sign(this.x - tx) || (this.rng.chance(0.5) ? 1 : -1);
+    const dy = Math.sign(this.y - ty) || (this.rng.chance(0.5) ? 1 : -1);
+    const steps =
+      Math.abs(tx - this.x) <= Math.abs(ty - this.y)
+        ? [
+            [dx, 0],
+            [0, dy],
+          ]
+        : [
+            [0, dy],
+            [dx, 0],
+          ];
+    for (const [sx, sy] of steps) {
+      if (this.tryMove(sx, sy)) return true;
+    }
+    return this.wander();
+  }
+
+  // Keep walking one way, turning now and then or when blocked
+  wander() {
+    if (this.rng.chance(0.1)) {
+      this.wanderDirection = this.rng.int(4);
+    }
+    for (let turn = 0; turn < 4; turn++) {
+      const direction = (this.wanderDirection + turn) % 4;
+      const [dx, dy] = DIRECTION_VECTORS[direction];
+      if (this.tryMove(dx, dy)) {
+        this.wanderDirection = direction;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Move one tile if it's free, then handle items and stairs there
+  tryMove(dx, dy) {
+    this.faceToward(dx, dy);
+    const newX = this.x + dx;
+    const newY = this.y + dy;
+    const map = this.game.maps[this.floor];
+
+    const { width, height } = this.game;
+    if (newX < 0 || newX >= width || newY < 0 || newY >= height) {
+      return false;
+    }
+    if (!isNavigable(this.game, this.floor, newX, newY)) return false;
+    if (getBeingAt(this.game, this.floor, newX, newY)) return false;
+    if (!this.canStep()) return false;
+
+    this.cancelAttack();
+    this.x = newX;
+    this.y = newY;
+    this.lastMoveAt = getGameTime(this.game);
+
+    // Same pickup flow as the player, then wear whatever fits
+    const cell = map[newY * width + newX];
+    if (cell === "\\" || cell === "&" || cell === "$") {
+      const item = pickupItem(
+        this,
+        map,
+        this.game.floorItems[this.floor],
+        this.game.itemRNGs[this.floor]
+      );
+      if (item && autoEquipItem(this, item)) {
+        this.removeFromInventory(item.id);
+      }
+    }
+
+    // Roaming bots wander up and down stairs
+    if (this.state === "roam") {
+      takeStairs(this.game, this);
+    }
+    return true;
+  }
+}
+
+// Export classes
+export {
+  POOL_STATS,
+  MAX_STATUS_STACKS,
+  VITALITY_HEALTH,
+  ENDURANCE_STAMINA,
+  Being,
+  Player,
+  Bot,
+};
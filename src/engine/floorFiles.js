@@ -0,0 +1,395 @@
+/**
+ * Floor Files for Dungeon Terrain
+ *
+ * Floors can be written out and read back as two files: a plain-text grid
+ * with a line per row of the floor, exactly as the game shows it,
+ * and a JSON sidecar for what the grid can't hold, the items lying on each
+ * item glyph and where each stair leads:
+ *
+ *   floor-3.txt    #####....<....\....
+ *   floor-3.json   { version, floor, seed, items: [{ x, y, symbol, ground,
+ *                  id, quantity }], stairs: [{ x, y, tile, to: { floor,
+ *                  x, y } }] }
+ *
+ * A floor set is a directory of such pairs plus a floorset.json listing
+ * them, { version, floors: ["floor-3", ...] }. Hand-made floors in this
+ * format replace generated ones; the stairs of a replaced floor are linked
+ * up with its neighbours again, so the "to" of a sidecar is informative
+ * only. Floors are read for a dungeon of a given shape (see getDungeonShape),
+ * whose size and floors they must fit. Nothing here touches the disk or the
+ * network: loadFloorSet is given a function that reads a file by name.
+ */
+
+import { findItemById } from "./items.js";
+import { ITEM_SYMBOLS } from "./itemSystem.js";
+import { getTile, isKnownTile } from "./tiles.js";
+import { findNavigableRegions } from "./connectivity.js";
+import { serializeItem, rehydrateItem } from "./saveSystem.js";
+
+// Bump when the sidecar format changes
+const FLOOR_FORMAT_VERSION = 1;
+
+const FLOOR_SET_FILE = "floorset.json";
+
+/**
+ * Writes one floor of a game as a text grid and a JSON sidecar
+ * @param {Object} game - The game
+ * @param {number} floor - Floor index
+ * @returns {Object} - { text, sidecar }
+ */
+function exportFloor(game, floor) {
+  const { width, height } = game;
+  const map = game.maps[floor];
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(map.slice(y * width, (y + 1) * width).join(""));
+  }
+
+  const stairs = [];
+  for (let index = 0; index < width * height; index++) {
+    if (map[index] !== "<" && map[index] !== ">") continue;
+    const link = game.stairLinks[floor][index];
+    stairs.push({
+      x: index % width,
+      y: Math.floor(index / width),
+      tile: map[index],
+      to: link
+        ? {
+            floor: link.floor,
+            x: link.index % width,
+            y: Math.floor(link.index / width),
+          }
+        : null,
+    });
+  }
+
+  return {
+    text: rows.join("\n") + "\n",
+    sidecar: {
+      version: FLOOR_FORMAT_VERSION,
+      floor: floor,
+      seed: game.seed,
+      items: game.floorItems[floor].map((mapItem) => ({
+        x: mapItem.x,
+        y: mapItem.y,
+        symbol: mapItem.symbol,
+        ground: mapItem.ground,
+        ...serializeItem(mapItem.item),
+      })),
+      stairs: stairs,
+    },
+  };
+}
+
+/**
+ * Reads and validates a floor written by exportFloor or by hand
+ * @param {Object} dungeon - The game, or the shape of the dungeon the floor
+ *   is for (see getDungeonShape)
+ * @param {string} text - The tile grid
+ * @param {Object} sidecar - The parsed JSON sidecar
+ * @returns {Object} - { floor, map, items, errors, warnings }; map and
+ *   items are only usable when errors is empty
+ */
+function parseFloor(dungeon, text, sidecar) {
+  const { width, height } = dungeon;
+  const last = dungeon.themes.length - 1;
+  const errors = [];
+  const warnings = [];
+  const result = { floor: null, map: null, items: [], errors, warnings };
+
+  if (!sidecar || typeof sidecar !== "object") {
+    errors.push("The sidecar is not a JSON object");
+    return result;
+  }
+  if (sidecar.version !== FLOOR_FORMAT_VERSION) {
+    errors.push(
+      `Unsupported floor format version ${sidecar.version} ` +
+        `(expected ${FLOOR_FORMAT_VERSION})`
+    );
+    return result;
+  }
+  if (
+    !Number.isInteger(sidecar.floor) ||
+    sidecar.floor < 0 ||
+    sidecar.floor > last
+  ) {
+    errors.push(`No such floor: ${sidecar.floor} (0-${last})`);
+    return result;
+  }
+  const floor = (result.floor = sidecar.floor);
+
+  // Dimensions, allowing Windows line endings and a final newline
+  const rows = String(text)
+    .replace(/\r\n/g, "\n")
+    .replace(/\n$/, "")
+    .split("\n");
+  if (rows.length !== height) {
+    errors.push(`The grid has ${rows.length} lines, expected ${height}`);
+  }
+  rows.forEach((row, y) => {
+    if (row.length !== width) {
+      errors.push(`Line ${y + 1} has ${row.length} tiles, expected ${width}`);
+    }
+  });
+  if (errors.length) return result;
+
+  const map = rows.join("").split("");
+
+  // Unknown glyphs, reported once each where they first appear
+  const unknown = new Map();
+  map.forEach((tile, index) => {
+    if (!isKnownTile(tile) && !unknown.has(tile)) unknown.set(tile, index);
+  });
+  for (const [tile, index] of unknown) {
+    errors.push(
+      `Unknown tile "${tile}" at ${index % width},` +
+        `${Math.floor(index / width)}`
+    );
+  }
+
+  // Stairs have to lead somewhere, both ways
+  const count = (tile) => map.filter((cell) => cell === tile).length;
+  if (floor > 0 && count("<") === 0) {
+    errors.push(`Floor ${floor} has no up stairs ("<")`);
+  }
+  if (floor < last && count(">") === 0) {
+    errors.push(`Floor ${floor} has no down stairs (">")`);
+  }
+  if (floor === 0 && count("<") > 0) {
+    errors.push('The top floor can\'t have up stairs ("<")');
+  }
+  if (floor === last && count(">") > 0) {
+    errors.push('The bottom floor can\'t have down stairs (">")');
+  }
+  if (count(".") === 0) {
+    errors.push('The floor has no open tiles (".") to spawn on');
+  }
+
+  // Every item glyph needs an item and every item a tile showing its
+  // glyph. Items can share a tile; the glyph is then one of theirs.
+  const items = [];
+  const itemsAt = new Map();
+  for (const entry of Array.isArray(sidecar.items) ? sidecar.items : []) {
+    const where = `${entry.x},${entry.y}`;
+    const item = findItemById(entry.id);
+    if (!item) {
+      errors.push(`Unknown item "${entry.id}" at ${where}`);
+      continue;
+    }
+    if (
+      !Number.isInteger(entry.x) ||
+      !Number.isInteger(entry.y) ||
+      entry.x < 0 ||
+      entry.x >= width ||
+      entry.y < 0 ||
+      entry.y >= height
+    ) {
+      errors.push(`Item "${entry.id}" is off the floor at ${where}`);
+      continue;
+    }
+    const index = entry.y * width + entry.x;
+    if (!Object.values(ITEM_SYMBOLS).includes(map[index])) {
+      errors.push(`Item "${entry.id}" at ${where} lies on "${map[index]}"`);
+      continue;
+    }
+    const mapItem = {
+      x: entry.x,
+      y: entry.y,
+      item: rehydrateItem(entry),
+      symbol: ITEM_SYMBOLS[item.type],
+    };
+    // The terrain under a dropped item, if it isn't plain floor
+    if (entry.ground !== undefined) {
+      const ground =
+        isKnownTile(entry.ground) && getTile(dungeon, floor, entry.ground);
+      if (!ground || !ground.walkable || ground.style) {
+        errors.push(
+          `Item "${entry.id}" at ${where} can't lie on "${entry.ground}"`
+        );
+        continue;
+      }
+      mapItem.ground = entry.ground;
+    }
+    items.push(mapItem);
+    itemsAt.set(index, [...(itemsAt.get(index) || []), mapItem]);
+  }
+  map.forEach((tile, index) => {
+    if (!Object.values(ITEM_SYMBOLS).includes(tile)) return;
+    const where = `${index % width},${Math.floor(index / width)}`;
+    const here = itemsAt.get(index) || [];
+    if (!here.length) {
+      errors.push(`No item for "${tile}" at ${where}`);
+    } else if (!here.some((mapItem) => mapItem.symbol === tile)) {
+      errors.push(`None of the items at ${where} is shown as "${tile}"`);
+    }
+  });
+
+  // Checked on its own, as if it were already in place
+  const alone = { ...dungeon, maps: { [floor]: map } };
+  const regions = findNavigableRegions(alone, floor).regions.length;
+  if (regions > 1) {
+    warnings.push(`Floor ${floor} is split into ${regions} unconnected parts`);
+  }
+
+  if (!errors.length) {
+    result.map = map;
+    result.items = items;
+  }
+  return result;
+}
+
+/**
+ * Puts parsed floors into a game in place of the generated ones and links
+ * their stairs up with the floors around them. Use before any beings are
+ * placed.
+ * @param {Object} game - The game
+ * @param {Array} floors - Results of parseFloor without errors
+ */
+function applyFloors(game, floors) {
+  const relink = new Set();
+  for (const parsed of floors) {
+    const { floor, map, items } = parsed;
+    console.log(`Replacing floor ${floor} with a custom one`);
+    // Copies, so the same parsed floors can go into game after game
+    game.maps[floor] = map.slice();
+    game.floorItems[floor] = items.map((mapItem) => ({ ...mapItem }));
+    game.tileWear[floor] = {};
+
+    const regions = findNavigableRegions(game, floor).regions.length;
+    game.floorConnectivity[floor] = {
+      regionsBefore: regions,
+      connected: 0,
+      removed: 0,
+      tilesCarved: 0,
+      regionsAfter: regions,
+    };
+
+    if (floor > 0) relink.add(floor - 1);
+    if (floor < game.maps.length - 1) relink.add(floor);
+  }
+
+  for (const upper of relink) linkStairs(game, upper);
+}
+
+// Link the down stairs of a floor with the up stairs of the one below, in
+// reading order. When the counts differ the extra stairs share
+// counterparts, so every stair still leads somewhere.
+function linkStairs(game, upper) {
+  const lower = upper + 1;
+  const find = (floor, tile) =>
+    game.maps[floor].reduce((found, cell, index) => {
+      if (cell === tile && index < game.width * game.height) {
+        found.push(index);
+      }
+      return found;
+    }, []);
+  const downs = find(upper, ">");
+  const ups = find(lower, "<");
+
+  for (const [floor, other] of [
+    [upper, lower],
+    [lower, upper],
+  ]) {
+    for (const index in game.stairLinks[floor]) {
+      if (game.stairLinks[floor][index].floor === other) {
+        delete game.stairLinks[floor][index];
+      }
+    }
+  }
+  if (!downs.length || !ups.length) return;
+
+  downs.forEach((down, i) => {
+    game.stairLinks[upper][down] = { floor: lower, index: ups[i % ups.length] };
+  });
+  ups.forEach((up, i) => {
+    game.stairLinks[lower][up] = {
+      floor: upper,
+      index: downs[i % downs.length],
+    };
+  });
+}
+
+/**
+ * Writes floors of a game as the files of a floor set
+ * @param {Object} game - The game
+ * @param {Array} floors - Floor indices to include
+ * @returns {Object} - File contents by file name
+ */
+function exportFloorSet(game, floors) {
+  const files = {};
+  const names = [];
+  for (const floor of floors) {
+    const { text, sidecar } = exportFloor(game, floor);
+    const name = `floor-${floor}`;
+    files[`${name}.txt`] = text;
+    files[`${name}.json`] = JSON.stringify(sidecar, null, 2) + "\n";
+    names.push(name);
+  }
+  files[FLOOR_SET_FILE] =
+    JSON.stringify({ version: FLOOR_FORMAT_VERSION, floors: names }, null, 2) +
+    "\n";
+  return files;
+}
+
+/**
+ * Reads and validates a floor set
+ * @param {Object} dungeon - The game, or the shape of the dungeon the set
+ *   is for (see parseFloor)
+ * @param {Function} readFile - Takes a file name within the set and returns
+ *   a promise of its text
+ * @returns {Promise<Object>} - { floors, errors, warnings } where floors
+ *   are results of parseFloor; errors name the file they come from
+ */
+async function loadFloorSet(dungeon, readFile) {
+  const result = { floors: [], errors: [], warnings: [] };
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(FLOOR_SET_FILE));
+  } catch (error) {
+    result.errors.push(`${FLOOR_SET_FILE}: ${error.message}`);
+    return result;
+  }
+  if (!manifest || !Array.isArray(manifest.floors)) {
+    result.errors.push(`${FLOOR_SET_FILE}: no list of floors`);
+    return result;
+  }
+
+  const seen = new Set();
+  for (const name of manifest.floors) {
+    let parsed;
+    try {
+      const [text, sidecar] = await Promise.all([
+        readFile(`${name}.txt`),
+        readFile(`${name}.json`),
+      ]);
+      parsed = parseFloor(dungeon, text, JSON.parse(sidecar));
+    } catch (error) {
+      result.errors.push(`${name}: ${error.message}`);
+      continue;
+    }
+
+    if (parsed.floor !== null && seen.has(parsed.floor)) {
+      parsed.errors.push(`Floor ${parsed.floor} is in the set twice`);
+    }
+    seen.add(parsed.floor);
+    result.errors.push(...parsed.errors.map((error) => `${name}: ${error}`));
+    result.warnings.push(
+      ...parsed.warnings.map((warning) => `${name}: ${warning}`)
+    );
+    if (!parsed.errors.length) result.floors.push(parsed);
+  }
+
+  return result;
+}
+
+// Export functions
+export {
+  FLOOR_FORMAT_VERSION,
+  FLOOR_SET_FILE,
+  exportFloor,
+  parseFloor,
+  applyFloors,
+  exportFloorSet,
+  loadFloorSet,
+};
@@ -0,0 +1,102 @@
+/**
+ * Field of View for Dungeon Terrain
+ *
+ * Recursive shadowcasting from a viewer's position. Whether a tile blocks
+ * sight depends only on its type (see tiles.js), which is separate from
+ * whether it can be walked on: water ('~') stops you but not your view.
+ */
+
+import { blocksSight } from "./tiles.js";
+
+// Transforms mapping the first octant onto all eight
+const FOV_OCTANTS = [
+  [1, 0, 0, 1],
+  [0, 1, 1, 0],
+  [0, -1, 1, 0],
+  [-1, 0, 0, 1],
+  [-1, 0, 0, -1],
+  [0, -1, -1, 0],
+  [0, 1, -1, 0],
+  [1, 0, 0, -1],
+];
+
+/**
+ * Computes every tile visible from a position
+ * @param {Object} dungeon - The game, or any dungeon
+ * @param {number} floor - Floor index of the map to look across
+ * @param {number} originX - Viewer X position
+ * @param {number} originY - Viewer Y position
+ * @param {number} radius - How far the viewer can see
+ * @returns {Set} - Indices (y * width + x) of visible tiles
+ */
+function computeFOV(dungeon, floor, originX, originY, radius) {
+  const { width, height } = dungeon;
+  const map = dungeon.maps[floor];
+  const view = { dungeon, floor, map, width, height, originX, originY, radius };
+  view.visible = new Set([originY * width + originX]);
+  for (const octant of FOV_OCTANTS) {
+    castLight(view, 1, 1, 0, octant);
+  }
+  return view.visible;
+}
+
+/**
+ * Scans one octant row by row, recursing past each run of opaque tiles
+ * with the slope range still left open
+ * @param {Object} view - computeFOV's arguments, the map and its size, and
+ *   the visible set
+ * @param {number} row - Distance of the first row to scan
+ * @param {number} start - Upper slope still visible
+ * @param {number} end - Lower slope still visible
+ * @param {Array} octant - Transform [xx, xy, yx, yy] for this octant
+ */
+function castLight(view, row, start, end, octant) {
+  if (start < end) return;
+
+  const { dungeon, floor, map, width, height, originX, originY, radius } = view;
+  const [xx, xy, yx, yy] = octant;
+  let nextStart = start;
+
+  for (let distance = row; distance <= radius; distance++) {
+    const dy = -distance;
+    let blocked = false;
+
+    for (let dx = -distance; dx <= 0; dx++) {
+      const leftSlope = (dx - 0.5) / (dy + 0.5);
+      const rightSlope = (dx + 0.5) / (dy - 0.5);
+      if (start < rightSlope) continue;
+      if (end > leftSlope) break;
+
+      const x = originX + dx * xx + dy * xy;
+      const y = originY + dx * yx + dy * yy;
+      const inBounds = x >= 0 && x < width && y >= 0 && y < height;
+
+      // Light falls on everything within a circular radius
+      if (inBounds && dx * dx + dy * dy <= radius * radius) {
+        view.visible.add(y * width + x);
+      }
+
+      // The map's edge blocks sight like a wall
+      const opaque =
+        !inBounds || blocksSight(dungeon, floor, map[y * width + x]);
+      if (blocked) {
+        if (opaque) {
+          nextStart = rightSlope;
+        } else {
+          blocked = false;
+          start = nextStart;
+        }
+      } else if (opaque && distance < radius) {
+        // Start of a shadow: light the part beyond it before moving on
+        blocked = true;
+        castLight(view, distance + 1, start, leftSlope, octant);
+        nextStart = rightSlope;
+      }
+    }
+
+    if (blocked) break;
+  }
+}
+
+// Export functions
+export { computeFOV };
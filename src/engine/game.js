@@ -0,0 +1,206 @@
+/**
+ * Game State for Dungeon Terrain
+ *
+ * A game holds everything about one run: the seed, the floors and what lies
+ * on them, every being and the safe zone. Nothing in the engine touches the
+ * page; whoever shows the game listens for its events instead:
+ *
+ *   "change"    { floor }                  Something on that floor changed,
+ *                                          or anywhere if floor is undefined
+ *   "death"     { being, killer, cause }   A being was killed
+ *   "encumbered" { being, item }           A pickup was too heavy to carry
+ *   "gameover"  { winner }                 One being is left standing
+ *
+ * Time in a game only passes while its loop runs (see startGameLoop). The
+ * loop advances the game in fixed steps of TICK_MS however often its timer
+ * actually fires, so a run plays the same at any frame rate, and can be
+ * paused. game.time is the game time in milliseconds.
+ */
+
+import { deriveRNG, randomSeed } from "./random.js";
+import { createSafeZone, advanceSafeZone } from "./safeZone.js";
+import { createDungeon } from "./dungeon.js";
+import { LOOT_TABLE } from "./lootTables.js";
+import { DUNGEON_CONFIG } from "./dungeonConfig.js";
+import { updateBots, applyZoneDamage, applyTileDamage } from "./world.js";
+import { regenerate } from "./regeneration.js";
+
+// Length of one step of the game loop; every clock below is a multiple
+const TICK_MS = 50;
+
+// Clocks of the game loop (see stepGame)
+const AI_TICK_MS = 250;
+const STATUS_TICK_MS = 1000;
+const ZONE_TICK_MS = 1000;
+const REGEN_TICK_MS = 500; // Stamina and health (see regeneration.js)
+
+// Most game time one firing of the loop's timer catches up on, so a
+// throttled or suspended page doesn't replay minutes at once
+const MAX_CATCH_UP_MS = 250;
+
+/**
+ * Creates a new game, generating its dungeon and safe zone from the seed.
+ * It starts without any beings; add them with addBeing.
+ * @param {string|number} seed - The dungeon seed, random if not given
+ * @param {Object} config - What the dungeon is made of (see dungeonConfig.js)
+ * @returns {Object} - The game
+ */
+function createGame(seed = randomSeed(), config = DUNGEON_CONFIG) {
+  const dungeon = createDungeon(seed, LOOT_TABLE, config);
+  const game = {
+    seed: seed,
+    ...dungeon,
+    spawnRNG: deriveRNG(seed, "spawn"),
+    combatRNG: deriveRNG(seed, "combat"), // Damage and status effect rolls
+    safeZone: createSafeZone(
+      dungeon.width,
+      dungeon.height,
+      deriveRNG(seed, "zone")
+    ),
+    beings: [], // Every combatant in the run, players included
+    gameOver: false, // Set once only one combatant is left
+    winner: null,
+    time: 0,
+    paused: false,
+    listeners: {},
+    timers: [],
+  };
+  return game;
+}
+
+// Game time in milliseconds; 0 for a being not in a game yet
+function getGameTime(game) {
+  return game ? game.time : 0;
+}
+
+// Add a being to a game so it can reach the maps and the others. A
+// player's fog of war gets one blank map per floor of this game.
+function addBeing(game, being) {
+  being.game = game;
+  if (being.exploredTiles) {
+    being.exploredTiles = game.maps.map(
+      () => new Uint8Array(game.width * game.height)
+    );
+  }
+  game.beings.push(being);
+  return being;
+}
+
+// Call a function whenever the game emits an event of the given type
+function onGameEvent(game, type, listener) {
+  game.listeners[type] = game.listeners[type] || [];
+  game.listeners[type].push(listener);
+}
+
+// Pass an event to every listener registered for its type
+function emitGameEvent(game, type, data = {}) {
+  if (!game) return;
+  for (const listener of game.listeners[type] || []) {
+    listener(data);
+  }
+}
+
+/**
+ * Advances a game by one step: attack animations every step, and bots,
+ * status effects and harmful tiles, the safe zone and regeneration each on
+ * their own clock. Called by the game loop, or directly to run a game
+ * faster than real time.
+ * @param {Object} game - The game
+ */
+function stepGame(game) {
+  const before = game.time;
+  game.time += TICK_MS;
+  // Whether a clock of the given period ticks in this step
+  const every = (ms) => Math.floor(game.time / ms) > Math.floor(before / ms);
+
+  for (const being of game.beings) {
+    if (!being.isDead()) being.advanceAttack(TICK_MS);
+  }
+
+  // Bots act on their own clock, independent of key presses
+  if (every(AI_TICK_MS)) updateBots(game);
+
+  // Recover stamina and health, and drop expired buffs and debuffs
+  if (every(REGEN_TICK_MS)) {
+    for (const being of game.beings) {
+      regenerate(being, REGEN_TICK_MS);
+      being.updateStatusEffects();
+    }
+  }
+
+  // Status effects and harmful tiles tick for everyone at a fixed rate
+  if (every(STATUS_TICK_MS)) {
+    for (const being of game.beings) {
+      if (!being.isDead()) being.tickStatusEffects();
+    }
+    applyTileDamage(game);
+    emitGameEvent(game, "change");
+  }
+
+  // The safe zone closes in on its own clock
+  if (every(ZONE_TICK_MS)) {
+    advanceSafeZone(game.safeZone, ZONE_TICK_MS);
+    applyZoneDamage(game);
+  }
+}
+
+/**
+ * Starts the loop that runs the game. Its timer fires about every
+ * TICK_MS and runs as many steps as the time since it last fired makes up,
+ * so the game keeps pace with the clock even when the timer is late.
+ * Drawing is left to whoever listens for "change" events.
+ * @param {Object} game - The game
+ */
+function startGameLoop(game) {
+  stopGameLoop(game);
+
+  let last = Date.now();
+  let owed = 0; // Real time not yet turned into steps
+  game.timers.push(
+    setInterval(() => {
+      const now = Date.now();
+      owed = Math.min(owed + now - last, MAX_CATCH_UP_MS);
+      last = now;
+      if (game.paused) {
+        owed = 0;
+        return;
+      }
+      while (owed >= TICK_MS) {
+        owed -= TICK_MS;
+        stepGame(game);
+      }
+    }, TICK_MS)
+  );
+}
+
+// Stops the game loop and any attacks in progress
+function stopGameLoop(game) {
+  for (const timer of game.timers) clearInterval(timer);
+  game.timers = [];
+  for (const being of game.beings) being.cancelAttack();
+}
+
+// Freezes or unfreezes a game whose loop is running; nothing happens in it
+// meanwhile, swings and timed effects included
+function setGamePaused(game, paused) {
+  game.paused = paused;
+  emitGameEvent(game, "change");
+}
+
+// Export functions
+export {
+  TICK_MS,
+  AI_TICK_MS,
+  STATUS_TICK_MS,
+  ZONE_TICK_MS,
+  REGEN_TICK_MS,
+  createGame,
+  getGameTime,
+  addBeing,
+  onGameEvent,
+  emitGameEvent,
+  stepGame,
+  startGameLoop,
+  stopGameLoop,
+  setGamePaused,
+};
@@ -0,0 +1,33 @@
+/**
+ * Dungeon Terrain engine
+ *
+ * Everything needed to generate, run and save a game, without a DOM. The
+ * browser client (src/client), the multiplayer server (src/server) and the
+ * CLI (bin/dungeon.js) all build on this module.
+ */
+
+export * from "./constants.js";
+export * from "./random.js";
+export * from "./items.js";
+export * from "./lootTables.js";
+export * from "./itemSystem.js";
+export * from "./encumbrance.js";
+export * from "./regeneration.js";
+export * from "./itemDetails.js";
+export * from "./attackAnimations.js";
+export * from "./safeZone.js";
+export * from "./tiles.js";
+export * from "./fov.js";
+export * from "./terrain.js";
+export * from "./dungeonConfig.js";
+export * from "./connectivity.js";
+export * from "./dungeon.js";
+export * from "./entities.js";
+export * from "./combat.js";
+export * from "./world.js";
+export * from "./game.js";
+export * from "./saveSystem.js";
+export * from "./minimap.js";
+export * from "./viewport.js";
+export * from "./floorFiles.js";
+export * from "./netState.js";
@@ -0,0 +1,152 @@
+/**
+ * Item Details for Dungeon Terrain
+ *
+ * Describes items for people rather than for the engine: the lines the
+ * inventory screen shows for an item, and how two items compare number by
+ * number. Nothing here changes an item or the player wearing it.
+ */
+
+// Short names of the stats, as the HUD shows them
+const STAT_LABELS = {
+  strength: "STR",
+  dexterity: "DEX",
+  intelligence: "INT",
+  faith: "FTH",
+  vitality: "VIT",
+  endurance: "END",
+  resistance: "RES",
+  luck: "LCK",
+  sight: "SGT",
+  defense: "DEF",
+};
+
+// "+2" or "-1"
+function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+// "50%" from 0.5
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function statLabel(stat) {
+  return STAT_LABELS[stat] || stat;
+}
+
+/**
+ * Describes an item as labelled lines of text
+ * @param {Object} item - Any item
+ * @returns {Array} - [label, text] pairs, most important first
+ */
+function describeItem(item) {
+  const lines = [];
+
+  switch (item.type) {
+    case "weapon":
+      lines.push([
+        "Type",
+        `${item.damageType} weapon${item.twoHanded ? ", two-handed" : ""}`,
+      ]);
+      lines.push(["Damage", `${item.baseDamage}`]);
+      if (Object.keys(item.statScaling || {}).length) {
+        lines.push([
+          "Scaling",
+          Object.entries(item.statScaling)
+            .map(([stat, scaling]) => `${statLabel(stat)} x${scaling}`)
+            .join(", "),
+        ]);
+      }
+      for (const effect of item.statusEffects || []) {
+        lines.push([
+          "Inflicts",
+          `${effect.type.name} (${percent(effect.chance)} chance, power ${
+            effect.power
+          })`,
+        ]);
+      }
+      break;
+    case "armor":
+      lines.push(["Type", `${item.slot || "any slot"} armor`]);
+      lines.push(["Defense", `${item.defense}`]);
+      break;
+    default:
+      lines.push(["Type", item.type]);
+  }
+
+  if (Object.keys(item.statModifiers || {}).length) {
+    lines.push([
+      "Modifiers",
+      Object.entries(item.statModifiers)
+        .map(([stat, value]) => `${statLabel(stat)} ${signed(value)}`)
+        .join(", "),
+    ]);
+  }
+  if (typeof item.specialEffect === "string") {
+    lines.push(["Effect", item.specialEffect]);
+  }
+  for (const modifier of item.statusModifiers || []) {
+    if (modifier.boost) {
+      lines.push([
+        "Boosts",
+        `${modifier.type.name} ${percent(modifier.boost)}`,
+      ]);
+    }
+    if (modifier.resistance) {
+      lines.push([
+        "Resists",
+        `${modifier.type.name} ${percent(modifier.resistance)}`,
+      ]);
+    }
+  }
+
+  lines.push(["Rarity", item.rarity]);
+  lines.push(["Weight", `${item.weight}`]);
+  lines.push(["Value", `${item.value}`]);
+  return lines;
+}
+
+// The numbers an item brings, by label, for comparing
+function getItemNumbers(item) {
+  const numbers = {};
+  if (!item) return numbers;
+  if (item.type === "weapon") numbers.Damage = item.baseDamage;
+  if (item.type === "armor") numbers.Defense = item.defense;
+  for (const [stat, value] of Object.entries(item.statModifiers || {})) {
+    numbers[statLabel(stat)] = value;
+  }
+  numbers.Weight = item.weight;
+  numbers.Value = item.value;
+  return numbers;
+}
+
+/**
+ * Compares an item with another, usually the one it would replace. A
+ * number either item lacks counts as 0.
+ * @param {Object} item - The item being considered
+ * @param {Object|null} other - The item to compare it with, if any
+ * @returns {Array} - { label, value, other, difference } per number
+ */
+function compareItems(item, other) {
+  const mine = getItemNumbers(item);
+  const theirs = getItemNumbers(other);
+  // Weight and value come last, whichever item has the other numbers
+  const labels = [
+    ...new Set([...Object.keys(mine), ...Object.keys(theirs)]),
+  ].filter((label) => label !== "Weight" && label !== "Value");
+  labels.push("Weight", "Value");
+
+  return labels.map((label) => {
+    const value = mine[label] || 0;
+    const otherValue = theirs[label] || 0;
+    return {
+      label: label,
+      value: value,
+      other: otherValue,
+      difference: Math.round((value - otherValue) * 100) / 100,
+    };
+  });
+}
+
+// Export functions
+export { STAT_LABELS, describeItem, compareItems };
@@ -0,0 +1,830 @@
+/**
+ * Item Distribution and Pickup System for Dungeon Terrain
+ *
+ * Each floor keeps its own list of the items lying on it (game.floorItems,
+ * indexed like the maps), so whatever is left behind is still there on the
+ * way back.
+ */
+
+import { getItemsByType } from "./items.js";
+import {
+  LOOT_TABLE,
+  resolveLootTable,
+  rollLootItem,
+  rollGuaranteedItem,
+} from "./lootTables.js";
+import { canCarry } from "./encumbrance.js";
+import { getTile } from "./tiles.js";
+
+// The glyph each type of item lies on the map as
+const ITEM_SYMBOLS = {
+  weapon: "\\",
+  armor: "&",
+  ring: "$",
+  talisman: "$",
+};
+
+// Every place an item can be worn, in the order the inventory screen lists
+// them. Hands hold a list of weapons; only the first is shown as the slot.
+const EQUIPMENT_SLOTS = [
+  { slot: "head", index: 0, label: "Head", type: "armor" },
+  { slot: "chest", index: 0, label: "Chest", type: "armor" },
+  { slot: "legs", index: 0, label: "Legs", type: "armor" },
+  { slot: "arms", index: 0, label: "Arms", type: "armor" },
+  { slot: "rightHand", index: 0, label: "Right hand", type: "weapon" },
+  { slot: "leftHand", index: 0, label: "Left hand", type: "weapon" },
+  { slot: "rings", index: 0, label: "Ring 1", type: "ring" },
+  { slot: "rings", index: 1, label: "Ring 2", type: "ring" },
+  { slot: "talismans", index: 0, label: "Talisman 1", type: "talisman" },
+  { slot: "talismans", index: 1, label: "Talisman 2", type: "talisman" },
+  { slot: "talismans", index: 2, label: "Talisman 3", type: "talisman" },
+];
+
+/**
+ * Distributes items randomly across a floor, chosen by a loot table
+ * @param {Object} dungeon - The dungeon the floor belongs to
+ * @param {Object} rng - Seeded generator used for every roll (see random.js)
+ * @param {number} floor - The floor's index, for its map, depth and theme
+ * @param {Object} table - Loot table to roll items from (see lootTables.js)
+ * @returns {Array} - The placed items ({ x, y, item, symbol })
+ */
+function distributeItems(dungeon, rng, floor = 0, table = LOOT_TABLE) {
+  const { width, height } = dungeon;
+  const map = dungeon.maps[floor];
+  const mapItems = [];
+  console.log("Distributing items on map...");
+
+  // Verify map is valid before proceeding
+  if (!map || typeof map !== "object" || !map.length) {
+    console.error(`ERROR: Invalid map passed to distributeItems: ${map}`);
+    console.trace("Stack trace for invalid map");
+    return []; // Return empty array to prevent further errors
+  }
+
+  // Count navigable floor tiles
+  let navigableTiles = 0;
+  for (let i = 0; i < map.length; i++) {
+    if (map[i] === ".") {
+      navigableTiles++;
+    }
+  }
+  console.log(`Map has ${navigableTiles} navigable floor tiles.`);
+
+  // Calculate how many items to place (between 10 and 40)
+  // More items for larger navigable areas, with some randomness
+  const minItems = 10;
+  const maxItems = 40;
+  const baseItemCount =
+    minItems +
+    Math.floor((navigableTiles / (width * height)) * (maxItems - minItems));
+  const itemCount = Math.min(
+    maxItems,
+    baseItemCount + Math.floor(rng.random() * 10) - 5
+  );
+  console.log(`Will attempt to place ${itemCount} items.`);
+
+  // Guaranteed drops come first and count towards the rarity caps
+  const loot = resolveLootTable(table, dungeon, floor);
+  const counts = {};
+  const queue = [];
+  for (const filter of loot.guaranteed) {
+    const item = rollGuaranteedItem(loot, filter, rng);
+    if (item) {
+      queue.push(item);
+    } else {
+      console.error(
+        `ERROR: No item matches guaranteed drop ${JSON.stringify(filter)}`
+      );
+    }
+  }
+
+  // Distribute items
+  let placedItems = 0;
+  const totalItems = Math.max(itemCount, queue.length);
+  let maxAttempts = totalItems * 10; // Prevent infinite loops
+  let attempts = 0;
+
+  while (placedItems < totalItems && attempts < maxAttempts) {
+    attempts++;
+
+    // Pick a random position
+    const x = Math.floor(rng.random() * width);
+    const y = Math.floor(rng.random() * height);
+    const index = y * width + x;
+
+    // Only place items on empty floor tiles
+    if (map[index] === ".") {
+      // The next guaranteed drop, or a roll on the floor's loot table
+      const selectedItem = queue.length
+        ? queue.shift()
+        : rollLootItem(loot, rng, counts);
+      if (!selectedItem) {
+        console.log("Every rarity has reached its cap, no more items");
+        break;
+      }
+      counts[selectedItem.rarity] = (counts[selectedItem.rarity] || 0) + 1;
+
+      // Debug log the complete item
+      console.log(
+        `DEBUG: Selected ${selectedItem.rarity} ${selectedItem.type} item:`,
+        JSON.stringify(selectedItem, null, 2)
+      );
+
+      // For armor, verify it has a slot property
+      if (selectedItem.type === "armor") {
+        console.log(`DEBUG: Armor slot: ${selectedItem.slot || "MISSING!"}`);
+      }
+
+      // Add item to mapItems array
+      mapItems.push({
+        x: x,
+        y: y,
+        item: selectedItem,
+        symbol: ITEM_SYMBOLS[selectedItem.type],
+      });
+
+      placedItems++;
+
+      if (placedItems % 5 === 0) {
+        console.log(`Placed ${placedItems}/${totalItems} items so far...`);
+      }
+    }
+  }
+
+  console.log(
+    `Placed ${placedItems} items on the map after ${attempts} attempts.`
+  );
+  return mapItems;
+}
+
+/**
+ * Updates the map with item symbols
+ * @param {Array} map - The map array to update with item symbols
+ * @param {Array} mapItems - The items lying on that map
+ * @param {number} width - Tiles in a row of the map
+ */
+function updateMapWithItems(map, mapItems, width) {
+  console.log(`Updating map with ${mapItems.length} items`);
+
+  // Verify map is valid before proceeding
+  if (!map || typeof map !== "object") {
+    console.error(`ERROR: Invalid map passed to updateMapWithItems: ${map}`);
+    console.trace("Stack trace for invalid map");
+    return; // Exit early to prevent errors
+  }
+
+  // Place item symbols on the map
+  for (const mapItem of mapItems) {
+    const index = mapItem.y * width + mapItem.x;
+    // Only place on floor tiles (in case the map has changed)
+    if (map[index] === ".") {
+      console.log(
+        `Placing ${mapItem.item.name} (${mapItem.symbol}) at (${mapItem.x}, ${mapItem.y})`
+      );
+      map[index] = mapItem.symbol;
+    } else {
+      console.log(
+        `Cannot place item at (${mapItem.x}, ${mapItem.y}) - tile is not a floor: '${map[index]}'`
+      );
+    }
+  }
+
+  // Verification scan - count items on map for debugging
+  let weaponCount = 0;
+  let armorCount = 0;
+  let trinketCount = 0;
+
+  for (let i = 0; i < map.length; i++) {
+    if (map[i] === "\\") weaponCount++;
+    if (map[i] === "&") armorCount++;
+    if (map[i] === "$") trinketCount++;
+  }
+
+  console.log(
+    `Map now contains ${weaponCount} weapons, ${armorCount} armor pieces, and ${trinketCount} trinkets`
+  );
+}
+
+/**
+ * Checks if there's an item at the given position, removing it if so
+ * @param {Array} mapItems - The items lying on the floor
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object|null} - The item object or null if no item found
+ */
+function getItemAtPosition(mapItems, x, y) {
+  console.log(
+    `Searching for items at (${x}, ${y}). Total items on map: ${mapItems.length}`
+  );
+
+  // Debug log all items on the map
+  if (mapItems.length > 0) {
+    console.log("Current map items:");
+    mapItems.forEach((item, index) => {
+      console.log(
+        `  Item ${index}: (${item.x}, ${item.y}) - ${item.item.name} (${item.symbol})`
+      );
+    });
+  }
+
+  const itemIndex = mapItems.findIndex((item) => item.x === x && item.y === y);
+  if (itemIndex >= 0) {
+    console.log(`Found item at index ${itemIndex}`);
+    const item = mapItems[itemIndex];
+    // Remove the item from the map
+    mapItems.splice(itemIndex, 1);
+    console.log(`Removed item from map. ${mapItems.length} items remaining.`);
+    return item.item;
+  }
+
+  console.log("No item found at this position");
+  return null;
+}
+
+/**
+ * Attempts to pick up an item at a being's position
+ * @param {Object} player - The player (or any other Being)
+ * @param {Array} map - The map the being is on
+ * @param {Array} mapItems - The items lying on that map
+ * @param {Object} rng - Seeded generator for fallback item rolls
+ * @returns {Object|null} - The item picked up, or null if there was none or
+ *   it's too heavy to carry (see encumbrance.js)
+ */
+function pickupItem(player, map, mapItems, rng) {
+  console.log(`Checking for item at position (${player.x}, ${player.y})`);
+
+  // Verify map and player are valid before proceeding
+  if (!map || typeof map !== "object" || !map.length) {
+    console.error(`ERROR: Invalid map passed to pickupItem: ${map}`);
+    console.trace("Stack trace for invalid map");
+    return null; // Exit early to prevent errors
+  }
+
+  if (
+    !player ||
+    typeof player !== "object" ||
+    typeof player.x !== "number" ||
+    typeof player.y !== "number"
+  ) {
+    console.error(`ERROR: Invalid player passed to pickupItem: ${player}`);
+    console.trace("Stack trace for invalid player");
+    return null; // Exit early to prevent errors
+  }
+
+  // Items too heavy to carry stay where they lie
+  const lying = mapItems.find(
+    (mapItem) => mapItem.x === player.x && mapItem.y === player.y
+  );
+  if (lying && !canCarry(player, lying.item)) {
+    console.log(`${lying.item.name} is too heavy for ${player.name} to carry`);
+    return null;
+  }
+
+  // First, try to find the item in the mapItems array
+  let item = getItemAtPosition(mapItems, player.x, player.y);
+
+  // If no item found in mapItems but there's an item symbol on the map, create a fallback item
+  if (!item) {
+    const cellIndex = player.y * player.game.width + player.x;
+    const cellChar = map[cellIndex];
+    console.log(
+      `No item in mapItems array, checking map character: '${cellChar}'`
+    );
+
+    // If there's an item symbol on the map, create a fallback item
+    if (cellChar === "\\" || cellChar === "&" || cellChar === "$") {
+      console.log(
+        `Found item symbol on map: '${cellChar}', creating fallback item`
+      );
+
+      let itemType;
+      if (cellChar === "\\") itemType = "weapon";
+      else if (cellChar === "&") itemType = "armor";
+      else if (cellChar === "$")
+        itemType = rng.random() < 0.5 ? "ring" : "talisman";
+
+      // Get a random item of that type
+      const items = getItemsByType(itemType);
+      if (items.length > 0) {
+        item = items[Math.floor(rng.random() * items.length)];
+        console.log(`Created fallback item: ${item.name} (${item.type})`);
+
+        // IMPORTANT DEBUG: Check if the item has all expected properties
+        console.log(
+          `DEBUG: Fallback item details:`,
+          JSON.stringify(item, null, 2)
+        );
+        if (itemType === "armor" && !item.slot) {
+          console.log(`DEBUG: WARNING - Armor item missing slot property!`);
+        }
+      }
+    }
+  }
+
+  if (item && !canCarry(player, item)) {
+    console.log(`${item.name} is too heavy for ${player.name} to carry`);
+    return null;
+  }
+
+  if (item) {
+    console.log(`Item found: ${item.name} (${item.type})`);
+
+    // Add the item to player's inventory
+    player.addToInventory(item);
+    console.log(
+      `Added ${item.name} to inventory. Inventory now has ${player.inventory.length} items.`
+    );
+
+    // Reset the map tile to the ground it lay on, unless more items lie there
+    const below = mapItems.find(
+      (mapItem) => mapItem.x === player.x && mapItem.y === player.y
+    );
+    const ground = (lying && lying.ground) || ".";
+    map[player.y * player.game.width + player.x] = below
+      ? below.symbol
+      : ground;
+
+    return item;
+  } else {
+    console.log(`No item found at position (${player.x}, ${player.y})`);
+    return null;
+  }
+}
+
+/**
+ * Equips an item from inventory to the appropriate slot
+ * @param {Object} player - The player object
+ * @param {Object} item - The item to equip
+ * @returns {boolean} - Whether the item was equipped successfully
+ */
+function autoEquipItem(player, item) {
+  if (!item) return false;
+
+  const equipped = equipToFreeSlot(player, item);
+  if (equipped) {
+    // Equipment modifiers feed into the derived stats
+    player.recalculateStats();
+  }
+  return equipped;
+}
+
+/**
+ * Puts an item into the first free slot that fits it
+ * @param {Object} player - The player object
+ * @param {Object} item - The item to equip
+ * @returns {boolean} - Whether a free slot was found
+ */
+function equipToFreeSlot(player, item) {
+  // Check item type and equip accordingly
+  switch (item.type) {
+    case "weapon":
+      // Try to equip to right hand first, then left hand
+      if (!player.equipment.rightHand.length) {
+        player.equipment.rightHand.push(item);
+        return true;
+      } else if (!player.equipment.leftHand.length) {
+        player.equipment.leftHand.push(item);
+        return true;
+      }
+      break;
+
+    case "armor":
+      // Equip to the appropriate armor slot
+      if (item.slot && !player.equipment[item.slot]) {
+        player.equipment[item.slot] = item;
+        return true;
+      }
+      break;
+
+    case "ring":
+      // Try to find an empty ring slot
+      for (let i = 0; i < player.equipment.rings.length; i++) {
+        if (!player.equipment.rings[i]) {
+          player.equipment.rings[i] = item;
+          return true;
+        }
+      }
+      break;
+
+    case "talisman":
+      // Try to find an empty talisman slot
+      for (let i = 0; i < player.equipment.talismans.length; i++) {
+        if (!player.equipment.talismans[i]) {
+          player.equipment.talismans[i] = item;
+          return true;
+        }
+      }
+      break;
+  }
+
+  return false;
+}
+
+/**
+ * Takes an item off and puts it back in the inventory, reverting its
+ * stat modifiers
+ * @param {Object} player - The player object
+ * @param {string} slot - Equipment slot (head, chest, legs, arms, rightHand,
+ *   leftHand, rings or talismans)
+ * @param {number} index - Position within hand, ring or talisman slots
+ * @returns {Object|null} - The unequipped item or null if the slot was empty
+ */
+function unequipItem(player, slot, index = 0) {
+  const current = player.equipment[slot];
+  let item = null;
+
+  if (slot === "rightHand" || slot === "leftHand") {
+    // Hands hold a list of weapons to cycle through
+    if (current && current[index]) {
+      item = current.splice(index, 1)[0];
+    }
+  } else if (Array.isArray(current)) {
+    // Ring and talisman slots stay in place, just emptied
+    if (current[index]) {
+      item = current[index];
+      current[index] = null;
+    }
+  } else if (current) {
+    item = current;
+    player.equipment[slot] = null;
+  }
+
+  if (!item) return null;
+
+  // One item comes off, whatever stack it was equipped from
+  player.addToInventory(
+    Object.assign(Object.create(Object.getPrototypeOf(item)), item, {
+      quantity: 1,
+    })
+  );
+  player.recalculateStats();
+  return item;
+}
+
+/**
+ * Looks up what's worn in a slot
+ * @param {Object} player - The player object
+ * @param {string} slot - Equipment slot (see EQUIPMENT_SLOTS)
+ * @param {number} index - Position within hand, ring or talisman slots
+ * @returns {Object|null} - The item or null if the slot is empty
+ */
+function getEquippedItem(player, slot, index = 0) {
+  const current = player.equipment[slot];
+  if (Array.isArray(current)) return current[index] || null;
+  return current || null;
+}
+
+// Whether an item can be worn in a slot; armor only goes where it's made for
+function fitsSlot(item, slot) {
+  const entry = EQUIPMENT_SLOTS.find((candidate) => candidate.slot === slot);
+  if (!item || !entry || entry.type !== item.type) return false;
+  return item.type !== "armor" || !item.slot || item.slot === slot;
+}
+
+/**
+ * Picks the slot an item would be equipped to: the first free one that
+ * fits, otherwise the first one that fits, whose item it would replace
+ * @param {Object} player - The player object
+ * @param {Object} item - The item
+ * @returns {Object|null} - The EQUIPMENT_SLOTS entry, or null if none fits
+ */
+function findEquipSlot(player, item) {
+  const fitting = EQUIPMENT_SLOTS.filter((entry) => fitsSlot(item, entry.slot));
+  return (
+    fitting.find(
+      (entry) => !getEquippedItem(player, entry.slot, entry.index)
+    ) ||
+    fitting[0] ||
+    null
+  );
+}
+
+/**
+ * Equips one of an inventory stack to a given slot, sending whatever was
+ * worn there back to the inventory
+ * @param {Object} player - The player object
+ * @param {number} inventoryIndex - Index of the item in the inventory
+ * @param {string} slot - Equipment slot (see EQUIPMENT_SLOTS)
+ * @param {number} index - Position within hand, ring or talisman slots
+ * @returns {Object|null} - The item equipped, or null if it doesn't fit
+ */
+function equipItem(player, inventoryIndex, slot, index = 0) {
+  const item = player.inventory[inventoryIndex];
+  if (!item || !fitsSlot(item, slot)) {
+    console.log(
+      `DEBUG: Can't equip inventory item ${inventoryIndex} to ${slot}`
+    );
+    return null;
+  }
+  const limit = Array.isArray(player.equipment[slot])
+    ? EQUIPMENT_SLOTS.filter((entry) => entry.slot === slot).length
+    : 1;
+  if (!Number.isInteger(index) || index < 0 || index >= limit) return null;
+
+  // Out of the inventory first, so the swapped item can't shift the index
+  const worn = takeFromInventory(player, inventoryIndex);
+  unequipItem(player, slot, index);
+
+  if (slot === "rightHand" || slot === "leftHand") {
+    player.equipment[slot].unshift(worn);
+  } else if (Array.isArray(player.equipment[slot])) {
+    player.equipment[slot][index] = worn;
+  } else {
+    player.equipment[slot] = worn;
+  }
+
+  player.recalculateStats();
+  console.log(`DEBUG: Equipped ${worn.name} to ${slot} ${index}`);
+  return worn;
+}
+
+/**
+ * Drops one of an inventory stack where a being stands, back among the
+ * floor's items. Stairs and tiles nobody can walk on can't hold items.
+ * @param {Object} player - The player (or any other Being)
+ * @param {Array} map - The map the being is on
+ * @param {Array} mapItems - The items lying on that map
+ * @param {number} inventoryIndex - Index of the item in the inventory
+ * @returns {Object|null} - The item dropped, or null if it couldn't be
+ */
+function dropItem(player, map, mapItems, inventoryIndex) {
+  const index = player.y * player.game.width + player.x;
+  const tile = map[index];
+  if (!player.inventory[inventoryIndex]) return null;
+  // Anywhere a being can walk, except on stairs, which must stay in sight
+  const lying = Object.values(ITEM_SYMBOLS).includes(tile);
+  const ground = getTile(player.game, player.floor, tile);
+  if (!lying && (!ground.walkable || ground.style)) {
+    console.log(`Cannot drop an item on '${tile}'`);
+    return null;
+  }
+
+  const item = takeFromInventory(player, inventoryIndex);
+  const symbol = ITEM_SYMBOLS[item.type];
+  const mapItem = { x: player.x, y: player.y, item: item, symbol: symbol };
+  // The terrain it hides comes back when the last item there is picked up
+  const here = mapItems.find(
+    (other) => other.x === player.x && other.y === player.y
+  );
+  const under = lying ? here && here.ground : tile;
+  if (under && under !== ".") mapItem.ground = under;
+  mapItems.push(mapItem);
+  // An item already lying here keeps its glyph, and is picked up first
+  if (!lying) map[index] = symbol;
+
+  console.log(`Dropped ${item.name} at (${player.x}, ${player.y})`);
+  return item;
+}
+
+// Take a single item off an inventory stack, removing the stack when it's
+// the last one
+function takeFromInventory(player, inventoryIndex) {
+  const stack = player.inventory[inventoryIndex];
+  if (stack.quantity > 1) {
+    stack.quantity--;
+    return Object.assign(Object.create(Object.getPrototypeOf(stack)), stack, {
+      quantity: 1,
+    });
+  }
+  player.inventory.splice(inventoryIndex, 1);
+  return stack;
+}
+
+/**
+ * Try to equip an item to the appropriate equipment slot
+ * @param {Object} player - The player object
+ * @param {Object} item - The item to equip
+ * @param {number} inventoryIndex - The index of the item in inventory
+ * @returns {boolean} Whether the item was equipped
+ */
+function tryEquipItem(player, item, inventoryIndex) {
+  console.log(
+    `DEBUG: Trying to equip ${item.name} (${item.type}) from index ${inventoryIndex}`
+  );
+  let equipped = false;
+
+  switch (item.type) {
+    case "weapon":
+      // Equip to right hand if empty, otherwise left hand
+      if (player.equipment.rightHand.length === 0) {
+        player.equipment.rightHand.push(item);
+        equipped = true;
+        console.log(`DEBUG: Equipped weapon to right hand`);
+      } else if (player.equipment.leftHand.length === 0) {
+        player.equipment.leftHand.push(item);
+        equipped = true;
+        console.log(`DEBUG: Equipped weapon to left hand`);
+      }
+      break;
+
+    case "armor":
+      // Try to equip to the appropriate armor slot if specified
+      if (item.slot && !player.equipment[item.slot]) {
+        player.equipment[item.slot] = item;
+        equipped = true;
+        console.log(`DEBUG: Equipped armor to ${item.slot}`);
+      } else if (!item.slot) {
+        // If slot is not specified, try to find any empty armor slot
+        const armorSlots = ["head", "chest", "legs", "arms"];
+        for (const slot of armorSlots) {
+          if (!player.equipment[slot]) {
+            player.equipment[slot] = item;
+            equipped = true;
+            console.log(`DEBUG: Equipped armor to ${slot}`);
+            break;
+          }
+        }
+      }
+      break;
+
+    case "ring":
+      // Find empty ring slot
+      for (let i = 0; i < player.equipment.rings.length; i++) {
+        if (!player.equipment.rings[i]) {
+          player.equipment.rings[i] = item;
+          equipped = true;
+          console.log(`DEBUG: Equipped ring to slot ${i}`);
+          break;
+        }
+      }
+      break;
+
+    case "talisman":
+      // Find empty talisman slot
+      for (let i = 0; i < player.equipment.talismans.length; i++) {
+        if (!player.equipment.talismans[i]) {
+          player.equipment.talismans[i] = item;
+          equipped = true;
+          console.log(`DEBUG: Equipped talisman to slot ${i}`);
+          break;
+        }
+      }
+      break;
+  }
+
+  // If successfully equipped, remove from inventory
+  if (equipped) {
+    player.recalculateStats();
+    console.log(`DEBUG: Item equipped, removing from inventory`);
+    // Remove one quantity or remove the item entirely if quantity would be 0
+    if (item.quantity > 1) {
+      item.quantity--;
+      console.log(`DEBUG: Reduced quantity to ${item.quantity}`);
+    } else {
+      player.inventory.splice(inventoryIndex, 1);
+      console.log(`DEBUG: Removed item from inventory completely`);
+    }
+  } else {
+    console.log(`DEBUG: Failed to equip, no suitable slot available`);
+  }
+
+  return equipped;
+}
+
+/**
+ * Renders the player's inventory as a string
+ * @param {Object} player - The player object
+ * @returns {string} - A formatted string showing inventory contents
+ */
+function renderInventory(player) {
+  console.log(
+    `DEBUG: renderInventory called - inventory has ${player.inventory.length} items`
+  );
+
+  // Sanity check for player inventory
+  if (!player || !player.inventory) {
+    console.error("ERROR: Invalid player or inventory in renderInventory");
+    return "| INVENTORY: Error";
+  }
+
+  if (player.inventory.length === 0) {
+    console.log("DEBUG: Inventory is empty");
+    return "| INVENTORY: Empty";
+  }
+
+  console.log(
+    "DEBUG: Raw inventory contents:",
+    JSON.stringify(player.inventory, null, 2)
+  );
+
+  // Group items by type
+  const inventoryByType = {};
+  for (const item of player.inventory) {
+    if (!item) {
+      console.error("ERROR: Null item in inventory!");
+      continue;
+    }
+
+    if (!item.type) {
+      console.error("ERROR: Item missing type property:", item);
+      continue;
+    }
+
+    if (!inventoryByType[item.type]) {
+      inventoryByType[item.type] = [];
+    }
+    inventoryByType[item.type].push(item);
+  }
+
+  let inventoryText = "| INVENTORY: ";
+  const items = [];
+
+  // Create a unique ID for each item using its index in the inventory
+  for (const type in inventoryByType) {
+    const typeItems = inventoryByType[type].map((item) => {
+      const itemIndex = player.inventory.findIndex(
+        (i) => i.name === item.name && i.type === item.type
+      );
+      console.log(
+        `DEBUG: Creating clickable span for ${item.name} (index ${itemIndex})`
+      );
+
+      // Format the item as a clickable span with data attributes
+      return `<span class="inventory-item" 
+                   data-item-index="${itemIndex}" 
+                   data-item-type="${item.type}"
+                   data-item-name="${item.name}"
+                   style="text-decoration: underline; cursor: pointer; color: var(--item-color-${
+                     item.type
+                   })">${item.name}${
+        item.quantity > 1 ? ` (${item.quantity})` : ""
+      }</span>`;
+    });
+    items.push(...typeItems);
+  }
+
+  inventoryText += items.join(", ");
+  console.log(`DEBUG: Final inventory text: ${inventoryText}`);
+  return inventoryText;
+}
+
+/**
+ * Resets and redistributes items on a floor
+ * @param {Object} dungeon - The dungeon the floor belongs to
+ * @param {Array} mapItems - The items currently lying on that map
+ * @param {boolean} force - Whether to force redistribution even if items exist
+ * @param {Object} rng - Seeded generator passed on to distributeItems
+ * @param {number} floor - The floor's index, for its map and loot table
+ * @returns {Array} - The map's items from now on
+ */
+function resetAndDistributeItems(
+  dungeon,
+  mapItems,
+  force = false,
+  rng,
+  floor = 0
+) {
+  const map = dungeon.maps[floor];
+  console.log(
+    `Resetting and redistributing items on map. Force: ${force}. Current items: ${mapItems.length}`
+  );
+
+  // Verify map is valid before proceeding
+  if (!map || typeof map !== "object" || !map.length) {
+    console.error(
+      `ERROR: Invalid map passed to resetAndDistributeItems: ${map}`
+    );
+    console.trace("Stack trace for invalid map");
+    return mapItems; // Exit early to prevent errors
+  }
+
+  // Only reset and redistribute if we have no items or if forced
+  if (mapItems.length === 0 || force) {
+    // First, clear any item symbols from the map
+    console.log("Clearing any existing item symbols from the map");
+    for (let i = 0; i < map.length; i++) {
+      if (map[i] === "\\" || map[i] === "&" || map[i] === "$") {
+        // Reset to floor tile
+        map[i] = ".";
+      }
+    }
+
+    // Replace the existing items with new ones
+    mapItems = distributeItems(dungeon, rng, floor);
+    updateMapWithItems(map, mapItems, dungeon.width);
+    console.log(`Items redistributed. New count: ${mapItems.length}`);
+  } else {
+    console.log(`Keeping existing ${mapItems.length} items.`);
+  }
+  return mapItems;
+}
+
+// Export functions
+export {
+  ITEM_SYMBOLS,
+  EQUIPMENT_SLOTS,
+  distributeItems,
+  updateMapWithItems,
+  getItemAtPosition,
+  pickupItem,
+  autoEquipItem,
+  equipToFreeSlot,
+  tryEquipItem,
+  unequipItem,
+  getEquippedItem,
+  findEquipSlot,
+  equipItem,
+  dropItem,
+  renderInventory,
+  resetAndDistributeItems,
+};
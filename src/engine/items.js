@@ -9,66 +9,146 @@
  */
 
 // Status effect types
+// Each effect calls target.applyDebuff(stat, amount, ticks, effect, attacker);
+// health debuffs deal damage every tick, other stats are lowered until the
+// debuff runs out (see Being.applyDebuff in entities.js)
 const STATUS_EFFECTS = {
   POISON: {
+    id: "poison",
     name: "Poison",
     description: "Deals damage over time",
-    effect: (target, power = 1) => {
-      target.applyDebuff("health", -power, 5); // Damage per tick for 5 ticks
+    effect: (target, power = 1, attacker = null) => {
+      target.applyDebuff("health", -power, 5, STATUS_EFFECTS.POISON, attacker); // Damage per tick for 5 ticks
     },
   },
   FREEZE: {
+    id: "freeze",
     name: "Freeze",
     description: "Slows movement and attack speed",
-    effect: (target, power = 1) => {
-      target.applyDebuff("dexterity", -power * 3, 3); // Reduce dexterity for 3 ticks
+    effect: (target, power = 1, attacker = null) => {
+      target.applyDebuff(
+        "dexterity",
+        -power * 3,
+        3,
+        STATUS_EFFECTS.FREEZE,
+        attacker
+      ); // Reduce dexterity for 3 ticks
     },
   },
   FLAME: {
+    id: "flame",
     name: "Flame",
     description: "Burns the target, dealing damage over time",
-    effect: (target, power = 1) => {
-      target.applyDebuff("health", -power * 2, 3); // Damage per tick for 3 ticks
+    effect: (target, power = 1, attacker = null) => {
+      target.applyDebuff(
+        "health",
+        -power * 2,
+        3,
+        STATUS_EFFECTS.FLAME,
+        attacker
+      ); // Damage per tick for 3 ticks
     },
   },
   DISMEMBERMENT: {
+    id: "dismemberment",
     name: "Dismemberment",
     description:
       "Chance to sever limbs, severely reducing combat effectiveness",
-    effect: (target, power = 1) => {
+    effect: (target, power = 1, attacker = null) => {
       // 5% chance per point of power to cause dismemberment
-      if (Math.random() < 0.05 * power) {
-        target.applyDebuff("strength", -power * 5, 10);
-        target.applyDebuff("dexterity", -power * 5, 10);
+      if (target.game.combatRNG.random() < 0.05 * power) {
+        target.applyDebuff(
+          "strength",
+          -power * 5,
+          10,
+          STATUS_EFFECTS.DISMEMBERMENT,
+          attacker
+        );
+        target.applyDebuff(
+          "dexterity",
+          -power * 5,
+          10,
+          STATUS_EFFECTS.DISMEMBERMENT,
+          attacker
+        );
       }
     },
   },
   BLEED: {
+    id: "bleed",
     name: "Bleeding",
     description: "Causes blood loss and continuous damage",
-    effect: (target, power = 1) => {
-      target.applyDebuff("health", -power * 1.5, 4); // Damage per tick for 4 ticks
+    effect: (target, power = 1, attacker = null) => {
+      target.applyDebuff(
+        "health",
+        -power * 1.5,
+        4,
+        STATUS_EFFECTS.BLEED,
+        attacker
+      ); // Damage per tick for 4 ticks
     },
   },
   STUN: {
+    id: "stun",
     name: "Stun",
     description: "Temporarily prevents the target from acting",
-    effect: (target, power = 1) => {
-      // Implementation would depend on the combat system
-      // For now, severely reduce dexterity
-      target.applyDebuff("dexterity", -power * 8, 1); // Heavy but short debuff
+    effect: (target, power = 1, attacker = null) => {
+      // Stunned beings skip their actions (Being.isStunned) and lose dexterity
+      target.applyDebuff(
+        "dexterity",
+        -power * 8,
+        1,
+        STATUS_EFFECTS.STUN,
+        attacker
+      ); // Heavy but short debuff
     },
   },
   WEAKEN: {
+    id: "weaken",
     name: "Weaken",
     description: "Reduces the target's strength and stamina",
-    effect: (target, power = 1) => {
-      target.applyDebuff("strength", -power * 2, 4);
-      target.applyDebuff("stamina", -power * 10, 4);
+    effect: (target, power = 1, attacker = null) => {
+      target.applyDebuff(
+        "strength",
+        -power * 2,
+        4,
+        STATUS_EFFECTS.WEAKEN,
+        attacker
+      );
+      target.applyDebuff(
+        "stamina",
+        -power * 10,
+        4,
+        STATUS_EFFECTS.WEAKEN,
+        attacker
+      );
     },
   },
 };
 
+/**
+ * Sums one kind of Talisman status modifier for an effect across a being's
+ * equipped talismans
+ * @param {Object} being - The wearer (may be null)
+ * @param {Object} effect - An entry of STATUS_EFFECTS
+ * @param {string} key - "resistance" or "boost"
+ * @returns {number} - Total modifier, 0 when nothing applies
+ */
+function getStatusModifier(being, effect, key) {
+  if (!being || !being.equipment || !effect) return 0;
+
+  let total = 0;
+  for (const talisman of being.equipment.talismans) {
+    if (!talisman || !talisman.statusModifiers) continue;
+    for (const modifier of talisman.statusModifiers) {
+      if (modifier.type && modifier.type.id === effect.id && modifier[key]) {
+        total += modifier[key];
+      }
+    }
+  }
+  return total;
+}
+
 // Item base class
 class Item {
   constructor(
@@ -111,6 +191,8 @@ class Weapon extends Item {
     this.statScaling = statScaling; // { strength: 0.5, dexterity: 0.3 } - how weapon scales with stats
     this.statusEffects = statusEffects; // [{ type: STATUS_EFFECTS.POISON, chance: 0.2, power: 2 }]
     this.twoHanded = false; // Default to one-handed
+    // Attack animation set from attackAnimations.js; piercing weapons thrust
+    this.animation = damageType === "pierce" ? "thrust" : "swing";
   }
 
   // Calculate total damage based on wielder's stats
@@ -127,11 +209,13 @@ class Weapon extends Item {
     return totalDamage;
   }
 
-  // Apply status effects based on chance
-  applyStatusEffects(target) {
+  // Apply status effects based on chance. The wielder's talisman boosts
+  // strengthen them; the target's resistances are applied in applyDebuff.
+  applyStatusEffects(target, wielder = null) {
     for (const effect of this.statusEffects) {
-      if (Math.random() < effect.chance) {
-        effect.type.effect(target, effect.power);
+      if (target.game.combatRNG.random() < effect.chance) {
+        const boost = getStatusModifier(wielder, effect.type, "boost");
+        effect.type.effect(target, effect.power * (1 + boost), wielder);
       }
     }
   }
@@ -326,7 +410,7 @@ const ARMOR = [
     "common",
     "head",
     5,
-    { vitality: 1 }
+    { vitality: 1, sight: -1 } // The visor narrows your view
   ),
   new Armor(
     "hood_leather",
@@ -337,7 +421,7 @@ const ARMOR = [
     "common",
     "head",
     3,
-    { dexterity: 1, luck: 1 }
+    { dexterity: 1, luck: 1, sight: 1 }
   ),
   new Armor(
     "crown_mage",
@@ -653,3 +737,21 @@ function getItemsByType(type) {
 
   return result;
 }
+
+// Export functions
+export {
+  STATUS_EFFECTS,
+  getStatusModifier,
+  Item,
+  Weapon,
+  Armor,
+  Ring,
+  Talisman,
+  WEAPONS,
+  ARMOR,
+  RINGS,
+  TALISMANS,
+  ALL_ITEMS,
+  findItemById,
+  getItemsByType,
+};
@@ -0,0 +1,479 @@
+/**
+ * Loot Tables for Dungeon Terrain
+ *
+ * Decides which items lie on a floor. A loot table weighs each kind of item
+ * and each rarity, with rarer items growing likelier the deeper the floor,
+ * and can adjust that per floor theme (see getDungeonShape) and per floor:
+ * rules that make some items likelier, caps on how many items of a rarity a
+ * floor holds, and items a floor always gets.
+ *
+ * Tables are plain data, so they can be read from JSON. A rule or a
+ * guaranteed drop picks items by any of:
+ *   { id }, { ids: [...] }, { type }, { rarity }, { damageType },
+ *   { status }  (a status effect the item inflicts, boosts or resists)
+ * Rules add a multiplier for the items they pick: { damageType: "pierce",
+ * multiplier: 4 } makes every piercing weapon four times as likely as the
+ * other weapons of its rarity.
+ *
+ * A random item is rolled a rarity first, so rarities turn up as often as
+ * their weights say, then a kind among those with items of that rarity,
+ * then an item.
+ */
+
+import { findItemById, getItemsByType } from "./items.js";
+
+const RARITIES = ["common", "uncommon", "rare", "epic", "legendary"];
+
+// Kinds of item a table can weigh
+const ITEM_KINDS = ["weapon", "armor", "ring", "talisman"];
+
+// The table every dungeon uses unless it's given another
+const LOOT_TABLE = {
+  // Weight of each kind of item
+  categories: { weapon: 40, armor: 30, ring: 15, talisman: 15 },
+  // Weight of each rarity on the first floor and on the last; the floors
+  // in between blend the two
+  rarities: {
+    common: [60, 10],
+    uncommon: [30, 30],
+    rare: [9, 35],
+    epic: [1, 20],
+    legendary: [0, 5],
+  },
+  // Most items of a rarity a single floor may hold
+  caps: { epic: 3, legendary: 1 },
+  // Items every floor gets before the random ones
+  guaranteed: [],
+  rules: [],
+  // Changes for floors of a theme, then for single floors by index. Their
+  // categories, rarities and caps replace the ones above; their rules and
+  // guaranteed drops are added to them.
+  themes: {
+    forest: {
+      rules: [
+        { damageType: "pierce", multiplier: 4 },
+        { ids: ["tunic_hunter", "hood_leather"], multiplier: 2 },
+      ],
+    },
+    volcanic: {
+      rules: [
+        { status: "flame", multiplier: 4 },
+        { id: "ring_fire", multiplier: 4 },
+      ],
+    },
+    arena: {
+      caps: { epic: 5, legendary: 2 },
+      guaranteed: [{ rarity: "epic" }],
+    },
+  },
+  floors: {},
+};
+
+/**
+ * Builds a loot table from a partial one, such as one read from JSON,
+ * taking whatever it leaves out from LOOT_TABLE
+ * @param {Object} overrides - Any of the fields of LOOT_TABLE
+ * @returns {Object} - The complete table
+ * @throws {Error} - Listing everything wrong with the table (see
+ *   checkLootTable)
+ */
+function createLootTable(overrides = {}) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("A loot table is an object");
+  }
+  const table = {
+    ...LOOT_TABLE,
+    ...overrides,
+    categories: { ...LOOT_TABLE.categories, ...overrides.categories },
+    rarities: { ...LOOT_TABLE.rarities, ...overrides.rarities },
+    caps: { ...LOOT_TABLE.caps, ...overrides.caps },
+    themes: { ...LOOT_TABLE.themes, ...overrides.themes },
+    floors: { ...LOOT_TABLE.floors, ...overrides.floors },
+  };
+  const errors = checkLootTable(table);
+  if (errors.length) throw new Error(errors.join("; "));
+  return table;
+}
+
+/**
+ * Finds everything wrong with a loot table: weights that are missing or
+ * negative, and kinds, rarities or items that don't exist
+ * @param {Object} table - Result of createLootTable
+ * @returns {Array} - Error messages, empty if it can be used
+ */
+function checkLootTable(table) {
+  const errors = [];
+  checkLootLayer(table, "", errors);
+  for (const [theme, layer] of Object.entries(table.themes || {})) {
+    checkLootLayer(layer, `Theme ${theme}: `, errors);
+  }
+  for (const [floor, layer] of Object.entries(table.floors || {})) {
+    if (!/^\d+$/.test(floor)) errors.push(`No such floor: ${floor}`);
+    checkLootLayer(layer, `Floor ${floor}: `, errors);
+  }
+  return errors;
+}
+
+// Whether a weight or multiplier is a number loot can be rolled with
+function isWeight(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+// Check the fields of a table, or of one of its theme or floor changes
+function checkLootLayer(layer, where, errors) {
+  if (!layer || typeof layer !== "object" || Array.isArray(layer)) {
+    errors.push(`${where}changes to a table are an object`);
+    return;
+  }
+  for (const [type, weight] of Object.entries(layer.categories || {})) {
+    if (!ITEM_KINDS.includes(type)) {
+      errors.push(`${where}unknown kind of item "${type}"`);
+    } else if (!isWeight(weight)) {
+      errors.push(`${where}the weight of ${type} has to be 0 or more`);
+    }
+  }
+  for (const [rarity, weight] of Object.entries(layer.rarities || {})) {
+    const weights = Array.isArray(weight) ? weight : [weight];
+    if (!RARITIES.includes(rarity)) {
+      errors.push(`${where}unknown rarity "${rarity}"`);
+    } else if (
+      !weights.length ||
+      weights.length > 2 ||
+      !weights.every(isWeight)
+    ) {
+      errors.push(
+        `${where}the weight of ${rarity} has to be 0 or more, or a ` +
+          "[first floor, last floor] pair of them"
+      );
+    }
+  }
+  for (const [rarity, cap] of Object.entries(layer.caps || {})) {
+    if (!RARITIES.includes(rarity)) {
+      errors.push(`${where}unknown rarity "${rarity}" in caps`);
+    } else if (!Number.isInteger(cap) || cap < 0) {
+      errors.push(`${where}the cap on ${rarity} has to be a whole number`);
+    }
+  }
+  for (const field of ["guaranteed", "rules"]) {
+    if (layer[field] === undefined) continue;
+    if (!Array.isArray(layer[field])) {
+      errors.push(`${where}${field} has to be a list`);
+      continue;
+    }
+    layer[field].forEach((filter, index) => {
+      const entry = `${where}${field} ${index}: `;
+      checkLootFilter(filter, entry, errors);
+      if (field === "rules" && !isWeight(filter && filter.multiplier)) {
+        errors.push(`${entry}the multiplier has to be 0 or more`);
+      }
+    });
+  }
+}
+
+// Check the filter of a rule or a guaranteed drop
+function checkLootFilter(filter, where, errors) {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    errors.push(`${where}has to be an object`);
+    return;
+  }
+  if (filter.ids !== undefined && !Array.isArray(filter.ids)) {
+    errors.push(`${where}ids has to be a list`);
+  }
+  const ids = [
+    ...(filter.id !== undefined ? [filter.id] : []),
+    ...(Array.isArray(filter.ids) ? filter.ids : []),
+  ];
+  for (const id of ids) {
+    if (!findItemById(id)) errors.push(`${where}unknown item "${id}"`);
+  }
+  if (filter.type !== undefined && !ITEM_KINDS.includes(filter.type)) {
+    errors.push(`${where}unknown kind of item "${filter.type}"`);
+  }
+  if (filter.rarity !== undefined && !RARITIES.includes(filter.rarity)) {
+    errors.push(`${where}unknown rarity "${filter.rarity}"`);
+  }
+}
+
+/**
+ * Works out what a table means for one floor: its theme's and the floor's
+ * own changes applied, and rarity weights for the floor's depth
+ * @param {Object} table - A loot table
+ * @param {Object} dungeon - The dungeon, for the floor's theme and how
+ *   many floors there are (see getDungeonShape)
+ * @param {number} floor - Floor index
+ * @returns {Object} - { categories, rarities, caps, guaranteed, rules },
+ *   with one weight per rarity
+ */
+function resolveLootTable(table, dungeon, floor) {
+  const { themes } = dungeon;
+  const layers = [
+    table,
+    (table.themes || {})[themes[floor]] || {},
+    (table.floors || {})[floor] || {},
+  ];
+  const resolved = {
+    categories: {},
+    rarities: {},
+    caps: {},
+    guaranteed: [],
+    rules: [],
+  };
+  for (const layer of layers) {
+    Object.assign(resolved.categories, layer.categories);
+    Object.assign(resolved.rarities, layer.rarities);
+    Object.assign(resolved.caps, layer.caps);
+    resolved.guaranteed.push(...(layer.guaranteed || []));
+    resolved.rules.push(...(layer.rules || []));
+  }
+
+  // A single number is the same weight on every floor
+  const depth = themes.length > 1 ? floor / (themes.length - 1) : 0;
+  for (const [rarity, weight] of Object.entries(resolved.rarities)) {
+    resolved.rarities[rarity] = Array.isArray(weight)
+      ? weight[0] + (weight[1] - weight[0]) * depth
+      : weight;
+  }
+  return resolved;
+}
+
+// Whether an item is one a rule or guaranteed drop asks for
+function matchesLoot(item, filter) {
+  const statuses = [
+    ...(item.statusEffects || []),
+    ...(item.statusModifiers || []),
+  ].map((effect) => effect.type.id);
+
+  return (
+    (filter.id === undefined || item.id === filter.id) &&
+    (filter.ids === undefined || filter.ids.includes(item.id)) &&
+    (filter.type === undefined || item.type === filter.type) &&
+    (filter.rarity === undefined || item.rarity === filter.rarity) &&
+    (filter.damageType === undefined ||
+      item.damageType === filter.damageType) &&
+    (filter.status === undefined || statuses.includes(filter.status))
+  );
+}
+
+// How likely an item is among those of its kind and rarity: the product of
+// every rule that picks it
+function getItemWeight(resolved, item) {
+  let weight = 1;
+  for (const rule of resolved.rules) {
+    if (matchesLoot(item, rule)) weight *= rule.multiplier;
+  }
+  return weight;
+}
+
+// Weight of a rarity, or nothing once a floor holds as many as its cap
+function getRarityWeight(resolved, rarity, counts = {}) {
+  const cap = resolved.caps[rarity];
+  if (cap !== undefined && (counts[rarity] || 0) >= cap) return 0;
+  return resolved.rarities[rarity] || 0;
+}
+
+// Pick one of a list by weight; null if every weight is 0
+function pickWeighted(entries, rng) {
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total <= 0) return null;
+  let roll = rng.random() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0 && weight > 0) return value;
+  }
+  return entries.filter(([, weight]) => weight > 0).pop()[0];
+}
+
+/**
+ * Weights for a floor's random items: of each rarity, then of each kind
+ * among the items of that rarity, then of each item. Rarities come first so
+ * that they turn up as often as the table says, however many items each
+ * has; a rarity no kind has an item of is left out.
+ * @param {Object} resolved - Result of resolveLootTable
+ * @param {Object} counts - Items of each rarity already on the floor
+ * @returns {Array} - [rarity, rarityWeight, [[type, categoryWeight,
+ *   [[item, weight], ...]], ...]] for every rarity that can still be rolled
+ */
+function getLootWeights(resolved, counts = {}) {
+  const hasWeight = ([, weight]) => weight > 0;
+  return Object.keys(resolved.rarities)
+    .map((rarity) => [
+      rarity,
+      getRarityWeight(resolved, rarity, counts),
+      Object.entries(resolved.categories)
+        .map(([type, weight]) => [
+          type,
+          weight,
+          getItemsByType(type)
+            .filter((item) => item.rarity === rarity)
+            .map((item) => [item, getItemWeight(resolved, item)]),
+        ])
+        .filter((kind) => hasWeight(kind) && kind[2].some(hasWeight)),
+    ])
+    .filter((entry) => hasWeight(entry) && entry[2].length);
+}
+
+/**
+ * Rolls one random item for a floor: a rarity by its weight, then a kind
+ * that has items of that rarity, then one of those items by the rules
+ * @param {Object} resolved - Result of resolveLootTable
+ * @param {Object} rng - Seeded generator (see random.js)
+ * @param {Object} counts - Items of each rarity already on the floor
+ * @returns {Object|null} - The item, or null if everything is capped
+ */
+function rollLootItem(resolved, rng, counts = {}) {
+  const kinds = pickWeighted(
+    getLootWeights(resolved, counts).map(([, weight, kinds]) => [
+      kinds,
+      weight,
+    ]),
+    rng
+  );
+  if (!kinds) return null;
+  const items = pickWeighted(
+    kinds.map(([, weight, items]) => [items, weight]),
+    rng
+  );
+  return pickWeighted(items, rng);
+}
+
+/**
+ * Picks the item for a guaranteed drop, weighted like a random one but
+ * ignoring the caps
+ * @param {Object} resolved - Result of resolveLootTable
+ * @param {Object} filter - The guaranteed drop's filter
+ * @param {Object} rng - Seeded generator (see random.js)
+ * @returns {Object|null} - The item, or null if no item matches
+ */
+function rollGuaranteedItem(resolved, filter, rng) {
+  const types = filter.type ? [filter.type] : Object.keys(resolved.categories);
+  const candidates = types
+    .flatMap((type) => getItemsByType(type))
+    .filter((item) => matchesLoot(item, filter));
+  // A rarity among the matches first, then one of its matches
+  const byRarity = Object.keys(resolved.rarities)
+    .map((rarity) =>
+      candidates
+        .filter((item) => item.rarity === rarity)
+        .map((item) => [item, getItemWeight(resolved, item)])
+    )
+    .filter((items) => items.some(([, weight]) => weight > 0));
+  const items = pickWeighted(
+    byRarity.map((items) => [
+      items,
+      getRarityWeight(resolved, items[0][0].rarity),
+    ]),
+    rng
+  );
+  // Unweighted among the matches when the rules rule them all out
+  return (
+    (items && pickWeighted(items, rng)) ||
+    (candidates.length
+      ? candidates[Math.floor(rng.random() * candidates.length)]
+      : null)
+  );
+}
+
+/**
+ * What a table is expected to put on a floor, for checking one by eye
+ * @param {Object} table - A loot table
+ * @param {Object} dungeon - The dungeon (see resolveLootTable)
+ * @param {number} floor - Floor index
+ * @returns {Object} - { floor, theme, guaranteed, categories, rarities,
+ *   items }, with the chance of each kind, rarity and item per random roll
+ *   (before any caps are reached), most likely items first
+ */
+function getLootReport(table, dungeon, floor) {
+  const resolved = resolveLootTable(table, dungeon, floor);
+  const rarities = getLootWeights(resolved);
+  const total = (entries) =>
+    entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const rarityTotal = total(rarities);
+
+  const report = {
+    floor: floor,
+    theme: dungeon.themes[floor] || null,
+    guaranteed: resolved.guaranteed,
+    caps: resolved.caps,
+    categories: {},
+    rarities: {},
+    items: [],
+  };
+  for (const [rarity, rarityWeight, kinds] of rarities) {
+    const rarityChance = rarityWeight / rarityTotal;
+    report.rarities[rarity] = rarityChance;
+    const kindTotal = total(kinds);
+    for (const [type, kindWeight, entries] of kinds) {
+      const kindChance = (rarityChance * kindWeight) / kindTotal;
+      report.categories[type] = (report.categories[type] || 0) + kindChance;
+      const itemTotal = total(entries);
+      for (const [item, itemWeight] of entries) {
+        if (!itemWeight) continue;
+        report.items.push({
+          id: item.id,
+          rarity: item.rarity,
+          chance: (kindChance * itemWeight) / itemTotal,
+        });
+      }
+    }
+  }
+  report.items.sort((a, b) => b.chance - a.chance);
+  return report;
+}
+
+/**
+ * Formats getLootReport as text
+ * @param {Object} report - Result of getLootReport
+ * @param {number} topItems - How many of the likeliest items to list
+ * @returns {string} - A few lines describing the floor's loot
+ */
+function formatLootReport(report, topItems = 8) {
+  const percent = (chance) => `${(chance * 100).toFixed(1)}%`;
+  const lines = [`Floor ${report.floor} (${report.theme || "no theme"})`];
+  lines.push(
+    "  Kinds:     " +
+      Object.entries(report.categories)
+        .map(([type, chance]) => `${type} ${percent(chance)}`)
+        .join(", ")
+  );
+  lines.push(
+    "  Rarities:  " +
+      RARITIES.filter((rarity) => report.rarities[rarity])
+        .map((rarity) => `${rarity} ${percent(report.rarities[rarity])}`)
+        .join(", ")
+  );
+  if (Object.keys(report.caps).length) {
+    lines.push(
+      "  Caps:      " +
+        Object.entries(report.caps)
+          .map(([rarity, cap]) => `${rarity} ${cap}`)
+          .join(", ")
+    );
+  }
+  if (report.guaranteed.length) {
+    lines.push(
+      "  Always:    " +
+        report.guaranteed.map((filter) => JSON.stringify(filter)).join(", ")
+    );
+  }
+  lines.push(
+    "  Likeliest: " +
+      report.items
+        .slice(0, topItems)
+        .map((item) => `${item.id} ${percent(item.chance)}`)
+        .join(", ")
+  );
+  return lines.join("\n");
+}
+
+// Export functions
+export {
+  RARITIES,
+  LOOT_TABLE,
+  createLootTable,
+  checkLootTable,
+  resolveLootTable,
+  rollLootItem,
+  rollGuaranteedItem,
+  getLootReport,
+  formatLootReport,
+};
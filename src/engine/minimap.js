@@ -0,0 +1,181 @@
+/**
+ * Minimap for Dungeon Terrain
+ *
+ * The whole of the viewer's floor at a glance, scaled down so that one
+ * character stands for a block of tiles. Only what the viewer has explored
+ * shows, and a block shows the most important thing in it: the viewer,
+ * then any stairs, then any item, then whatever terrain it mostly holds.
+ * Other beings never show. The storm outside the safe zone does, so the
+ * way to safety is plain.
+ *
+ * getViewportCells shows it in one of MINIMAP_MODES: a small map in the
+ * top right corner of the view, or an overview filling the whole map area.
+ * The cells are the viewport's own (see viewport.js), so every renderer
+ * draws them.
+ */
+
+import { getTile } from "./tiles.js";
+import { getZoneState, isOutsideZone } from "./safeZone.js";
+
+// "off", a map in the corner, or the whole floor in place of the view
+const MINIMAP_MODES = ["off", "corner", "overview"];
+
+// Largest corner map in characters, border included; it never takes more
+// than a third of the view's width or half its height either
+const CORNER_WIDTH = 42;
+const CORNER_HEIGHT = 22;
+
+const BLANK_CELL = { char: " ", style: "", storm: false };
+
+// The mode after this one, for a key that cycles through them
+function nextMinimapMode(mode) {
+  const index = MINIMAP_MODES.indexOf(mode);
+  return MINIMAP_MODES[(index + 1) % MINIMAP_MODES.length];
+}
+
+/**
+ * Scales the viewer's floor down to fit a box
+ * @param {Object} game - The game
+ * @param {Player} viewer - The player whose map this is
+ * @param {number} width - Most columns to use
+ * @param {number} height - Most rows to use
+ * @returns {Array} - Rows of cells, as small as the scale allows; each
+ *   covers the same block of tiles
+ */
+function getMinimapCells(game, viewer, width, height) {
+  const explored = viewer.exploredTiles[viewer.floor];
+  const zone = game.safeZone ? getZoneState(game.safeZone) : null;
+
+  // Tiles per cell across and down, whole tiles only
+  const blockWidth = Math.max(1, Math.ceil(game.width / Math.max(1, width)));
+  const blockHeight = Math.max(1, Math.ceil(game.height / Math.max(1, height)));
+
+  const rows = [];
+  for (let top = 0; top < game.height; top += blockHeight) {
+    const row = [];
+    for (let left = 0; left < game.width; left += blockWidth) {
+      const right = Math.min(game.width, left + blockWidth);
+      const bottom = Math.min(game.height, top + blockHeight);
+      const cell = summarizeBlock(
+        game,
+        explored,
+        viewer,
+        left,
+        top,
+        right,
+        bottom
+      );
+      const centerX = Math.floor((left + right) / 2);
+      const centerY = Math.floor((top + bottom) / 2);
+      cell.storm = Boolean(zone && isOutsideZone(zone, centerX, centerY));
+      row.push(cell);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The one cell standing for a block of tiles
+function summarizeBlock(game, explored, viewer, left, top, right, bottom) {
+  const map = game.maps[viewer.floor];
+  if (
+    viewer.x >= left &&
+    viewer.x < right &&
+    viewer.y >= top &&
+    viewer.y < bottom
+  ) {
+    return { char: "@", style: viewer.isDead() ? "bot" : "player" };
+  }
+
+  let stairs = null;
+  let item = null;
+  const terrain = {}; // Explored tiles of each glyph
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const index = y * game.width + x;
+      if (!explored[index]) continue;
+      const glyph = map[index];
+      const tile = getTile(game, viewer.floor, glyph);
+      // Down stairs first: they're the way on
+      if (tile.style === "downstairs") stairs = glyph;
+      else if (tile.style === "upstairs") stairs = stairs || glyph;
+      else if (tile.style) item = item || glyph;
+      else terrain[glyph] = (terrain[glyph] || 0) + 1;
+    }
+  }
+
+  const shown = stairs || item;
+  if (shown) {
+    return { char: shown, style: getTile(game, viewer.floor, shown).style };
+  }
+  const glyphs = Object.keys(terrain);
+  if (!glyphs.length) return { char: " ", style: "" };
+  const common = glyphs.reduce((best, glyph) =>
+    terrain[glyph] > terrain[best] ? glyph : best
+  );
+  const tile = getTile(game, viewer.floor, common);
+  return { char: common, style: "", color: tile.color || undefined };
+}
+
+// Surround rows of cells with a border, a label set into its top edge
+function frameCells(rows, label) {
+  const width = rows.length ? rows[0].length : 0;
+  const border = (char) => ({ char: char, style: "", storm: false });
+  const edge = (text) => {
+    const line = `+${text}`.padEnd(width + 1, "-").slice(0, width + 1) + "+";
+    return line.split("").map(border);
+  };
+  return [
+    edge(label ? `- ${label} ` : ""),
+    ...rows.map((row) => [border("|"), ...row, border("|")]),
+    edge(""),
+  ];
+}
+
+/**
+ * Lays the minimap over a view's map cells
+ * @param {Array} cells - The view's rows of cells; changed in place
+ * @param {Object} game - The game
+ * @param {Player} viewer - The player whose view this is
+ * @param {string} mode - One of MINIMAP_MODES
+ * @returns {Array} - The same rows
+ */
+function addMinimap(cells, game, viewer, mode) {
+  const height = cells.length;
+  const width = height ? cells[0].length : 0;
+  const label = `FLOOR ${viewer.floor}`;
+
+  if (mode === "overview") {
+    const framed = frameCells(
+      getMinimapCells(game, viewer, width - 2, height - 2),
+      `${label} OVERVIEW`
+    );
+    // Centred, with nothing of the view around it
+    const top = Math.floor((height - framed.length) / 2);
+    const left = Math.floor((width - framed[0].length) / 2);
+    cells.forEach((row, y) => {
+      row.forEach((_, x) => {
+        const cell = (framed[y - top] || [])[x - left];
+        row[x] = cell || { ...BLANK_CELL };
+      });
+    });
+  } else if (mode === "corner") {
+    const boxWidth = Math.min(CORNER_WIDTH, Math.floor(width / 3));
+    const boxHeight = Math.min(CORNER_HEIGHT, Math.floor(height / 2));
+    if (boxWidth < 5 || boxHeight < 5) return cells;
+    const framed = frameCells(
+      getMinimapCells(game, viewer, boxWidth - 2, boxHeight - 2),
+      label
+    );
+    const left = width - framed[0].length;
+    framed.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        cells[y][left + x] = cell;
+      });
+    });
+  }
+  return cells;
+}
+
+// Export functions
+export { MINIMAP_MODES, nextMinimapMode, getMinimapCells, addMinimap };
@@ -0,0 +1,244 @@
+/**
+ * Network State for Dungeon Terrain
+ *
+ * What the multiplayer server tells its clients, and how a client rebuilds
+ * a game from it. A client gets a snapshot of the whole match when it
+ * starts, then a delta every broadcast tick holding only what changed: map
+ * tiles, beings and the safe zone's clock, which everyone gets, plus the
+ * private state (stats, equipment, inventory, statuses) of its own player.
+ *
+ * Beings are identified by their index in game.beings, which doesn't change
+ * during a match.
+ */
+
+import { Being, Player } from "./entities.js";
+import { getDungeonShape } from "./dungeonConfig.js";
+import { addBeing } from "./game.js";
+import {
+  serializeItem,
+  rehydrateItem,
+  serializeEquipment,
+  rehydrateEquipment,
+  serializeStatus,
+  restoreStatus,
+} from "./saveSystem.js";
+
+/**
+ * What every client may know about a being
+ * @param {Being} being - The being
+ * @param {number} id - Its index in game.beings
+ * @returns {Object} - Plain data for applyBeing
+ */
+function describeBeing(being, id) {
+  return {
+    id: id,
+    name: being.name,
+    x: being.x,
+    y: being.y,
+    floor: being.floor,
+    direction: being.direction,
+    dead: being.isDead(),
+    isAttacking: being.isAttacking,
+    attackKind: being.attackKind,
+    // attackFrame already points at the frame after the one just shown
+    attackFrame: Math.max(0, being.attackFrame - 1),
+  };
+}
+
+/**
+ * What only the player's own client gets to know
+ * @param {Player} player - The player
+ * @returns {Object} - Plain data for applySelf
+ */
+function describeSelf(player) {
+  return {
+    stats: player.stats,
+    baseStats: player.baseStats,
+    kills: player.kills,
+    equipment: serializeEquipment(player.equipment),
+    inventory: player.inventory.map(serializeItem),
+    buffs: player.buffs.map((status) => serializeStatus(status, player.game)),
+    debuffs: player.debuffs.map((status) =>
+      serializeStatus(status, player.game)
+    ),
+  };
+}
+
+/**
+ * Everything a client needs to show a match from the start
+ * @param {Object} game - The server's game
+ * @param {Player} player - The client's player
+ * @returns {Object} - The snapshot, for createMirrorGame
+ */
+function createSnapshot(game, player) {
+  return {
+    seed: game.seed,
+    config: game.config,
+    you: game.beings.indexOf(player),
+    maps: game.maps.map((map) => map.join("")),
+    safeZone: game.safeZone,
+    beings: game.beings.map(describeBeing),
+    self: describeSelf(player),
+  };
+}
+
+/**
+ * Starts tracking a game's public state, remembering what clients have
+ * been sent so far
+ * @param {Object} game - The server's game
+ * @returns {Object} - The tracker, for collectChanges
+ */
+function createChangeTracker(game) {
+  return {
+    maps: game.maps.map((map) => map.slice()),
+    beings: game.beings.map((being, id) =>
+      JSON.stringify(describeBeing(being, id))
+    ),
+    zoneElapsed: game.safeZone.elapsed,
+  };
+}
+
+/**
+ * Public changes since the last call
+ * @param {Object} tracker - Result of createChangeTracker
+ * @param {Object} game - The same game
+ * @returns {Object|null} - { tiles, beings, zoneElapsed } with only the
+ *   parts that changed, or null if nothing did. Tiles are
+ *   [floor, index, char] triples.
+ */
+function collectChanges(tracker, game) {
+  const delta = {};
+
+  const tiles = [];
+  game.maps.forEach((map, floor) => {
+    const sent = tracker.maps[floor];
+    for (let i = 0; i < map.length; i++) {
+      if (map[i] !== sent[i]) {
+        tiles.push([floor, i, map[i]]);
+        sent[i] = map[i];
+      }
+    }
+  });
+  if (tiles.length) delta.tiles = tiles;
+
+  const beings = [];
+  game.beings.forEach((being, id) => {
+    const data = describeBeing(being, id);
+    const json = JSON.stringify(data);
+    if (json !== tracker.beings[id]) {
+      beings.push(data);
+      tracker.beings[id] = json;
+    }
+  });
+  if (beings.length) delta.beings = beings;
+
+  if (game.safeZone.elapsed !== tracker.zoneElapsed) {
+    delta.zoneElapsed = tracker.zoneElapsed = game.safeZone.elapsed;
+  }
+
+  return Object.keys(delta).length ? delta : null;
+}
+
+/**
+ * Builds a client-side copy of a match from its snapshot. It has the
+ * shape of a real game, so getViewport can draw it, but nothing runs in it;
+ * it only changes through applyDelta and applySelf.
+ * @param {Object} snapshot - Result of createSnapshot
+ * @returns {Object} - { game, player } where player is the client's own
+ */
+function createMirrorGame(snapshot) {
+  const game = {
+    seed: snapshot.seed,
+    config: snapshot.config,
+    // The server's floor size and floors, which size the player's fog
+    ...getDungeonShape(snapshot.config),
+    maps: snapshot.maps.map((map) => map.split("")),
+    safeZone: snapshot.safeZone,
+    beings: [],
+    gameOver: false,
+    winner: null,
+    time: 0, // Stands still; the server's statuses arrive as time left
+    paused: false,
+    listeners: {},
+    timers: [],
+  };
+
+  for (const data of snapshot.beings) {
+    const being =
+      data.id === snapshot.you
+        ? new Player(data.x, data.y, data.name)
+        : new Being(data.x, data.y);
+    addBeing(game, being);
+    applyBeing(being, data);
+  }
+
+  const player = game.beings[snapshot.you];
+  applySelf(game, player, snapshot.self);
+  return { game, player };
+}
+
+// Copy a being's public state onto the mirror's copy of it
+function applyBeing(being, data) {
+  being.name = data.name;
+  being.x = data.x;
+  being.y = data.y;
+  being.floor = data.floor;
+  being.direction = data.direction;
+  being.isAttacking = data.isAttacking;
+  being.attackKind = data.attackKind;
+  being.attackFrame = data.attackFrame;
+  // Only the client's own player has real stats; the rest are alive or not
+  if (!(being instanceof Player)) {
+    being.stats.health = data.dead ? 0 : 1;
+  }
+}
+
+/**
+ * Applies the server's public changes to a mirror game
+ * @param {Object} game - Mirror from createMirrorGame
+ * @param {Object} delta - Result of collectChanges
+ */
+function applyDelta(game, delta) {
+  for (const [floor, index, char] of delta.tiles || []) {
+    game.maps[floor][index] = char;
+  }
+  for (const data of delta.beings || []) {
+    applyBeing(game.beings[data.id], data);
+  }
+  if (delta.zoneElapsed !== undefined) {
+    game.safeZone.elapsed = delta.zoneElapsed;
+  }
+}
+
+/**
+ * Applies the private state of the client's own player
+ * @param {Object} game - Mirror from createMirrorGame
+ * @param {Player} player - The client's player in that mirror
+ * @param {Object} self - Result of describeSelf
+ */
+function applySelf(game, player, self) {
+  const beingsByName = new Map(game.beings.map((being) => [being.name, being]));
+  player.stats = self.stats;
+  player.baseStats = self.baseStats;
+  player.kills = self.kills;
+  player.equipment = rehydrateEquipment(self.equipment);
+  player.inventory = self.inventory.map(rehydrateItem).filter((item) => item);
+  player.buffs = self.buffs.map((status) =>
+    restoreStatus(status, beingsByName, game)
+  );
+  player.debuffs = self.debuffs.map((status) =>
+    restoreStatus(status, beingsByName, game)
+  );
+}
+
+// Export functions
+export {
+  describeBeing,
+  describeSelf,
+  createSnapshot,
+  createChangeTracker,
+  collectChanges,
+  createMirrorGame,
+  applyDelta,
+  applySelf,
+};
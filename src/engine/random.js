@@ -0,0 +1,99 @@
+/**
+ * Seeded Random Number Generation for Dungeon Terrain
+ *
+ * Map generation, stair placement, item rolls, spawn selection and combat
+ * rolls all draw from generators created here instead of Math.random, so a
+ * run can be reproduced from its seed.
+ */
+
+/**
+ * Hashes a seed and any number of extra parts into an unsigned 32-bit integer
+ * @param {...(string|number)} parts - Seed followed by optional stream names
+ * @returns {number} - A 32-bit hash
+ */
+function hashSeed(...parts) {
+  const text = parts.map((part) => String(part)).join(":");
+
+  // FNV-1a over the characters of the joined string
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  // Final avalanche so similar seeds produce unrelated streams
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Any string or number
+ * @returns {Object} - Generator with random(), int(), chance() and pick()
+ */
+function createRNG(seed) {
+  let state = hashSeed(seed);
+
+  return {
+    seed: seed,
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // Integer in [0, max)
+    int(max) {
+      return Math.floor(this.random() * max);
+    },
+
+    // True with the given probability
+    chance(probability) {
+      return this.random() < probability;
+    },
+
+    // Random element of an array
+    pick(array) {
+      return array[Math.floor(this.random() * array.length)];
+    },
+
+    // Internal state, so a generator can be saved and resumed
+    getState() {
+      return state;
+    },
+
+    setState(newState) {
+      state = newState >>> 0;
+    },
+  };
+}
+
+/**
+ * Creates an independent generator for one part of the dungeon
+ * (e.g. deriveRNG(seed, "floor", 3)), so floors don't depend on each other
+ * @param {string|number} seed - The dungeon seed
+ * @param {...(string|number)} stream - Names identifying the stream
+ * @returns {Object} - A seeded generator
+ */
+function deriveRNG(seed, ...stream) {
+  return createRNG(hashSeed(seed, ...stream));
+}
+
+/**
+ * Picks a fresh seed for runs that weren't given one
+ * @returns {string} - A short base-36 seed
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+// Export functions
+export { hashSeed, createRNG, deriveRNG, randomSeed };
@@ -0,0 +1,61 @@
+/**
+ * Regeneration for Dungeon Terrain
+ *
+ * Every living being slowly gets back what it spends: stamina quickly, at a
+ * rate that grows with endurance, and health slowly, at a rate that grows
+ * with vitality. The game loop calls regenerate with the time that passed
+ * (see stepGame); rates are in points per second, and the fractions left
+ * over are kept on the being until they make up a whole point.
+ */
+
+// Stamina per second: base plus per point of endurance
+const BASE_STAMINA_REGEN = 1;
+const ENDURANCE_STAMINA_REGEN = 0.1;
+
+// Health per second: per point of vitality, nothing without it
+const VITALITY_HEALTH_REGEN = 0.02;
+
+// Stamina a being recovers per second
+function getStaminaRegen(being) {
+  return (
+    BASE_STAMINA_REGEN +
+    Math.max(0, being.stats.endurance) * ENDURANCE_STAMINA_REGEN
+  );
+}
+
+// Health a being recovers per second
+function getHealthRegen(being) {
+  return Math.max(0, being.stats.vitality) * VITALITY_HEALTH_REGEN;
+}
+
+/**
+ * Lets a being recover for a stretch of time. The dead stay as they are.
+ * @param {Being} being - Any Being
+ * @param {number} ms - Time passed, in milliseconds
+ */
+function regenerate(being, ms) {
+  if (being.isDead()) return;
+  const regen = being.regen;
+  regen.stamina += (getStaminaRegen(being) * ms) / 1000;
+  regen.health += (getHealthRegen(being) * ms) / 1000;
+
+  // Only whole points; a full pool doesn't save any up
+  const stamina = Math.floor(regen.stamina);
+  const health = Math.floor(regen.health);
+  regen.stamina -= stamina;
+  regen.health -= health;
+  if (being.stats.stamina >= being.stats.maxStamina) regen.stamina = 0;
+  if (being.stats.health >= being.stats.maxHealth) regen.health = 0;
+  if (stamina) being.recoverStamina(stamina);
+  if (health) being.heal(health);
+}
+
+// Export functions
+export {
+  BASE_STAMINA_REGEN,
+  ENDURANCE_STAMINA_REGEN,
+  VITALITY_HEALTH_REGEN,
+  getStaminaRegen,
+  getHealthRegen,
+  regenerate,
+};
@@ -0,0 +1,170 @@
+/**
+ * Shrinking Safe Zone for Dungeon Terrain
+ *
+ * A circle that closes in over the match in timed phases. Each phase waits,
+ * then shrinks the circle toward a new, randomly placed center inside the
+ * old one. Beings outside the circle take damage that grows every phase.
+ * The circle uses map coordinates, so it covers the same area on every floor.
+ */
+
+// Zone phases: seconds before shrinking, seconds spent shrinking, radius
+// at the end (fraction of the starting radius) and damage per tick outside
+const ZONE_PHASES = [
+  { wait: 90, shrink: 60, radius: 0.6, damage: 1 },
+  { wait: 60, shrink: 45, radius: 0.35, damage: 2 },
+  { wait: 45, shrink: 30, radius: 0.18, damage: 4 },
+  { wait: 30, shrink: 20, radius: 0.08, damage: 8 },
+  { wait: 20, shrink: 15, radius: 0, damage: 15 },
+];
+
+/**
+ * Creates a safe zone covering the whole map. Every phase's circle is rolled
+ * up front, so the zone is fully described by its seed and elapsed time.
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {Object} rng - Seeded generator used to place the circles
+ * @param {Array} phases - Phase definitions, ZONE_PHASES by default
+ * @returns {Object} - The zone
+ */
+function createSafeZone(width, height, rng, phases = ZONE_PHASES) {
+  // Start with a circle around the whole map
+  const start = {
+    x: width / 2,
+    y: height / 2,
+    radius: Math.sqrt(width * width + height * height) / 2,
+  };
+
+  // Each circle fits entirely inside the previous one
+  const circles = [start];
+  for (const phase of phases) {
+    const previous = circles[circles.length - 1];
+    const radius = start.radius * phase.radius;
+    const angle = rng.random() * Math.PI * 2;
+    const offset = rng.random() * (previous.radius - radius);
+    circles.push({
+      x: Math.max(
+        0,
+        Math.min(width - 1, previous.x + Math.cos(angle) * offset)
+      ),
+      y: Math.max(
+        0,
+        Math.min(height - 1, previous.y + Math.sin(angle) * offset)
+      ),
+      radius: radius,
+    });
+  }
+
+  return {
+    phases: phases,
+    circles: circles,
+    elapsed: 0, // ms of match time
+  };
+}
+
+/**
+ * Moves the zone's clock forward
+ * @param {Object} zone - The zone
+ * @param {number} ms - Match time that has passed
+ */
+function advanceSafeZone(zone, ms) {
+  zone.elapsed += ms;
+}
+
+/**
+ * Works out where the zone is at its current time
+ * @param {Object} zone - The zone
+ * @returns {Object} - { x, y, radius, phase, shrinking, closed, secondsLeft,
+ *   damage } where secondsLeft counts down to the next change
+ */
+function getZoneState(zone) {
+  let time = zone.elapsed / 1000;
+
+  for (let i = 0; i < zone.phases.length; i++) {
+    const phase = zone.phases[i];
+    const from = zone.circles[i];
+    const to = zone.circles[i + 1];
+
+    // Waiting at the previous circle
+    if (time < phase.wait) {
+      return {
+        ...from,
+        phase: i + 1,
+        shrinking: false,
+        closed: false,
+        secondsLeft: Math.ceil(phase.wait - time),
+        damage: phase.damage,
+      };
+    }
+    time -= phase.wait;
+
+    // Closing in on the next one
+    if (time < phase.shrink) {
+      const progress = time / phase.shrink;
+      return {
+        x: from.x + (to.x - from.x) * progress,
+        y: from.y + (to.y - from.y) * progress,
+        radius: from.radius + (to.radius - from.radius) * progress,
+        phase: i + 1,
+        shrinking: true,
+        closed: false,
+        secondsLeft: Math.ceil(phase.shrink - time),
+        damage: phase.damage,
+      };
+    }
+    time -= phase.shrink;
+  }
+
+  // All phases done; the final circle stays and keeps hurting
+  const last = zone.phases[zone.phases.length - 1];
+  return {
+    ...zone.circles[zone.circles.length - 1],
+    phase: zone.phases.length,
+    shrinking: false,
+    closed: true,
+    secondsLeft: 0,
+    damage: last.damage,
+  };
+}
+
+/**
+ * Distance from a position to the zone's edge
+ * @param {Object} state - Result of getZoneState
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @returns {number} - Positive inside the zone, negative outside
+ */
+function distanceToZoneEdge(state, x, y) {
+  return state.radius - Math.sqrt((x - state.x) ** 2 + (y - state.y) ** 2);
+}
+
+/**
+ * Checks whether a position is outside the zone
+ * @param {Object} state - Result of getZoneState
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @returns {boolean} - True if outside
+ */
+function isOutsideZone(state, x, y) {
+  return distanceToZoneEdge(state, x, y) < 0;
+}
+
+/**
+ * Formats seconds as m:ss for the HUD
+ * @param {number} seconds - Whole seconds
+ * @returns {string} - e.g. "1:05"
+ */
+function formatZoneTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Export functions
+export {
+  ZONE_PHASES,
+  createSafeZone,
+  advanceSafeZone,
+  getZoneState,
+  distanceToZoneEdge,
+  isOutsideZone,
+  formatZoneTime,
+};
@@ -0,0 +1,367 @@
+/**
+ * Save and Load System for Dungeon Terrain
+ *
+ * Saves are plain JSON objects stamped with SAVE_VERSION, holding a whole
+ * game. The browser keeps them in localStorage slots or exports them to
+ * .json files (see client/saveSlots.js). Items are stored by id and turned
+ * back into their Weapon, Armor, Ring or Talisman instances through
+ * findItemById when loaded.
+ */
+
+import { deriveRNG, createRNG } from "./random.js";
+import { findItemById } from "./items.js";
+import { Player, Bot } from "./entities.js";
+import { addBeing, getGameTime } from "./game.js";
+import { DUNGEON_CONFIG, getDungeonShape } from "./dungeonConfig.js";
+
+// Bump when the save format changes, and add a migration below
+const SAVE_VERSION = 5;
+
+// Upgrades a save from the version it's keyed by to the next one, e.g.
+// 1: (save) => ({ ...save, version: 2, newField: defaultValue })
+const SAVE_MIGRATIONS = {
+  // Fog of war moved from the game onto each player
+  1: ({ exploredTiles, ...save }) => ({
+    ...save,
+    version: 2,
+    beings: save.beings.map((being) =>
+      being.bot ? being : { ...being, exploredTiles }
+    ),
+  }),
+  // Breakable terrain keeps its wear
+  2: (save) => ({
+    ...save,
+    version: 3,
+    tileWear: save.maps.map(() => ({})),
+  }),
+  // Dungeons became configurable; older ones are all the default
+  3: (save) => ({
+    ...save,
+    version: 4,
+    config: DUNGEON_CONFIG,
+  }),
+  // Combat rolls came off Math.random onto a stream of the game's own
+  4: (save) => ({
+    ...save,
+    version: 5,
+    combatRNG: deriveRNG(save.seed, "combat").getState(),
+  }),
+};
+
+/**
+ * Reduces an item to what's needed to restore it
+ * @param {Object} item - Any item from items.js (or null)
+ * @returns {Object|null} - { id, quantity } or null
+ */
+function serializeItem(item) {
+  if (!item) return null;
+  return { id: item.id, quantity: item.quantity || 1 };
+}
+
+/**
+ * Turns a saved item back into an instance of its class
+ * @param {Object} data - Result of serializeItem
+ * @returns {Object|null} - The item or null if it no longer exists
+ */
+function rehydrateItem(data) {
+  if (!data) return null;
+
+  const item = findItemById(data.id);
+  if (!item) {
+    console.error(`ERROR: Saved item "${data.id}" does not exist, dropping it`);
+    return null;
+  }
+
+  // Copy the definition so quantities stay separate, keeping its class
+  return Object.assign(Object.create(Object.getPrototypeOf(item)), item, {
+    quantity: data.quantity || 1,
+  });
+}
+
+/**
+ * Serializes a being's equipment slots
+ * @param {Object} equipment - The being's equipment
+ * @returns {Object} - Slots with items replaced by serializeItem results
+ */
+function serializeEquipment(equipment) {
+  const data = {};
+  for (const [slot, value] of Object.entries(equipment)) {
+    data[slot] = Array.isArray(value)
+      ? value.map(serializeItem)
+      : serializeItem(value);
+  }
+  return data;
+}
+
+/**
+ * Restores equipment saved with serializeEquipment
+ * @param {Object} data - Saved equipment slots
+ * @returns {Object} - Slots holding item instances
+ */
+function rehydrateEquipment(data) {
+  const equipment = {};
+  for (const [slot, value] of Object.entries(data)) {
+    if (slot === "rightHand" || slot === "leftHand") {
+      // Hands are lists, so missing items just drop out
+      equipment[slot] = value.map(rehydrateItem).filter((item) => item);
+    } else if (Array.isArray(value)) {
+      // Ring and talisman slots keep their positions
+      equipment[slot] = value.map(rehydrateItem);
+    } else {
+      equipment[slot] = rehydrateItem(value);
+    }
+  }
+  return equipment;
+}
+
+/**
+ * Brings a save up to SAVE_VERSION
+ * @param {Object} save - A parsed save
+ * @returns {Object|null} - The current-format save or null if unusable
+ */
+function migrateSave(save) {
+  if (!save || typeof save !== "object" || typeof save.version !== "number") {
+    console.error("ERROR: Not a save file");
+    return null;
+  }
+
+  if (save.version > SAVE_VERSION) {
+    console.error(
+      `ERROR: Save is from a newer version (${save.version} > ${SAVE_VERSION})`
+    );
+    return null;
+  }
+
+  while (save.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[save.version];
+    if (!migrate) {
+      console.error(`ERROR: No migration from save version ${save.version}`);
+      return null;
+    }
+    console.log(`Migrating save from version ${save.version}`);
+    save = migrate(save);
+  }
+
+  return save;
+}
+
+/**
+ * Parses and migrates save JSON
+ * @param {string} text - JSON text
+ * @returns {Object|null} - The save or null if it can't be used
+ */
+function parseSave(text) {
+  try {
+    return migrateSave(JSON.parse(text));
+  } catch (error) {
+    console.error(`ERROR: Could not read save: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Captures everything needed to pick a game up again later
+ * @param {Object} game - The game
+ * @returns {Object} - The save
+ */
+function serializeGame(game) {
+  const player = game.beings.find((being) => being instanceof Player);
+  return {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    seed: game.seed,
+    config: game.config,
+    // Shown when choosing a slot
+    currentMapIndex: player ? player.floor : 0,
+    maps: game.maps.map((map) => map.join("")),
+    floorItems: game.floorItems.map((items) =>
+      items.map((mapItem) => ({
+        x: mapItem.x,
+        y: mapItem.y,
+        symbol: mapItem.symbol,
+        ground: mapItem.ground,
+        item: serializeItem(mapItem.item),
+      }))
+    ),
+    stairLinks: game.stairLinks,
+    floorConnectivity: game.floorConnectivity,
+    tileWear: game.tileWear,
+    itemRNGs: game.itemRNGs.map((rng) => rng.getState()),
+    spawnRNG: game.spawnRNG.getState(),
+    combatRNG: game.combatRNG.getState(),
+    safeZone: game.safeZone,
+    gameOver: game.gameOver,
+    beings: game.beings.map(serializeBeing),
+  };
+}
+
+/**
+ * Serializes one being, with its bot or player state
+ * @param {Being} being - The being
+ * @returns {Object} - Plain data for restoreGame
+ */
+function serializeBeing(being) {
+  const data = {
+    name: being.name,
+    x: being.x,
+    y: being.y,
+    floor: being.floor,
+    direction: being.direction,
+    kills: being.kills,
+    baseStats: being.baseStats,
+    health: being.stats.health,
+    stamina: being.stats.stamina,
+    equipment: serializeEquipment(being.equipment),
+    inventory: being.inventory.map(serializeItem),
+    buffs: being.buffs.map((status) => serializeStatus(status, being.game)),
+    debuffs: being.debuffs.map((status) => serializeStatus(status, being.game)),
+  };
+  if (being instanceof Bot) {
+    data.bot = {
+      state: being.state,
+      wanderDirection: being.wanderDirection,
+      rng: being.rng.getState(),
+    };
+  }
+  if (being instanceof Player) {
+    data.exploredTiles = being.exploredTiles.map((explored) =>
+      explored.join("")
+    );
+  }
+  return data;
+}
+
+// Buffs and debuffs point at their attacker by name, and timed ones
+// keep how long they had left rather than an end in their game's time
+function serializeStatus(status, game) {
+  return {
+    ...status,
+    attacker: status.attacker ? status.attacker.name : null,
+    remainingMs: status.endTime ? status.endTime - getGameTime(game) : null,
+  };
+}
+
+// Undoes serializeStatus for a being of the given game, looking attackers
+// up by name
+function restoreStatus(data, beingsByName, game) {
+  const status = {
+    ...data,
+    attacker: data.attacker ? beingsByName.get(data.attacker) : null,
+  };
+  if (data.remainingMs !== null) {
+    status.startTime = getGameTime(game);
+    status.endTime = getGameTime(game) + data.remainingMs;
+  }
+  delete status.remainingMs;
+  return status;
+}
+
+/**
+ * Rebuilds a game from a save made by serializeGame
+ * @param {Object} save - A current-format save (see parseSave)
+ * @returns {Object} - A new game, with its loop not yet started
+ */
+function restoreGame(save) {
+  const game = {
+    seed: save.seed,
+    config: save.config,
+    ...getDungeonShape(save.config),
+    maps: save.maps.map((map) => map.split("")),
+    floorItems: save.floorItems.map((items) =>
+      items
+        .map((mapItem) => ({
+          ...mapItem,
+          item: rehydrateItem(mapItem.item),
+        }))
+        .filter((mapItem) => mapItem.item)
+    ),
+    stairLinks: save.stairLinks,
+    floorConnectivity: save.floorConnectivity,
+    tileWear: save.tileWear,
+    itemRNGs: save.itemRNGs.map((state, i) => {
+      const rng = deriveRNG(save.seed, "items", i);
+      rng.setState(state);
+      return rng;
+    }),
+    spawnRNG: deriveRNG(save.seed, "spawn"),
+    combatRNG: deriveRNG(save.seed, "combat"),
+    safeZone: save.safeZone,
+    beings: [],
+    gameOver: save.gameOver,
+    winner: null,
+    time: 0, // Timed statuses count from here (see restoreStatus)
+    paused: false,
+    listeners: {},
+    timers: [],
+  };
+  game.spawnRNG.setState(save.spawnRNG);
+  game.combatRNG.setState(save.combatRNG);
+
+  for (const data of save.beings) {
+    if (data.bot) {
+      const bot = new Bot(
+        data.x,
+        data.y,
+        data.floor,
+        data.name,
+        createRNG(data.name)
+      );
+      bot.rng.setState(data.bot.rng);
+      bot.state = data.bot.state;
+      bot.wanderDirection = data.bot.wanderDirection;
+      addBeing(game, bot);
+    } else {
+      const player = addBeing(game, new Player(data.x, data.y, data.name));
+      data.exploredTiles.forEach((explored, i) => {
+        player.exploredTiles[i] = Uint8Array.from(explored, (char) =>
+          char === "1" ? 1 : 0
+        );
+      });
+    }
+  }
+
+  const beingsByName = new Map(game.beings.map((being) => [being.name, being]));
+  save.beings.forEach((data, i) => {
+    const being = game.beings[i];
+    being.x = data.x;
+    being.y = data.y;
+    being.floor = data.floor;
+    being.direction = data.direction;
+    being.kills = data.kills;
+    being.baseStats = { ...data.baseStats };
+    being.equipment = rehydrateEquipment(data.equipment);
+    being.inventory = data.inventory.map(rehydrateItem).filter((item) => item);
+    being.buffs = data.buffs.map((status) =>
+      restoreStatus(status, beingsByName, game)
+    );
+    being.debuffs = data.debuffs.map((status) =>
+      restoreStatus(status, beingsByName, game)
+    );
+
+    // Rebuild the derived stats, then put the pools back
+    being.stats = null;
+    being.recalculateStats();
+    being.stats.health = Math.min(data.health, being.stats.maxHealth);
+    being.stats.stamina = Math.min(data.stamina, being.stats.maxStamina);
+  });
+
+  if (game.gameOver) {
+    game.winner = game.beings.find((being) => !being.isDead()) || null;
+  }
+  return game;
+}
+
+// Export functions
+export {
+  SAVE_VERSION,
+  serializeItem,
+  rehydrateItem,
+  serializeEquipment,
+  rehydrateEquipment,
+  migrateSave,
+  parseSave,
+  serializeStatus,
+  restoreStatus,
+  serializeGame,
+  restoreGame,
+};
@@ -0,0 +1,1491 @@
+/**
+ * Terrain Generators for Dungeon Terrain
+ *
+ * One generator per floor theme. Each takes a seeded generator (see
+ * random.js), its parameters and the size of the floor ({ width, height }),
+ * and returns a flat width x height array of tile characters, which
+ * dungeon.js then repairs, furnishes with stairs and fills with items.
+ * Parameters left out keep their defaults.
+ *
+ * Generators are registered by name (see registerGenerator), which is how a
+ * dungeon configuration picks them (see dungeonConfig.js); the name is also
+ * the theme of the floors they build unless the configuration says
+ * otherwise.
+ */
+
+// Simple noise function (for Perlin-like generation)
+function noise(x, y, seed) {
+  const n = x + y * 57 + seed * 131;
+  return (
+    ((n * (n * n * 15731 + 789221) + 1376312589) & 0x7fffffff) / 1073741824
+  );
+}
+
+// Map generation functions
+function generateCaveMap(rng, { fillRatio = 0.45, smoothing = 5 } = {}, size) {
+  const { width, height } = size;
+  // Cellular Automata
+  let map = new Array(width * height);
+  // Initialize with random walls and floors
+  for (let i = 0; i < width * height; i++) {
+    map[i] = rng.random() < fillRatio ? "#" : ".";
+  }
+  // Apply cellular automata rules
+  for (let iter = 0; iter < smoothing; iter++) {
+    let newMap = map.slice();
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let neighbors = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            let nx = x + dx;
+            let ny = y + dy;
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+              if (map[ny * width + nx] === "#") neighbors++;
+            } else {
+              neighbors++; // Edge counts as wall
+            }
+          }
+        }
+        newMap[y * width + x] = neighbors >= 5 ? "#" : ".";
+      }
+    }
+    map = newMap;
+  }
+  return map;
+}
+
+function generateTerrainMap(
+  rng,
+  { waterLevel = 0.3, mountainLevel = 0.7, paths = 30 } = {},
+  size
+) {
+  const { width, height } = size;
+  // Perlin Noise Terrain
+  const noiseSeed = rng.int(10000); // Noise field depends on the floor's seed
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 100, y / 100, noiseSeed);
+      if (value < waterLevel) map[y * width + x] = "~"; // Water
+      else if (value < mountainLevel) map[y * width + x] = "."; // Ground
+      else map[y * width + x] = "^"; // Mountains
+    }
+  }
+
+  // Second pass: Create navigable paths through the terrain
+  createNavigablePaths(map, rng, paths, 50, 3, size); // Create several paths
+  return map;
+}
+
+function generateMazeMap(rng, { rooms = 100 } = {}, size) {
+  const { width, height } = size;
+  // Iterative Backtracking Maze (non-recursive)
+  let map = new Array(width * height).fill("#");
+
+  // Use an explicit stack instead of recursion
+  let stack = [{ x: 1, y: 1 }];
+  map[1 * width + 1] = ".";
+
+  while (stack.length > 0) {
+    let current = stack[stack.length - 1];
+    let x = current.x;
+    let y = current.y;
+
+    let directions = [
+      [0, 2],
+      [2, 0],
+      [0, -2],
+      [-2, 0],
+    ];
+    directions.sort(() => rng.random() - 0.5);
+
+    let moved = false;
+    for (let [dx, dy] of directions) {
+      let nx = x + dx;
+      let ny = y + dy;
+      if (
+        nx >= 0 &&
+        nx < width &&
+        ny >= 0 &&
+        ny < height &&
+        map[ny * width + nx] === "#"
+      ) {
+        map[(y + dy / 2) * width + (x + dx / 2)] = ".";
+        map[ny * width + nx] = ".";
+        stack.push({ x: nx, y: ny });
+        moved = true;
+        break;
+      }
+    }
+
+    if (!moved) {
+      stack.pop();
+    }
+  }
+
+  // Second pass: Widen corridors and create rooms
+  createRoomsAndWideCorridors(map, rng, rooms, size);
+  return map;
+}
+
+function generateIslandMap(rng, { waterLevel = 0.4 } = {}, size) {
+  const { width, height } = size;
+  // Noise-based Islands
+  const noiseSeed = rng.int(10000);
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 50, y / 50, noiseSeed);
+      map[y * width + x] = value < waterLevel ? "~" : ".";
+    }
+  }
+
+  // Second pass: Connect islands with bridges
+  connectIslandsWithBridges(map, size);
+  addShallows(map, size);
+  return map;
+}
+
+function generateForestMap(rng, { treeDensity = 0.6 } = {}, size) {
+  const { width, height } = size;
+  // Dense Forest with Paths
+  const noiseSeed = rng.int(10000);
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 80, y / 80, noiseSeed);
+      map[y * width + x] = value < treeDensity ? "^" : ".";
+    }
+  }
+
+  // Second pass: Create forest paths
+  createForestPaths(map, rng, size);
+  return map;
+}
+
+function generateRiverMap(rng, { rivers = 8, bridgeChance = 0.1 } = {}, size) {
+  const { width, height } = size;
+  // Rivers with Bridges
+  let map = new Array(width * height).fill(".");
+
+  for (let i = 0; i < rivers; i++) {
+    let x = Math.floor(rng.random() * width);
+    let y = 0;
+    while (y < height) {
+      map[y * width + x] = "~";
+      // Make rivers slightly wider
+      if (rng.random() < 0.5) {
+        if (x + 1 < width) map[y * width + (x + 1)] = "~";
+        if (x - 1 >= 0) map[y * width + (x - 1)] = "~";
+      }
+
+      x += Math.floor(rng.random() * 3) - 1;
+      x = Math.max(0, Math.min(width - 1, x));
+      y++;
+
+      // No bridge past the bottom row, which would grow the map
+      if (rng.random() < bridgeChance && y < height) {
+        // Create wider bridges
+        for (let bx = -1; bx <= 1; bx++) {
+          const bridgeX = x + bx;
+          if (bridgeX >= 0 && bridgeX < width) {
+            map[y * width + bridgeX] = "="; // Bridge
+          }
+        }
+      }
+    }
+  }
+
+  // Second pass: Create terrain features and ensure navigable areas
+  createRiverValleyStructures(map, rng, size);
+  return map;
+}
+
+function generateMountainMap(rng, { mountainLevel = 0.5 } = {}, size) {
+  const { width, height } = size;
+  // Mountain Ranges with increased density
+  const noiseSeed = rng.int(10000);
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 60, y / 60, noiseSeed);
+      map[y * width + x] = value > mountainLevel ? "^" : ".";
+
+      // Add some additional mountain features for visual interest
+      if (
+        value > mountainLevel - 0.1 &&
+        value <= mountainLevel &&
+        rng.random() < 0.4
+      ) {
+        map[y * width + x] = "^";
+      }
+    }
+  }
+
+  // Second pass: Create mountain passes and valleys
+  createMountainPasses(map, rng, size);
+  return map;
+}
+
+function generateUrbanMap(rng, { blockSize = 15, streetWidth = 3 } = {}, size) {
+  const { width, height } = size;
+  // Grid-like Urban Layout
+  let map = new Array(width * height).fill(".");
+  for (let y = 0; y < height; y += 50) {
+    for (let x = 0; x < width; x++) {
+      if (rng.random() < 0.8) map[y * width + x] = "#"; // Buildings
+    }
+  }
+  for (let x = 0; x < width; x += 50) {
+    for (let y = 0; y < height; y++) {
+      if (rng.random() < 0.8) map[y * width + x] = "-"; // Roads
+    }
+  }
+
+  // Second pass: Create a better urban layout with streets and buildings
+  createUrbanLayout(map, rng, blockSize, streetWidth, size);
+  return map;
+}
+
+function generateVolcanicMap(
+  rng,
+  { lavaLevel = 0.3, rockLevel = 0.6 } = {},
+  size
+) {
+  const { width, height } = size;
+  // Volcanic Terrain
+  const noiseSeed = rng.int(10000);
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 70, y / 70, noiseSeed);
+      if (value < lavaLevel) map[y * width + x] = "~"; // Lava
+      else if (value < rockLevel) map[y * width + x] = "#"; // Rock
+      else map[y * width + x] = ".";
+    }
+  }
+
+  // Second pass: Create safe paths through volcanic terrain
+  createVolcanicPaths(map, rng, size);
+  return map;
+}
+
+function generateHybridMap(
+  rng,
+  { waterLevel = 0.2, mountainLevel = 0.4, wallLevel = 0.6 } = {},
+  size
+) {
+  const { width, height } = size;
+  // Mixed Terrain with more navigable areas
+  const noiseSeed = rng.int(10000);
+  let map = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = noise(x / 90, y / 90, noiseSeed);
+      if (value < waterLevel) map[y * width + x] = "~";
+      else if (value < mountainLevel) map[y * width + x] = "^";
+      else if (value < wallLevel) map[y * width + x] = "#";
+      else map[y * width + x] = ".";
+    }
+  }
+
+  // Second pass: Create connected navigable areas
+  createHybridNavigableAreas(map, rng, size);
+  return map;
+}
+
+function generateArenaMap(rng, { radius = 0.4, boulders = 80 } = {}, size) {
+  const { width, height } = size;
+  // Circular Gladiator Arena
+  let map = new Array(width * height).fill("#"); // Start with walls
+
+  // Create a large circular arena
+  const centerX = Math.floor(width / 2);
+  const centerY = Math.floor(height / 2);
+  // Large arena taking up most of the map, radius as a share of its size
+  const arenaRadius = Math.floor(Math.min(width, height) * radius);
+
+  // Create the main arena floor
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+      if (dist <= arenaRadius) {
+        map[y * width + x] = "."; // Arena floor
+      }
+    }
+  }
+
+  // Add some boulders/obstacles scattered throughout the arena
+  for (let i = 0; i < boulders; i++) {
+    // Random position within the arena
+    const angle = rng.random() * Math.PI * 2;
+    const distance = rng.random() * (arenaRadius * 0.9); // Keep within arena
+    const boulderX = Math.floor(centerX + Math.cos(angle) * distance);
+    const boulderY = Math.floor(centerY + Math.sin(angle) * distance);
+
+    // Create boulder of random size
+    const boulderSize = Math.floor(rng.random() * 5) + 2;
+    for (let y = boulderY - boulderSize; y <= boulderY + boulderSize; y++) {
+      for (let x = boulderX - boulderSize; x <= boulderX + boulderSize; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - boulderX) ** 2 + (y - boulderY) ** 2);
+          if (dist <= boulderSize * (0.7 + rng.random() * 0.3)) {
+            // Create irregular boulder shape
+            if (rng.random() < 0.7) {
+              // Check if we're still in the arena
+              const arenaDistCheck = Math.sqrt(
+                (x - centerX) ** 2 + (y - centerY) ** 2
+              );
+              if (arenaDistCheck <= arenaRadius) {
+                map[y * width + x] = "^"; // Boulder
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Add some smaller obstacles and decorative elements
+  for (let i = 0; i < 150; i++) {
+    const angle = rng.random() * Math.PI * 2;
+    const distance = rng.random() * arenaRadius;
+    const x = Math.floor(centerX + Math.cos(angle) * distance);
+    const y = Math.floor(centerY + Math.sin(angle) * distance);
+
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      // 30% chance for a small boulder, otherwise keep as floor
+      if (rng.random() < 0.3) {
+        map[y * width + x] = "^";
+      }
+    }
+  }
+
+  // Create entrances/exits to the arena (4 cardinal directions)
+  const entranceWidth = 10;
+  const entranceLength = 30;
+
+  // North entrance
+  for (
+    let y = centerY - arenaRadius - entranceLength;
+    y <= centerY - arenaRadius;
+    y++
+  ) {
+    for (
+      let x = centerX - entranceWidth / 2;
+      x <= centerX + entranceWidth / 2;
+      x++
+    ) {
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        map[y * width + x] = ".";
+      }
+    }
+  }
+
+  // South entrance
+  for (
+    let y = centerY + arenaRadius;
+    y <= centerY + arenaRadius + entranceLength;
+    y++
+  ) {
+    for (
+      let x = centerX - entranceWidth / 2;
+      x <= centerX + entranceWidth / 2;
+      x++
+    ) {
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        map[y * width + x] = ".";
+      }
+    }
+  }
+
+  // East entrance
+  for (
+    let x = centerX + arenaRadius;
+    x <= centerX + arenaRadius + entranceLength;
+    x++
+  ) {
+    for (
+      let y = centerY - entranceWidth / 2;
+      y <= centerY + entranceWidth / 2;
+      y++
+    ) {
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        map[y * width + x] = ".";
+      }
+    }
+  }
+
+  // West entrance
+  for (
+    let x = centerX - arenaRadius - entranceLength;
+    x <= centerX - arenaRadius;
+    x++
+  ) {
+    for (
+      let y = centerY - entranceWidth / 2;
+      y <= centerY + entranceWidth / 2;
+      y++
+    ) {
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        map[y * width + x] = ".";
+      }
+    }
+  }
+
+  return map;
+}
+
+// Helper function to create navigable paths through terrain
+function createNavigablePaths(
+  map,
+  rng,
+  numPaths,
+  maxLength,
+  pathWidth,
+  { width, height }
+) {
+  // Create horizontal and vertical paths
+  for (let i = 0; i < numPaths; i++) {
+    const horizontal = rng.random() < 0.5;
+    const startX = Math.floor(rng.random() * width);
+    const startY = Math.floor(rng.random() * height);
+    const length = Math.floor(rng.random() * maxLength) + 20;
+
+    if (horizontal) {
+      const y = startY;
+      for (let x = startX; x < startX + length && x < width; x++) {
+        for (let w = 0; w < pathWidth; w++) {
+          const pathY = y + w - Math.floor(pathWidth / 2);
+          if (pathY >= 0 && pathY < height) {
+            map[pathY * width + x] = ".";
+          }
+        }
+      }
+    } else {
+      const x = startX;
+      for (let y = startY; y < startY + length && y < height; y++) {
+        for (let w = 0; w < pathWidth; w++) {
+          const pathX = x + w - Math.floor(pathWidth / 2);
+          if (pathX >= 0 && pathX < width) {
+            map[y * width + pathX] = ".";
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to widen corridors and create rooms in maze
+function createRoomsAndWideCorridors(map, rng, rooms, { width, height }) {
+  // Create more and larger rooms
+  for (let i = 0; i < rooms; i++) {
+    const roomWidth = Math.floor(rng.random() * 12) + 8; // Increased size from 5-12 to 8-20
+    const roomHeight = Math.floor(rng.random() * 12) + 8;
+    const roomX = Math.floor(rng.random() * (width - roomWidth));
+    const roomY = Math.floor(rng.random() * (height - roomHeight));
+
+    // Check if the room connects to a path
+    let connectsToPath = false;
+    for (let y = roomY - 1; y < roomY + roomHeight + 1; y++) {
+      for (let x = roomX - 1; x < roomX + roomWidth + 1; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          if (map[y * width + x] === ".") {
+            connectsToPath = true;
+            break;
+          }
+        }
+      }
+      if (connectsToPath) break;
+    }
+
+    // If it connects to a path, create the room
+    if (connectsToPath) {
+      for (let y = roomY; y < roomY + roomHeight; y++) {
+        for (let x = roomX; x < roomX + roomWidth; x++) {
+          if (x >= 0 && x < width && y >= 0 && y < height) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Widen corridors more aggressively
+  let newMap = map.slice();
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (map[y * width + x] === ".") {
+        // Look at neighbors in a wider radius
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            if (rng.random() < 0.6) {
+              // Increased from 0.4 to 0.6 chance to widen
+              const nx = x + dx;
+              const ny = y + dy;
+              if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                newMap[ny * width + nx] = ".";
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Copy back
+  for (let i = 0; i < width * height; i++) {
+    map[i] = newMap[i];
+  }
+
+  // Add some random additional paths to connect isolated areas
+  for (let i = 0; i < 30; i++) {
+    const startX = Math.floor(rng.random() * width);
+    const startY = Math.floor(rng.random() * height);
+    const endX = Math.floor(rng.random() * width);
+    const endY = Math.floor(rng.random() * height);
+
+    // Simple line-drawing algorithm to create additional paths
+    const dx = endX - startX;
+    const dy = endY - startY;
+    const steps = Math.max(Math.abs(dx), Math.abs(dy));
+
+    for (let step = 0; step <= steps; step++) {
+      const t = steps === 0 ? 0 : step / steps;
+      const x = Math.floor(startX + t * dx);
+      const y = Math.floor(startY + t * dy);
+
+      // Create a wider path
+      for (let wy = -2; wy <= 2; wy++) {
+        for (let wx = -2; wx <= 2; wx++) {
+          const pathX = x + wx;
+          const pathY = y + wy;
+          if (pathX >= 0 && pathX < width && pathY >= 0 && pathY < height) {
+            if (rng.random() < 0.7) {
+              map[pathY * width + pathX] = ".";
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to connect islands with bridges
+function connectIslandsWithBridges(map, { width, height }) {
+  // Identify islands
+  let islands = [];
+  let visited = new Array(width * height).fill(false);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (map[y * width + x] === "." && !visited[y * width + x]) {
+        // Found a new island
+        let island = [];
+        let queue = [{ x, y }];
+        visited[y * width + x] = true;
+
+        while (queue.length > 0) {
+          let { x: cx, y: cy } = queue.shift();
+          island.push({ x: cx, y: cy });
+
+          // Check neighbors
+          const directions = [
+            [0, 1],
+            [1, 0],
+            [0, -1],
+            [-1, 0],
+          ];
+          for (let [dx, dy] of directions) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (
+              nx >= 0 &&
+              nx < width &&
+              ny >= 0 &&
+              ny < height &&
+              map[ny * width + nx] === "." &&
+              !visited[ny * width + nx]
+            ) {
+              queue.push({ x: nx, y: ny });
+              visited[ny * width + nx] = true;
+            }
+          }
+        }
+
+        islands.push(island);
+      }
+    }
+  }
+
+  // Connect islands with bridges
+  for (let i = 1; i < islands.length; i++) {
+    const fromIsland = islands[i - 1];
+    const toIsland = islands[i];
+
+    // Find closest points between islands
+    let minDist = Infinity;
+    let best = null;
+
+    for (let p1 of fromIsland) {
+      for (let p2 of toIsland) {
+        const dist = Math.sqrt((p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2);
+        if (dist < minDist) {
+          minDist = dist;
+          best = { from: p1, to: p2 };
+        }
+      }
+    }
+
+    if (best) {
+      // Draw a bridge (path of '=') between the points
+      const { from, to } = best;
+      const steps = Math.ceil(minDist);
+
+      for (let step = 0; step <= steps; step++) {
+        const t = step / steps;
+        const x = Math.floor(from.x + t * (to.x - from.x));
+        const y = Math.floor(from.y + t * (to.y - from.y));
+
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          // Create a wider bridge (2-3 tiles)
+          for (let w = -1; w <= 1; w++) {
+            const bridgeX = x + w;
+            const bridgeY = y + w;
+            if (
+              bridgeX >= 0 &&
+              bridgeX < width &&
+              bridgeY >= 0 &&
+              bridgeY < height
+            ) {
+              map[y * width + bridgeX] = "="; // Horizontal bridge
+              map[bridgeY * width + x] = "="; // Vertical bridge
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to create forest paths
+function createForestPaths(map, rng, { width, height }) {
+  // Create a network of paths through the forest
+  const numPaths = 50; // Increased from 30 to 50 paths
+  const pathWidth = 5; // Increased from 3 to 5
+
+  for (let i = 0; i < numPaths; i++) {
+    const startX = Math.floor(rng.random() * width);
+    const startY = Math.floor(rng.random() * height);
+    const endX = Math.floor(rng.random() * width);
+    const endY = Math.floor(rng.random() * height);
+
+    // Simple line-drawing algorithm
+    const dx = endX - startX;
+    const dy = endY - startY;
+    const steps = Math.max(Math.abs(dx), Math.abs(dy));
+
+    for (let step = 0; step <= steps; step++) {
+      const t = steps === 0 ? 0 : step / steps;
+      const x = Math.floor(startX + t * dx);
+      const y = Math.floor(startY + t * dy);
+
+      // Create a wider path
+      for (let wy = -pathWidth; wy <= pathWidth; wy++) {
+        for (let wx = -pathWidth; wx <= pathWidth; wx++) {
+          const pathX = x + wx;
+          const pathY = y + wy;
+          if (pathX >= 0 && pathX < width && pathY >= 0 && pathY < height) {
+            map[pathY * width + pathX] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Create more and larger clearings (larger open areas)
+  for (let i = 0; i < 40; i++) {
+    // Increased from 20 to 40 clearings
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 25) + 15; // Increased from 5-20 to 15-40
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Add some smaller scattered clearings
+  for (let i = 0; i < 100; i++) {
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 8) + 3;
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Connect isolated clearings with additional paths
+  // Find clearings that are close to each other and connect them
+  for (let y = 0; y < height; y += 50) {
+    for (let x = 0; x < width; x += 50) {
+      // Check if this area has a clearing
+      let hasClearing = false;
+      let clearingX = 0,
+        clearingY = 0;
+
+      for (let cy = y; cy < y + 50 && cy < height; cy++) {
+        for (let cx = x; cx < x + 50 && cx < width; cx++) {
+          if (map[cy * width + cx] === ".") {
+            hasClearing = true;
+            clearingX = cx;
+            clearingY = cy;
+            break;
+          }
+        }
+        if (hasClearing) break;
+      }
+
+      if (hasClearing) {
+        // Look for another clearing in adjacent areas
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+
+            const nx = x + dx * 50;
+            const ny = y + dy * 50;
+
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+              // Check if this adjacent area has a clearing
+              let hasAdjacentClearing = false;
+              let adjClearingX = 0,
+                adjClearingY = 0;
+
+              for (let cy = ny; cy < ny + 50 && cy < height; cy++) {
+                for (let cx = nx; cx < nx + 50 && cx < width; cx++) {
+                  if (map[cy * width + cx] === ".") {
+                    hasAdjacentClearing = true;
+                    adjClearingX = cx;
+                    adjClearingY = cy;
+                    break;
+                  }
+                }
+                if (hasAdjacentClearing) break;
+              }
+
+              if (hasAdjacentClearing) {
+                // Connect the two clearings with a path
+                const pathWidth = Math.floor(rng.random() * 3) + 2;
+                const steps = Math.max(
+                  Math.abs(adjClearingX - clearingX),
+                  Math.abs(adjClearingY - clearingY)
+                );
+
+                for (let step = 0; step <= steps; step++) {
+                  const t = steps === 0 ? 0 : step / steps;
+                  const px = Math.floor(
+                    clearingX + t * (adjClearingX - clearingX)
+                  );
+                  const py = Math.floor(
+                    clearingY + t * (adjClearingY - clearingY)
+                  );
+
+                  for (let wy = -pathWidth; wy <= pathWidth; wy++) {
+                    for (let wx = -pathWidth; wx <= pathWidth; wx++) {
+                      const pathX = px + wx;
+                      const pathY = py + wy;
+                      if (
+                        pathX >= 0 &&
+                        pathX < width &&
+                        pathY >= 0 &&
+                        pathY < height
+                      ) {
+                        map[pathY * width + pathX] = ".";
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to create river valley structures
+function createRiverValleyStructures(map, rng, { width, height }) {
+  // Create wider paths parallel to rivers
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (map[y * width + x] === "~") {
+        // Check surrounding area for riverbank
+        for (let d = 1; d <= 5; d++) {
+          // Increased from 3 to 5
+          // Create paths on both sides of the river
+          if (x + d < width) map[y * width + (x + d)] = ".";
+          if (x - d >= 0) map[y * width + (x - d)] = ".";
+        }
+      }
+    }
+  }
+
+  // Add more bridges at regular intervals (decreased from 30 to 15)
+  for (let y = 10; y < height; y += 15) {
+    for (let x = 0; x < width; x++) {
+      if (map[y * width + x] === "~") {
+        // Create a wider bridge
+        for (let bw = -2; bw <= 2; bw++) {
+          // Increased width from -1/+1 to -2/+2
+          const bridgeY = y + bw;
+          if (bridgeY >= 0 && bridgeY < height) {
+            map[bridgeY * width + x] = "=";
+
+            // Add some additional navigable area around bridges
+            for (let by = -1; by <= 1; by++) {
+              for (let bx = -3; bx <= 3; bx++) {
+                if (bx === 0) continue; // Skip the bridge itself
+
+                const areaX = x + bx;
+                const areaY = bridgeY + by;
+
+                if (
+                  areaX >= 0 &&
+                  areaX < width &&
+                  areaY >= 0 &&
+                  areaY < height
+                ) {
+                  if (map[areaY * width + areaX] !== "~") {
+                    map[areaY * width + areaX] = ".";
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Create more and larger settlements/structures near rivers
+  for (let i = 0; i < 30; i++) {
+    // Increased from 15 to 30
+    // Find a spot near a river
+    let foundSpot = false;
+    let centerX, centerY;
+
+    for (let attempts = 0; attempts < 100 && !foundSpot; attempts++) {
+      centerX = Math.floor(rng.random() * width);
+      centerY = Math.floor(rng.random() * height);
+
+      // Check if there's a river nearby
+      let riverNearby = false;
+      for (let dy = -15; dy <= 15 && !riverNearby; dy++) {
+        // Increased from 10 to 15
+        for (let dx = -15; dx <= 15 && !riverNearby; dx++) {
+          const checkX = centerX + dx;
+          const checkY = centerY + dy;
+          if (checkX >= 0 && checkX < width && checkY >= 0 && checkY < height) {
+            if (map[checkY * width + checkX] === "~") {
+              riverNearby = true;
+            }
+          }
+        }
+      }
+
+      if (riverNearby) foundSpot = true;
+    }
+
+    if (foundSpot) {
+      // Create a larger settlement/structure
+      const size = Math.floor(rng.random() * 10) + 8; // Increased from 3-8 to 8-18
+      for (let y = centerY - size; y <= centerY + size; y++) {
+        for (let x = centerX - size; x <= centerX + size; x++) {
+          if (x >= 0 && x < width && y >= 0 && y < height) {
+            // Create a mix of buildings and paths, with more paths
+            if (rng.random() < 0.2) {
+              // Decreased from 0.3 to 0.2 for more paths
+              map[y * width + x] = "#"; // Building
+            } else {
+              map[y * width + x] = "."; // Path
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Add some large open areas (parks/fields) away from rivers
+  for (let i = 0; i < 20; i++) {
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 20) + 15;
+
+    // Check if this area is not too close to a river
+    let tooCloseToRiver = false;
+    for (
+      let y = centerY - radius;
+      y <= centerY + radius && !tooCloseToRiver;
+      y++
+    ) {
+      for (
+        let x = centerX - radius;
+        x <= centerX + radius && !tooCloseToRiver;
+        x++
+      ) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          if (map[y * width + x] === "~") {
+            tooCloseToRiver = true;
+          }
+        }
+      }
+    }
+
+    if (!tooCloseToRiver) {
+      for (let y = centerY - radius; y <= centerY + radius; y++) {
+        for (let x = centerX - radius; x <= centerX + radius; x++) {
+          if (x >= 0 && x < width && y >= 0 && y < height) {
+            const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+            if (dist <= radius) {
+              map[y * width + x] = ".";
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to create mountain passes
+function createMountainPasses(map, rng, { width, height }) {
+  // Create horizontal and vertical passes through mountains
+  for (let i = 0; i < 15; i++) {
+    // Increased from 10 to 15 passes
+    const horizontal = rng.random() < 0.5;
+    const position = Math.floor(rng.random() * (horizontal ? height : width));
+    const passWidth = Math.floor(rng.random() * 3) + 2;
+
+    if (horizontal) {
+      // Horizontal pass
+      for (let x = 0; x < width; x++) {
+        for (let w = -passWidth; w <= passWidth; w++) {
+          const y = position + w;
+          if (y >= 0 && y < height) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    } else {
+      // Vertical pass
+      for (let y = 0; y < height; y++) {
+        for (let w = -passWidth; w <= passWidth; w++) {
+          const x = position + w;
+          if (x >= 0 && x < width) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Create more valleys (larger open areas)
+  for (let i = 0; i < 25; i++) {
+    // Increased from 15 to 25 valleys
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 20) + 10;
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Add mountain peaks (clusters of mountains)
+  for (let i = 0; i < 40; i++) {
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 15) + 5;
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          // Create mountain peaks with some randomness
+          if (dist <= radius * (0.7 + rng.random() * 0.3)) {
+            // Higher chance of mountains closer to the center
+            const mountainProbability = 0.7 - (dist / radius) * 0.5;
+            if (rng.random() < mountainProbability) {
+              map[y * width + x] = "^";
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Add winding paths through mountain areas
+  for (let i = 0; i < 30; i++) {
+    let x = Math.floor(rng.random() * width);
+    let y = Math.floor(rng.random() * height);
+    const length = Math.floor(rng.random() * 100) + 50;
+    const pathWidth = Math.floor(rng.random() * 2) + 1;
+
+    for (let step = 0; step < length; step++) {
+      // Random direction with tendency to continue in same direction
+      const direction = Math.floor(rng.random() * 4);
+
+      switch (direction) {
+        case 0:
+          x += 1;
+          break;
+        case 1:
+          x -= 1;
+          break;
+        case 2:
+          y += 1;
+          break;
+        case 3:
+          y -= 1;
+          break;
+      }
+
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        // Create a path
+        for (let wy = -pathWidth; wy <= pathWidth; wy++) {
+          for (let wx = -pathWidth; wx <= pathWidth; wx++) {
+            const pathX = x + wx;
+            const pathY = y + wy;
+            if (pathX >= 0 && pathX < width && pathY >= 0 && pathY < height) {
+              map[pathY * width + pathX] = ".";
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to create a better urban layout
+function createUrbanLayout(
+  map,
+  rng,
+  blockSize,
+  streetWidth,
+  { width, height }
+) {
+  // Start fresh with a more deliberate urban design
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      map[y * width + x] = "."; // Start with empty space
+    }
+  }
+
+  // Create a grid of streets, blockSize apart and streetWidth wide
+
+  for (let y = 0; y < height; y += blockSize) {
+    for (let x = 0; x < width; x++) {
+      for (let sw = 0; sw < streetWidth; sw++) {
+        const streetY = y + sw;
+        if (streetY < height) {
+          map[streetY * width + x] = "-"; // Horizontal streets
+        }
+      }
+    }
+  }
+
+  for (let x = 0; x < width; x += blockSize) {
+    for (let y = 0; y < height; y++) {
+      for (let sw = 0; sw < streetWidth; sw++) {
+        const streetX = x + sw;
+        if (streetX < width) {
+          map[y * width + streetX] = "|"; // Vertical streets
+        }
+      }
+    }
+  }
+
+  // Create buildings within the blocks
+  for (let blockY = 0; blockY < height; blockY += blockSize) {
+    for (let blockX = 0; blockX < width; blockX += blockSize) {
+      // Building size and position within block
+      const buildingWidth = Math.floor(rng.random() * (blockSize - 8)) + 5;
+      const buildingHeight = Math.floor(rng.random() * (blockSize - 8)) + 5;
+      const offsetX =
+        Math.floor(rng.random() * (blockSize - buildingWidth - streetWidth)) +
+        streetWidth;
+      const offsetY =
+        Math.floor(rng.random() * (blockSize - buildingHeight - streetWidth)) +
+        streetWidth;
+
+      for (let y = 0; y < buildingHeight; y++) {
+        for (let x = 0; x < buildingWidth; x++) {
+          const buildingX = blockX + offsetX + x;
+          const buildingY = blockY + offsetY + y;
+
+          if (buildingX < width && buildingY < height) {
+            map[buildingY * width + buildingX] = "#"; // Building
+          }
+        }
+      }
+    }
+  }
+
+  // Mark intersections with paths
+  for (let y = 0; y < height; y += blockSize) {
+    for (let x = 0; x < width; x += blockSize) {
+      for (let iy = 0; iy < streetWidth; iy++) {
+        for (let ix = 0; ix < streetWidth; ix++) {
+          const intersectionX = x + ix;
+          const intersectionY = y + iy;
+          if (intersectionX < width && intersectionY < height) {
+            map[intersectionY * width + intersectionX] = "."; // Intersection
+          }
+        }
+      }
+    }
+  }
+
+  // Streets stay roads ('-' and '|'), which are quicker to walk than floor
+}
+
+// Helper function to create safe paths through volcanic terrain
+function createVolcanicPaths(map, rng, { width, height }) {
+  // Create a network of safe paths through lava
+  createNavigablePaths(map, rng, 40, 60, 4, { width, height });
+
+  // Create some "safe islands" within lava
+  for (let i = 0; i < 25; i++) {
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 12) + 8;
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Connect safe areas
+  for (let i = 0; i < 30; i++) {
+    const startX = Math.floor(rng.random() * width);
+    const startY = Math.floor(rng.random() * height);
+
+    // Find a path to a safe area if we're in lava
+    if (map[startY * width + startX] === "~") {
+      let endX, endY;
+      let found = false;
+
+      // Look for a nearby safe area
+      for (
+        let searchRadius = 5;
+        searchRadius < 50 && !found;
+        searchRadius += 5
+      ) {
+        for (
+          let angle = 0;
+          angle < Math.PI * 2 && !found;
+          angle += Math.PI / 8
+        ) {
+          const checkX = Math.floor(startX + Math.cos(angle) * searchRadius);
+          const checkY = Math.floor(startY + Math.sin(angle) * searchRadius);
+
+          if (checkX >= 0 && checkX < width && checkY >= 0 && checkY < height) {
+            if (map[checkY * width + checkX] === ".") {
+              endX = checkX;
+              endY = checkY;
+              found = true;
+            }
+          }
+        }
+      }
+
+      if (found) {
+        // Create a bridge/path
+        const dx = endX - startX;
+        const dy = endY - startY;
+        const steps = Math.max(Math.abs(dx), Math.abs(dy));
+
+        for (let step = 0; step <= steps; step++) {
+          const t = steps === 0 ? 0 : step / steps;
+          const x = Math.floor(startX + t * dx);
+          const y = Math.floor(startY + t * dy);
+
+          // Create a wider path
+          for (let wy = -1; wy <= 1; wy++) {
+            for (let wx = -1; wx <= 1; wx++) {
+              const pathX = x + wx;
+              const pathY = y + wy;
+              if (pathX >= 0 && pathX < width && pathY >= 0 && pathY < height) {
+                if (map[pathY * width + pathX] === "~") {
+                  map[pathY * width + pathX] = "="; // Bridge over lava
+                } else {
+                  map[pathY * width + pathX] = "."; // Regular path
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+// Helper function to create connected navigable areas in hybrid maps
+function createHybridNavigableAreas(map, rng, { width, height }) {
+  // First add more and larger safe areas
+  for (let i = 0; i < 40; i++) {
+    // Increased from 20 to 40
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 25) + 15; // Increased from 10-25 to 15-40
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            map[y * width + x] = ".";
+          }
+        }
+      }
+    }
+  }
+
+  // Then connect them with more and wider paths
+  createNavigablePaths(map, rng, 80, 150, 6, { width, height }); // Increased from 50 paths to 80, max length from 100 to 150, width from 4 to 6
+
+  // Convert more mountain and wall tiles to ground near paths to make wider corridors
+  let newMap = map.slice();
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      if (map[y * width + x] === "." || map[y * width + x] === "=") {
+        // Look at neighbors in a wider radius
+        for (let dy = -3; dy <= 3; dy++) {
+          // Increased from -2/+2 to -3/+3
+          for (let dx = -3; dx <= 3; dx++) {
+            if (Math.abs(dx) + Math.abs(dy) <= 4) {
+              // Increased from 3 to 4
+              // Diamond shape
+              const nx = x + dx;
+              const ny = y + dy;
+              if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                if (
+                  map[ny * width + nx] === "^" ||
+                  map[ny * width + nx] === "#"
+                ) {
+                  if (rng.random() < 0.6) {
+                    // Increased from 0.4 to 0.6
+                    // Higher chance to convert
+                    newMap[ny * width + nx] = ".";
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Copy back
+  for (let i = 0; i < width * height; i++) {
+    map[i] = newMap[i];
+  }
+
+  // Add some additional random clearings
+  for (let i = 0; i < 60; i++) {
+    const centerX = Math.floor(rng.random() * width);
+    const centerY = Math.floor(rng.random() * height);
+    const radius = Math.floor(rng.random() * 12) + 8;
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+          if (dist <= radius) {
+            // Higher chance to create navigable space
+            if (rng.random() < 0.7) {
+              map[y * width + x] = ".";
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Create some bridges over water
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (map[y * width + x] === "~") {
+        // Check if there are navigable areas on both sides
+        let navigableNeighbors = 0;
+        let nonWaterNeighbors = 0;
+
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            if (dx === 0 && dy === 0) continue;
+
+            const nx = x + dx;
+            const ny = y + dy;
+
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+              if (map[ny * width + nx] === ".") {
+                navigableNeighbors++;
+              }
+              if (map[ny * width + nx] !== "~") {
+                nonWaterNeighbors++;
+              }
+            }
+          }
+        }
+
+        // If there are enough navigable neighbors and we're not in a large water body
+        if (
+          navigableNeighbors >= 3 &&
+          nonWaterNeighbors >= 8 &&
+          rng.random() < 0.3
+        ) {
+          map[y * width + x] = "="; // Create a bridge
+        }
+      }
+    }
+  }
+}
+
+// Water ('~') on the shore of open ground becomes shallows (','), which
+// can be waded through
+function addShallows(map, { width, height }) {
+  const shore = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (map[y * width + x] !== "~") continue;
+      for (const [dx, dy] of [
+        [0, 1],
+        [1, 0],
+        [0, -1],
+        [-1, 0],
+      ]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        if (map[ny * width + nx] === ".") {
+          shore.push(y * width + x);
+          break;
+        }
+      }
+    }
+  }
+  for (const index of shore) {
+    map[index] = ",";
+  }
+}
+
+// Generators by name (see registerGenerator)
+const GENERATORS = {};
+
+// Parameters each generator takes, by generator name (see
+// registerGenerator)
+const GENERATOR_PARAMS = {};
+
+/**
+ * Makes a generator available to dungeon configurations under a name
+ * @param {string} name - Name configurations use, and the default theme of
+ *   its floors
+ * @param {Function} generate - (rng, params, { width, height }) => map
+ * @param {Object} params - Each parameter it takes, as { range: [min, max],
+ *   whole }, whole for counts; checkDungeonConfig holds configurations to
+ *   them
+ */
+function registerGenerator(name, generate, params = {}) {
+  GENERATORS[name] = generate;
+  GENERATOR_PARAMS[name] = params;
+}
+
+// Kinds of parameter: chances and ratios, levels compared against noise()
+// (which runs from 0 to 2) and counts up to some most
+const CHANCE = { range: [0, 1] };
+const LEVEL = { range: [0, 2] };
+const count = (min, max) => ({ range: [min, max], whole: true });
+
+registerGenerator("caves", generateCaveMap, {
+  fillRatio: CHANCE,
+  smoothing: count(0, 10),
+});
+registerGenerator("terrain", generateTerrainMap, {
+  waterLevel: LEVEL,
+  mountainLevel: LEVEL,
+  paths: count(0, 200),
+});
+registerGenerator("maze", generateMazeMap, { rooms: count(0, 500) });
+registerGenerator("islands", generateIslandMap, { waterLevel: LEVEL });
+registerGenerator("forest", generateForestMap, { treeDensity: LEVEL });
+registerGenerator("rivers", generateRiverMap, {
+  rivers: count(0, 50),
+  bridgeChance: CHANCE,
+});
+registerGenerator("mountains", generateMountainMap, { mountainLevel: LEVEL });
+registerGenerator("urban", generateUrbanMap, {
+  blockSize: count(5, 100),
+  streetWidth: count(1, 10),
+});
+registerGenerator("volcanic", generateVolcanicMap, {
+  lavaLevel: LEVEL,
+  rockLevel: LEVEL,
+});
+registerGenerator("hybrid", generateHybridMap, {
+  waterLevel: LEVEL,
+  mountainLevel: LEVEL,
+  wallLevel: LEVEL,
+});
+registerGenerator("arena", generateArenaMap, {
+  radius: { range: [0.1, 0.5] }, // Share of the floor's smaller side
+  boulders: count(0, 500),
+});
+
+// Export functions
+export {
+  GENERATORS,
+  GENERATOR_PARAMS,
+  registerGenerator,
+  generateCaveMap,
+  generateTerrainMap,
+  generateMazeMap,
+  generateIslandMap,
+  generateForestMap,
+  generateRiverMap,
+  generateMountainMap,
+  generateUrbanMap,
+  generateVolcanicMap,
+  generateHybridMap,
+  generateArenaMap,
+};
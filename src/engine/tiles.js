@@ -0,0 +1,203 @@
+/**
+ * Tile Types for Dungeon Terrain
+ *
+ * What each map glyph means. Every tile type says whether beings can walk on
+ * it or swim through it, whether it blocks sight, how long a step off it
+ * takes, how much it hurts to stand in, whether weapons can break it and how
+ * it's drawn. Movement, field of view, combat, rendering and the
+ * connectivity repairs all look tiles up here, so a new kind of tile only
+ * needs an entry (see registerTile).
+ *
+ * A glyph can mean something else on some floors: '~' is water everywhere
+ * but lava on volcanic floors. Overrides are given per floor theme (see
+ * getDungeonShape) and per floor index, and only need the fields they
+ * change, which is why tiles are always looked up on a floor of a dungeon.
+ */
+
+// What a tile is unless its entry says otherwise. moveCost multiplies the
+// time a step off the tile takes (see getStepDelay), damage is dealt every
+// status tick to whoever stands on it, bridgeable tiles get a bridge ('=')
+// when a path has to be carved across them, and color is the colour plain
+// terrain is drawn in (null for the default). Weapon swings wear down tiles
+// with a durability, by how well they work on its material (see
+// resolveTerrainHit), until the tile turns into its rubble; tiles without
+// one can't be broken.
+const TILE_DEFAULTS = {
+  name: "unknown",
+  walkable: false,
+  swimmable: false,
+  blocksSight: false,
+  moveCost: 1,
+  damage: 0,
+  bridgeable: false,
+  durability: 0,
+  material: null,
+  rubble: ":",
+  color: null,
+  style: "",
+};
+
+// Every glyph the generators produce, by glyph
+const TILE_TYPES = {};
+
+// Changes to tiles for floors of a theme, then for single floors by index
+const TILE_OVERRIDES = {
+  themes: {
+    urban: {
+      "#": { name: "building", durability: 90 },
+    },
+    volcanic: {
+      "#": { name: "rock", durability: 80 },
+      "~": {
+        name: "lava",
+        walkable: true,
+        swimmable: false,
+        moveCost: 1.5,
+        damage: 8,
+        color: "#ff5500",
+      },
+    },
+    arena: {
+      // The arena's own walls hold, its boulders don't
+      "#": { name: "arena wall", durability: 0 },
+      "^": { name: "boulder", durability: 40, material: "stone" },
+    },
+  },
+  floors: {},
+};
+
+/**
+ * Adds a tile type, or changes one, for every floor
+ * @param {string} glyph - The map character
+ * @param {Object} definition - Any of the fields of TILE_DEFAULTS
+ * @returns {Object} - The complete tile type
+ */
+function registerTile(glyph, definition) {
+  TILE_TYPES[glyph] = { ...TILE_DEFAULTS, ...TILE_TYPES[glyph], ...definition };
+  return TILE_TYPES[glyph];
+}
+
+registerTile(".", { name: "floor", walkable: true });
+registerTile("#", {
+  name: "wall",
+  blocksSight: true,
+  durability: 60,
+  material: "stone",
+});
+registerTile("^", { name: "mountain", blocksSight: true });
+registerTile(":", {
+  name: "rubble",
+  walkable: true,
+  moveCost: 1.5,
+  color: "#8a7f70",
+});
+registerTile("~", {
+  name: "water",
+  swimmable: true,
+  moveCost: 3,
+  bridgeable: true,
+  color: "#3399ff",
+});
+registerTile(",", {
+  name: "shallow water",
+  walkable: true,
+  moveCost: 2,
+  color: "#66ccff",
+});
+registerTile("=", {
+  name: "bridge",
+  walkable: true,
+  moveCost: 1.25,
+  color: "#b08040",
+});
+registerTile("-", {
+  name: "road",
+  walkable: true,
+  moveCost: 0.75,
+  color: "#999999",
+});
+registerTile("|", {
+  name: "road",
+  walkable: true,
+  moveCost: 0.75,
+  color: "#999999",
+});
+registerTile("<", { name: "stairs up", walkable: true, style: "upstairs" });
+registerTile(">", { name: "stairs down", walkable: true, style: "downstairs" });
+registerTile("\\", { name: "weapon", walkable: true, style: "weapon" });
+registerTile("&", { name: "armor", walkable: true, style: "armor" });
+registerTile("$", { name: "trinket", walkable: true, style: "trinket" });
+
+/**
+ * Changes what tiles mean on the floors of a theme, or on one floor
+ * @param {string|number} target - A theme name or a floor index
+ * @param {Object} overrides - Partial tile types by glyph
+ */
+function setTileOverrides(target, overrides) {
+  const group =
+    typeof target === "number" ? TILE_OVERRIDES.floors : TILE_OVERRIDES.themes;
+  group[target] = group[target] || {};
+  for (const [glyph, definition] of Object.entries(overrides)) {
+    group[target][glyph] = { ...group[target][glyph], ...definition };
+  }
+}
+
+/**
+ * Looks up what a glyph means on a floor
+ * @param {Object} dungeon - The game, or any dungeon; it knows the floor's
+ *   theme (see getDungeonShape). Without one, no overrides apply.
+ * @param {number} floor - Floor index
+ * @param {string} glyph - The map character
+ * @returns {Object} - The tile type, with the floor's overrides applied
+ */
+function getTile(dungeon, floor, glyph) {
+  const base = TILE_TYPES[glyph] || TILE_DEFAULTS;
+  if (!dungeon) return base;
+  const theme = (TILE_OVERRIDES.themes[dungeon.themes[floor]] || {})[glyph];
+  const own = (TILE_OVERRIDES.floors[floor] || {})[glyph];
+  return theme || own ? { ...base, ...theme, ...own } : base;
+}
+
+// Whether a glyph has a tile type at all
+function isKnownTile(glyph) {
+  return Object.prototype.hasOwnProperty.call(TILE_TYPES, glyph);
+}
+
+// The tile type at a position on a floor of a dungeon
+function getTileAt(dungeon, floor, x, y) {
+  return getTile(dungeon, floor, dungeon.maps[floor][y * dungeon.width + x]);
+}
+
+// Whether a being can stand on a map tile on foot without getting hurt.
+// Bots, spawns and the connectivity repairs only go where this holds.
+function isNavigable(dungeon, floor, x, y) {
+  const tile = getTileAt(dungeon, floor, x, y);
+  return tile.walkable && tile.damage <= 0;
+}
+
+// Whether a being can get onto a map tile at all, by walking into it,
+// swimming or being knocked there, whatever it does to them
+function canEnterTile(dungeon, floor, x, y) {
+  const tile = getTileAt(dungeon, floor, x, y);
+  return tile.walkable || tile.swimmable;
+}
+
+// Whether a tile blocks line of sight
+function blocksSight(dungeon, floor, glyph) {
+  return getTile(dungeon, floor, glyph).blocksSight;
+}
+
+// Export functions
+export {
+  TILE_DEFAULTS,
+  TILE_TYPES,
+  TILE_OVERRIDES,
+  registerTile,
+  setTileOverrides,
+  getTile,
+  isKnownTile,
+  getTileAt,
+  isNavigable,
+  canEnterTile,
+  blocksSight,
+};
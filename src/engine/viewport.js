@@ -0,0 +1,541 @@
+/**
+ * Viewport Renderer for Dungeon Terrain
+ *
+ * Works out one player's view of the game: the map around them, fog of war,
+ * other beings, attack animations, the storm outside the safe zone and the
+ * HUD. The map comes as a grid of cells that any renderer can draw; the
+ * HUD, and getViewport's whole view, as HTML for a <pre> element. Needs no
+ * DOM, so it can run anywhere the engine does.
+ *
+ * A cell is { char, style, color, storm, direction }: style holds the CSS
+ * classes the tile is drawn with ("" for plain terrain), color is the
+ * colour of terrain in sight that has one (see tiles.js), storm is set
+ * outside the safe zone and direction is the facing of the viewer's own
+ * glyph.
+ *
+ * A minimap of the whole floor can be laid over the map part (see
+ * minimap.js).
+ */
+
+import { TOTAL_PLAYERS } from "./constants.js";
+import { renderInventory } from "./itemSystem.js";
+import { describeLoad } from "./encumbrance.js";
+import {
+  getZoneState,
+  distanceToZoneEdge,
+  isOutsideZone,
+  formatZoneTime,
+} from "./safeZone.js";
+import { computeFOV } from "./fov.js";
+import { getTile } from "./tiles.js";
+import { addMinimap } from "./minimap.js";
+import { getAttackFrame, isInAttackArea } from "./combat.js";
+import { countLivingBeings } from "./world.js";
+import { STATUS_TICK_MS, getGameTime } from "./game.js";
+
+// The HUD below the map, top to bottom: one function per line, each
+// taking the game, the viewer and the width (see getHUD)
+const HUD_LINES = [
+  hudTopBorder,
+  hudStatsLine1,
+  hudStatsLine2,
+  hudSeparator,
+  hudBuffs,
+  hudDebuffs,
+  hudSeparator,
+  hudArmorLine,
+  hudRightHandLine,
+  hudLeftHandLine,
+  hudAccessoryLine,
+  hudSeparator,
+  hudInventoryLine,
+  hudBottomBorder,
+];
+
+// Lines of HUD below the map
+const HUD_HEIGHT = HUD_LINES.length;
+
+// Glow around the viewer's glyph showing which way they face, indexed by
+// direction: down (orange), right (green), up (blue), left (purple)
+const DIRECTION_GLOWS = [
+  { x: 0, y: 2, color: "rgba(255, 153, 0, 0.8)" },
+  { x: 2, y: 0, color: "rgba(0, 204, 0, 0.8)" },
+  { x: 0, y: -2, color: "rgba(0, 204, 255, 0.8)" },
+  { x: -2, y: 0, color: "rgba(255, 0, 204, 0.8)" },
+];
+
+/**
+ * Renders what a player sees: the map around them as far as their field of
+ * view reaches, with the HUD below it
+ * @param {Object} game - The game
+ * @param {Player} viewer - The player whose view this is
+ * @param {number} width - Viewport width in characters
+ * @param {number} height - Viewport height in lines, HUD included
+ * @param {string} minimap - One of MINIMAP_MODES (see minimap.js)
+ * @returns {string} - HTML for a <pre> element
+ */
+function getViewport(game, viewer, width, height, minimap = "off") {
+  const rows = getViewportCells(game, viewer, width, height, minimap).map(
+    (row) => row.map(cellToHTML).join("")
+  );
+  return [...rows, ...getHUD(game, viewer, width)].join("\n");
+}
+
+/**
+ * The map part of a player's view, as cells. Marks what the player sees
+ * as explored.
+ * @param {Object} game - The game
+ * @param {Player} viewer - The player whose view this is
+ * @param {number} width - Viewport width in characters
+ * @param {number} height - Viewport height in lines, HUD included
+ * @param {string} minimap - One of MINIMAP_MODES (see minimap.js)
+ * @returns {Array} - height - HUD_HEIGHT rows of width cells
+ */
+function getViewportCells(game, viewer, width, height, minimap = "off") {
+  let map = game.maps[viewer.floor];
+  let left = Math.max(0, viewer.x - Math.floor(width / 2));
+  let top = Math.max(0, viewer.y - Math.floor(height / 2));
+  let right = left + width;
+  let bottom = top + height;
+  // A view wider or taller than the floor shows all of it, with blank
+  // space past its edges
+  if (right > game.width) {
+    left = Math.max(0, game.width - width);
+    right = left + width;
+  }
+  if (bottom > game.height) {
+    top = Math.max(0, game.height - height);
+    bottom = top + height;
+  }
+
+  const output = [];
+  const gameDisplayHeight = height - HUD_HEIGHT;
+
+  // Look up the other beings and any swings on this floor once per render
+  const occupants = new Map();
+  const attackers = [];
+  for (const being of game.beings) {
+    if (being.floor !== viewer.floor || being.isDead()) continue;
+    if (being !== viewer) {
+      occupants.set(being.y * game.width + being.x, being);
+    }
+    if (being.isAttacking) attackers.push(being);
+  }
+
+  const zone = game.safeZone ? getZoneState(game.safeZone) : null;
+
+  // Only what the player can see is drawn; tiles seen before are
+  // drawn dimmed, the rest stays dark
+  const visible = computeFOV(
+    game,
+    viewer.floor,
+    viewer.x,
+    viewer.y,
+    viewer.stats.sight
+  );
+  const explored = viewer.exploredTiles[viewer.floor];
+  for (const index of visible) {
+    explored[index] = 1;
+  }
+
+  for (let y = top; y < top + gameDisplayHeight; y++) {
+    const row = [];
+    for (let x = left; x < right; x++) {
+      if (x >= game.width || y >= game.height) {
+        row.push({ char: " ", style: "", storm: false });
+        continue;
+      }
+      const index = y * game.width + x;
+      const inSight = visible.has(index);
+      const cell = map[index];
+      const tile = getTile(game, viewer.floor, cell);
+      let char = cell;
+      let style = "";
+      let color;
+      let direction;
+
+      // Check if this position is part of an attack animation
+      let animChar = null;
+      for (const attacker of inSight ? attackers : []) {
+        if (isInAttackArea(x, y, attacker)) {
+          // Get the character from the attack animation
+          animChar = getAttackAnimationChar(x, y, attacker);
+          if (animChar) break;
+        }
+      }
+      if (animChar) {
+        char = animChar;
+        // Everything but the attacker is the weapon
+        style = animChar === "@" ? "" : "weapon";
+      } else if (x === viewer.x && y === viewer.y && viewer.isDead()) {
+        // Fallen player
+        char = "%";
+        style = "bot";
+      } else if (x === viewer.x && y === viewer.y) {
+        // Player character, taking the colours of any stairs or item
+        // underneath, with a glow showing which way they face
+        char = "@";
+        style = tile.style ? `player ${tile.style}` : "player";
+        direction = viewer.direction;
+      } else if (!inSight) {
+        // Fog of war: remembered terrain only, never who's there now
+        char = explored[index] ? cell : " ";
+        style = explored[index] ? "remembered" : "";
+      } else if (occupants.has(index)) {
+        // Another combatant
+        char = "@";
+        style = "bot";
+      } else {
+        style = tile.style;
+        color = tile.color || undefined;
+      }
+
+      row.push({
+        char: char,
+        style: style,
+        color: color,
+        // Tint everything outside the safe zone
+        storm: Boolean(zone && isOutsideZone(zone, x, y)),
+        direction: direction,
+      });
+    }
+    output.push(row);
+  }
+
+  // Make sure we have exactly gameDisplayHeight rows
+  while (output.length < gameDisplayHeight) {
+    output.push(
+      Array.from({ length: width }, () => ({
+        char: " ",
+        style: "",
+        storm: false,
+      }))
+    );
+  }
+
+  return addMinimap(output, game, viewer, minimap);
+}
+
+// One cell as HTML for a <pre>
+function cellToHTML(cell) {
+  let html = escapeTile(cell.char);
+  if (cell.direction !== undefined) {
+    const glow = DIRECTION_GLOWS[cell.direction];
+    html = `<span class="${cell.style}" style="text-shadow: 0 0 10px #ffffff, ${glow.x}px ${glow.y}px 8px ${glow.color};">${html}</span>`;
+  } else if (cell.style) {
+    html = `<span class="${cell.style}">${html}</span>`;
+  } else if (cell.color) {
+    html = `<span style="color: ${cell.color}">${html}</span>`;
+  }
+  return cell.storm ? `<span class="storm">${html}</span>` : html;
+}
+
+/**
+ * The HUD below the map: run info, stats, statuses, equipment and inventory
+ * @param {Object} game - The game
+ * @param {Player} viewer - The player whose HUD this is
+ * @param {number} width - Width in characters
+ * @returns {Array} - HUD_HEIGHT lines of HTML
+ */
+function getHUD(game, viewer, width) {
+  return HUD_LINES.map((line) => line(game, viewer, width));
+}
+
+// Pad a HUD line out to the width and close it with the right border
+function closeLine(line, width) {
+  const paddingLength = width - 2 - line.length;
+  return line + " ".repeat(Math.max(0, paddingLength)) + "|";
+}
+
+// Top border, labelled with the run's seed so layouts can be reported
+function hudTopBorder(game, viewer, width) {
+  const zone = game.safeZone ? getZoneState(game.safeZone) : null;
+  return labeledBorder(
+    [
+      `SEED: ${game.seed}`,
+      `FLOOR: ${viewer.floor}`,
+      `PLAYERS: ${countLivingBeings(game)}/${TOTAL_PLAYERS}`,
+      ...(zone ? zoneLabels(zone, viewer) : []),
+      ...(viewer.isDead() ? ["YOU DIED"] : game.gameOver ? ["VICTORY"] : []),
+      ...(game.paused ? ["PAUSED"] : []),
+    ],
+    width
+  );
+}
+
+// Section separator
+function hudSeparator(game, viewer, width) {
+  return "|" + "-".repeat(width - 2) + "|";
+}
+
+// Bottom border
+function hudBottomBorder(game, viewer, width) {
+  return "+" + "-".repeat(width - 2) + "+";
+}
+
+// SECTION 1: BASE STATS
+// First stats line
+function hudStatsLine1(game, viewer, width) {
+  const healthDisplay = `HP: ${viewer.stats.health}/${viewer.stats.maxHealth}`;
+  const staminaDisplay = `SP: ${viewer.stats.stamina}/${viewer.stats.maxStamina}`;
+  const strDisplay = `STR: ${viewer.stats.strength}`;
+  const dexDisplay = `DEX: ${viewer.stats.dexterity}`;
+  const intDisplay = `INT: ${viewer.stats.intelligence}`;
+  const load = describeLoad(viewer);
+  const carryDisplay = `CARRY: ${load.carried}/${load.capacity}`;
+
+  let statsLine1 = "| ";
+  statsLine1 += healthDisplay + " | ";
+  statsLine1 += staminaDisplay + " | ";
+  statsLine1 += strDisplay + " | ";
+  statsLine1 += dexDisplay + " | ";
+  statsLine1 += intDisplay + " | ";
+  statsLine1 += carryDisplay + " ";
+  return closeLine(statsLine1, width);
+}
+
+// Second stats line
+function hudStatsLine2(game, viewer, width) {
+  const faithDisplay = `FTH: ${viewer.stats.faith}`;
+  const vitalityDisplay = `VIT: ${viewer.stats.vitality}`;
+  const enduranceDisplay = `END: ${viewer.stats.endurance}`;
+  const resistanceDisplay = `RES: ${viewer.stats.resistance}`;
+  const luckDisplay = `LCK: ${viewer.stats.luck}`;
+  const defenseDisplay = `DEF: ${viewer.stats.defense}`;
+  const load = describeLoad(viewer);
+  const loadDisplay = `LOAD: ${load.equipLoad}/${load.maxEquipLoad} ${load.tier}`;
+
+  let statsLine2 = "| ";
+  statsLine2 += faithDisplay + " | ";
+  statsLine2 += vitalityDisplay + " | ";
+  statsLine2 += enduranceDisplay + " | ";
+  statsLine2 += resistanceDisplay + " | ";
+  statsLine2 += luckDisplay + " | ";
+  statsLine2 += defenseDisplay + " | ";
+  statsLine2 += loadDisplay + " ";
+  return closeLine(statsLine2, width);
+}
+
+// SECTION 2: STATUS EFFECTS & MODIFIERS
+// Buffs and debuffs with their remaining duration
+function hudBuffs(game, viewer, width) {
+  return statusLine("BUFFS", viewer.buffs, width, game);
+}
+
+function hudDebuffs(game, viewer, width) {
+  return statusLine("DEBUFFS", viewer.debuffs, width, game);
+}
+
+// SECTION 3: EQUIPMENT & INVENTORY
+// First equipment line - head, chest, legs, arms
+function hudArmorLine(game, viewer, width) {
+  const headText = `HEAD: ${
+    viewer.equipment.head
+      ? `<span style="color: var(--item-color-armor)">${viewer.equipment.head.name}</span>`
+      : "None"
+  }`;
+  const chestText = `CHEST: ${
+    viewer.equipment.chest
+      ? `<span style="color: var(--item-color-armor)">${viewer.equipment.chest.name}</span>`
+      : "None"
+  }`;
+  const legsText = `LEGS: ${
+    viewer.equipment.legs
+      ? `<span style="color: var(--item-color-armor)">${viewer.equipment.legs.name}</span>`
+      : "None"
+  }`;
+  const armsText = `ARMS: ${
+    viewer.equipment.arms
+      ? `<span style="color: var(--item-color-armor)">${viewer.equipment.arms.name}</span>`
+      : "None"
+  }`;
+
+  let equipLine1 = "| ";
+  equipLine1 += headText + " | ";
+  equipLine1 += chestText + " | ";
+  equipLine1 += legsText + " | ";
+  equipLine1 += armsText + " ";
+  return closeLine(equipLine1, width);
+}
+
+// Second equipment line - right hand weapons (can have multiple)
+function hudRightHandLine(game, viewer, width) {
+  let rightHandItems = "None";
+  if (viewer.equipment.rightHand.length > 0) {
+    rightHandItems = viewer.equipment.rightHand
+      .map(
+        (item) =>
+          `<span style="color: var(--item-color-weapon)">${item.name}</span>`
+      )
+      .join(", ");
+  }
+  return closeLine(`| R-HAND: ${rightHandItems}`, width);
+}
+
+// Third equipment line - left hand weapons (can have multiple)
+function hudLeftHandLine(game, viewer, width) {
+  let leftHandItems = "None";
+  if (viewer.equipment.leftHand.length > 0) {
+    leftHandItems = viewer.equipment.leftHand
+      .map(
+        (item) =>
+          `<span style="color: var(--item-color-weapon)">${item.name}</span>`
+      )
+      .join(", ");
+  }
+  return closeLine(`| L-HAND: ${leftHandItems}`, width);
+}
+
+// Fourth equipment line - rings and talismans
+function hudAccessoryLine(game, viewer, width) {
+  const ringsText =
+    "RINGS: " +
+    (viewer.equipment.rings.filter((r) => r).length > 0
+      ? viewer.equipment.rings
+          .filter((r) => r)
+          .map(
+            (r) =>
+              `<span style="color: var(--item-color-ring)">${r.name}</span>`
+          )
+          .join(", ")
+      : "None");
+  const talismansText =
+    "TALISMANS: " +
+    (viewer.equipment.talismans.filter((t) => t).length > 0
+      ? viewer.equipment.talismans
+          .filter((t) => t)
+          .map(
+            (t) =>
+              `<span style="color: var(--item-color-talisman)">${t.name}</span>`
+          )
+          .join(", ")
+      : "None");
+
+  let equipLine4 = "| ";
+  equipLine4 += ringsText + " | ";
+  equipLine4 += talismansText + " ";
+  return closeLine(equipLine4, width);
+}
+
+// SECTION 4: RAW INVENTORY
+// Show all items currently in inventory
+function hudInventoryLine(game, viewer, width) {
+  return closeLine(renderInventory(viewer), width);
+}
+
+// Map characters that would be read as HTML
+function escapeTile(cell) {
+  if (cell === "<") return "&lt;";
+  if (cell === ">") return "&gt;";
+  if (cell === "&") return "&amp;";
+  return cell;
+}
+
+// HUD labels for the safe zone: the countdown and how far its edge is
+function zoneLabels(zone, viewer) {
+  let countdown;
+  if (zone.closed) {
+    countdown = "ZONE: CLOSED";
+  } else if (zone.shrinking) {
+    countdown = `ZONE ${zone.phase}: SHRINKING ${formatZoneTime(
+      zone.secondsLeft
+    )}`;
+  } else {
+    countdown = `ZONE ${zone.phase}: SHRINKS IN ${formatZoneTime(
+      zone.secondsLeft
+    )}`;
+  }
+
+  const distance = distanceToZoneEdge(zone, viewer.x, viewer.y);
+  const edge =
+    distance < 0
+      ? `OUTSIDE ZONE BY ${Math.ceil(-distance)}`
+      : `EDGE: ${Math.floor(distance)}`;
+  return [countdown, edge];
+}
+
+// Builds a horizontal HUD border with labels set into it,
+// e.g. "+- SEED: abc ---------+"
+function labeledBorder(labels, width) {
+  let line = "+";
+  for (const label of labels) {
+    line += `- ${label} `;
+  }
+  line += "-".repeat(Math.max(0, width - 1 - line.length));
+  return line + "+";
+}
+
+// Status effects that have a style of their own in the HUD
+const STYLED_STATUS_EFFECTS = ["poison", "freeze", "flame", "bleed"];
+
+// Remaining duration of a buff or debuff, e.g. "4s", or null if permanent
+function remainingDuration(status, game) {
+  if (status.ticksRemaining !== undefined) {
+    return `${Math.ceil((status.ticksRemaining * STATUS_TICK_MS) / 1000)}s`;
+  }
+  if (status.endTime) {
+    return `${Math.max(
+      0,
+      Math.ceil((status.endTime - getGameTime(game)) / 1000)
+    )}s`;
+  }
+  return null;
+}
+
+// One HUD line listing statuses, padded by their visible width
+function statusLine(label, statuses, width, game) {
+  let text = "None";
+  let html = "None";
+
+  if (statuses.length > 0) {
+    const parts = statuses.map((status) => {
+      const remaining = remainingDuration(status, game);
+      const stacks = status.stacks > 1 ? ` x${status.stacks}` : "";
+      const plain = `${status.name}${stacks}${
+        remaining ? ` (${remaining})` : ""
+      }`;
+      return {
+        plain: plain,
+        html: STYLED_STATUS_EFFECTS.includes(status.id)
+          ? `<span class="${status.id}">${plain}</span>`
+          : plain,
+      };
+    });
+    text = parts.map((part) => part.plain).join(", ");
+    html = parts.map((part) => part.html).join(", ");
+  }
+
+  const line = `| ${label}: ${text}`;
+  const paddingLength = width - 2 - line.length;
+  return `| ${label}: ${html}${" ".repeat(Math.max(0, paddingLength))}|`;
+}
+
+// Get the character to display for a being's attack animation
+function getAttackAnimationChar(x, y, being) {
+  // Get the current animation frame for the being's direction
+  const frame = getAttackFrame(being);
+  if (!frame) return null;
+
+  // Convert world coordinates to local grid coordinates
+  const localX = x - being.x + frame.origin.x;
+  const localY = y - being.y + frame.origin.y;
+
+  // Get the character from the animation frame
+  const char = (frame.grid[localY] || [])[localX];
+  if (!char) return null;
+
+  // Don't override the map with 'X' characters (background)
+  if (char === "X") return null;
+
+  return char;
+}
+
+// Export functions
+export {
+  HUD_HEIGHT,
+  DIRECTION_GLOWS,
+  getViewport,
+  getViewportCells,
+  getHUD,
+  cellToHTML,
+};
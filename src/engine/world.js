@@ -0,0 +1,322 @@
+/**
+ * World Rules for Dungeon Terrain
+ *
+ * Where beings are and how they get around: movement, stairs, spawning,
+ * lookups of who stands where, and the damage of the safe zone and of
+ * harmful tiles.
+ */
+
+import { DIRECTION_VECTORS, TOTAL_PLAYERS } from "./constants.js";
+import { deriveRNG } from "./random.js";
+import { pickupItem } from "./itemSystem.js";
+import { canCarry } from "./encumbrance.js";
+import { getZoneState, isOutsideZone } from "./safeZone.js";
+import { getTileAt, isNavigable, canEnterTile } from "./tiles.js";
+import { Bot } from "./entities.js";
+import { handleDeath } from "./combat.js";
+import { addBeing, emitGameEvent, getGameTime } from "./game.js";
+
+/**
+ * Moves a being one tile, turning it to face the way it moves. Picks up
+ * whatever lies on the new tile and takes any stairs there.
+ * @param {Object} game - The game
+ * @param {Being} being - The being to move
+ * @param {number} dx - Horizontal step
+ * @param {number} dy - Vertical step
+ * @returns {boolean} - Whether the being moved
+ */
+function moveBeing(game, being, dx, dy) {
+  // Heavier loads and slower tiles need longer between steps
+  if (!being.canStep()) {
+    console.log(`${being.name} can't step again yet`);
+    return false;
+  }
+
+  // Cancel any attack if the being moves
+  if (being.isAttacking) {
+    being.cancelAttack();
+  }
+
+  // Update direction based on movement
+  if (dx > 0) being.direction = 1; // Right
+  else if (dx < 0) being.direction = 3; // Left
+  else if (dy > 0) being.direction = 0; // Down
+  else if (dy < 0) being.direction = 2; // Up
+
+  const map = game.maps[being.floor];
+  let newX = being.x + dx;
+  let newY = being.y + dy;
+
+  console.log(
+    `${being.name} attempting to move from (${being.x}, ${being.y}) to (${newX}, ${newY})`
+  );
+
+  // Check if we're in bounds
+  if (newX < 0 || newX >= game.width || newY < 0 || newY >= game.height) {
+    console.log(`COLLISION: Attempted to move out of map bounds`);
+    return false;
+  }
+
+  // Get the character at the target position
+  const targetCell = map[newY * game.width + newX];
+  console.log(`Target cell contains: '${targetCell}'`);
+
+  const occupant = getBeingAt(game, being.floor, newX, newY);
+  if (occupant) {
+    console.log(`COLLISION: ${occupant.name} is in the way`);
+    // Still show the new facing direction
+    emitGameEvent(game, "change", { floor: being.floor });
+    return false;
+  }
+
+  if (!canEnterTile(game, being.floor, newX, newY)) {
+    console.log(
+      `COLLISION: Cannot move to non-navigable cell: '${targetCell}'`
+    );
+    return false;
+  }
+
+  console.log(
+    `Moving to ${
+      getTileAt(game, being.floor, newX, newY).name
+    }: '${targetCell}'`
+  );
+  being.x = newX;
+  being.y = newY;
+  being.lastMoveAt = getGameTime(game);
+
+  // Check if the being picked up an item
+  console.log(`Checking for item pickup at (${being.x}, ${being.y})`);
+  const mapItems = game.floorItems[being.floor];
+  const lying = mapItems.find(
+    (mapItem) => mapItem.x === being.x && mapItem.y === being.y
+  );
+  const itemPickedUp = pickupItem(
+    being,
+    map,
+    mapItems,
+    game.itemRNGs[being.floor]
+  );
+  if (itemPickedUp) {
+    console.log(`Successfully picked up an item at (${being.x}, ${being.y})`);
+  } else if (lying) {
+    // Left where it lies, too heavy to carry
+    emitGameEvent(game, "encumbered", { being: being, item: lying.item });
+  }
+
+  // If we're on a stair tile, handle level transition
+  const fromFloor = being.floor;
+  if (takeStairs(game, being)) {
+    console.log(`Took the stairs to map ${being.floor}`);
+    emitGameEvent(game, "change", { floor: fromFloor });
+  }
+
+  emitGameEvent(game, "change", { floor: being.floor });
+  return true;
+}
+
+// Put a being on a random floor tile of its current floor
+function placeOnRandomDot(game, being, rng = game.spawnRNG) {
+  const map = game.maps[being.floor];
+  while (true) {
+    let rx = Math.floor(rng.random() * game.width);
+    let ry = Math.floor(rng.random() * game.height);
+    if (map[ry * game.width + rx] === ".") {
+      being.x = rx;
+      being.y = ry;
+      break;
+    }
+  }
+}
+
+// Move a being standing on a stair to the stair it's linked to.
+// Arrives next to it if someone is already standing there.
+function takeStairs(game, being) {
+  const link = game.stairLinks[being.floor][being.y * game.width + being.x];
+  if (!link) return false;
+
+  being.cancelAttack();
+  const x = link.index % game.width;
+  const y = Math.floor(link.index / game.width);
+  // The stair itself, or the first free tile around it
+  let spot = { x, y };
+  for (const [dx, dy] of [[0, 0], ...DIRECTION_VECTORS]) {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (
+      nx >= 0 &&
+      nx < game.width &&
+      ny >= 0 &&
+      ny < game.height &&
+      isNavigable(game, link.floor, nx, ny) &&
+      !getBeingAt(game, link.floor, nx, ny)
+    ) {
+      spot = { x: nx, y: ny };
+      break;
+    }
+  }
+
+  being.floor = link.floor;
+  being.x = spot.x;
+  being.y = spot.y;
+  return true;
+}
+
+// Find the living being standing on a tile, if any
+function getBeingAt(game, floor, x, y) {
+  for (const being of game.beings) {
+    if (
+      being.floor === floor &&
+      being.x === x &&
+      being.y === y &&
+      !being.isDead()
+    ) {
+      return being;
+    }
+  }
+  return null;
+}
+
+// Nearest other living being on the same floor within a radius
+function findNearestBeing(game, from, radius) {
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const being of game.beings) {
+    if (being === from || being.floor !== from.floor || being.isDead()) {
+      continue;
+    }
+    const dist = Math.max(
+      Math.abs(being.x - from.x),
+      Math.abs(being.y - from.y)
+    );
+    if (dist <= radius && dist < nearestDist) {
+      nearest = being;
+      nearestDist = dist;
+    }
+  }
+  return nearest;
+}
+
+// Nearest item glyph on a floor within a radius, passing over items too
+// heavy for the carrier if one is given
+function findNearestItemTile(game, floor, x, y, radius, carrier = null) {
+  const map = game.maps[floor];
+  const mapItems = game.floorItems[floor];
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx >= game.width || ny < 0 || ny >= game.height) {
+        continue;
+      }
+      const cell = map[ny * game.width + nx];
+      if (cell !== "\\" && cell !== "&" && cell !== "$") continue;
+      const dist = Math.abs(dx) + Math.abs(dy);
+      if (dist >= nearestDist) continue;
+      if (carrier) {
+        const lying = mapItems.find(
+          (mapItem) => mapItem.x === nx && mapItem.y === ny
+        );
+        if (lying && !canCarry(carrier, lying.item)) continue;
+      }
+      nearest = { x: nx, y: ny };
+      nearestDist = dist;
+    }
+  }
+  return nearest;
+}
+
+// Random unoccupied floor tile on a map
+function findFreeSpawnTile(game, floor, rng) {
+  const map = game.maps[floor];
+  while (true) {
+    const x = rng.int(game.width);
+    const y = rng.int(game.height);
+    if (map[y * game.width + x] === "." && !getBeingAt(game, floor, x, y)) {
+      return { x, y };
+    }
+  }
+}
+
+// Fill the rest of the run with bots, spread evenly over the floors
+function spawnBots(game) {
+  const first = game.beings.length;
+  for (let i = first; i < TOTAL_PLAYERS; i++) {
+    const floor = i % game.maps.length;
+    const rng = deriveRNG(game.seed, "bot", i);
+    const spot = findFreeSpawnTile(game, floor, game.spawnRNG);
+    addBeing(game, new Bot(spot.x, spot.y, floor, `Bot ${i}`, rng));
+  }
+  console.log(
+    `Spawned ${game.beings.length - first} bots across ${
+      game.maps.length
+    } floors`
+  );
+}
+
+// Let every bot act once, announcing each floor where something happened
+function updateBots(game) {
+  const changed = new Set();
+  for (const being of game.beings) {
+    if (being instanceof Bot && being.think()) {
+      changed.add(being.floor);
+    }
+  }
+  for (const floor of changed) {
+    emitGameEvent(game, "change", { floor });
+  }
+}
+
+// Number of combatants still standing
+function countLivingBeings(game) {
+  return game.beings.filter((being) => !being.isDead()).length;
+}
+
+// Hurt every being caught outside the safe zone
+function applyZoneDamage(game) {
+  if (!game.safeZone) return;
+
+  const zone = getZoneState(game.safeZone);
+  for (const being of game.beings) {
+    // Someone has to be left standing
+    if (countLivingBeings(game) <= 1) return;
+    if (being.isDead() || !isOutsideZone(zone, being.x, being.y)) {
+      continue;
+    }
+    if (being.takeDamage(zone.damage)) {
+      handleDeath(game, being, null, "the storm");
+    }
+  }
+}
+
+// Hurt everyone standing on a harmful tile, such as lava, once a tick
+function applyTileDamage(game) {
+  for (const being of game.beings) {
+    if (being.isDead()) continue;
+    const tile = being.getTile();
+    if (tile.damage <= 0) continue;
+    // Someone has to be left standing
+    if (countLivingBeings(game) <= 1) return;
+    if (being.takeDamage(tile.damage)) {
+      handleDeath(game, being, null, tile.name);
+    }
+  }
+}
+
+// Export functions
+export {
+  moveBeing,
+  placeOnRandomDot,
+  takeStairs,
+  getBeingAt,
+  findNearestBeing,
+  findNearestItemTile,
+  findFreeSpawnTile,
+  spawnBots,
+  updateBots,
+  countLivingBeings,
+  applyZoneDamage,
+  applyTileDamage,
+};
@@ -0,0 +1,156 @@
+/**
+ * Multiplayer server for Dungeon Terrain
+ *
+ * Serves the browser client and runs one match at a time over WebSockets
+ * at /play. Start it with `npm run server`, then open
+ * http://localhost:8080/?online in a few tabs (add &name=... to pick a
+ * name), or point bin/bot-client.js at it.
+ */
+
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { serveStatic } from "../../serve.js";
+import { parseDungeonConfig } from "../engine/index.js";
+import {
+  MATCH_DEFAULTS,
+  createMatch,
+  joinMatch,
+  leaveMatch,
+  handleCommand,
+} from "./match.js";
+
+const USAGE = `Usage: node src/server/index.js [options]
+
+Options:
+  -p, --port <port>          Port to listen on (default: PORT or 8080)
+  -s, --seed <seed>          Use this seed for every match (default: random)
+  -d, --dungeon <file>       Build every match's dungeon from a JSON
+                             configuration file
+  -m, --min-players <n>      Players needed to start the countdown
+                             (default: ${MATCH_DEFAULTS.minPlayers})
+  -c, --countdown <seconds>  Lobby countdown (default: ${
+    MATCH_DEFAULTS.countdownMs / 1000
+  })
+  -v, --verbose              Show the engine's log
+  -h, --help                 Show this help`;
+
+/**
+ * Reads the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - { port, verbose, help, match } where match holds
+ *   options for createMatch
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      port: { type: "string", short: "p" },
+      seed: { type: "string", short: "s" },
+      dungeon: { type: "string", short: "d" },
+      "min-players": { type: "string", short: "m" },
+      countdown: { type: "string", short: "c" },
+      verbose: { type: "boolean", short: "v" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const number = (value, name) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return parsed;
+  };
+
+  const match = {};
+  if (values.seed) match.seed = values.seed;
+  if (values.dungeon) {
+    const { config, errors } = parseDungeonConfig(
+      readFileSync(values.dungeon, "utf8")
+    );
+    if (errors.length) {
+      throw new Error(`Invalid dungeon configuration:\n${errors.join("\n")}`);
+    }
+    match.dungeon = config;
+  }
+  if (values["min-players"]) {
+    match.minPlayers = Math.max(1, number(values["min-players"], "players"));
+  }
+  if (values.countdown) {
+    match.countdownMs = number(values.countdown, "countdown") * 1000;
+  }
+
+  return {
+    port: number(values.port || process.env.PORT || 8080, "port"),
+    verbose: Boolean(values.verbose),
+    help: Boolean(values.help),
+    match: match,
+  };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The engine logs every step of every being; keep only the server's own
+  // messages unless asked
+  const log = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+  const announce = (...args) => log(...args);
+
+  const match = createMatch(options.match);
+  const server = createServer(serveStatic);
+  const sockets = new WebSocketServer({ server, path: "/play" });
+
+  sockets.on("connection", (socket, request) => {
+    const { searchParams } = new URL(request.url, "http://localhost");
+    const client = {
+      name: searchParams.get("name"),
+      send: (message) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      },
+    };
+    joinMatch(match, client);
+    announce(`${client.name} connected`);
+
+    socket.on("message", (data) => {
+      let message = null;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        // handleCommand answers unreadable commands
+      }
+      handleCommand(match, client, message);
+    });
+
+    socket.on("close", () => {
+      leaveMatch(match, client);
+      announce(`${client.name} disconnected`);
+    });
+  });
+
+  server.listen(options.port, () => {
+    announce(
+      `Dungeon Terrain server at http://localhost:${options.port}/?online`
+    );
+  });
+}
+
+main();
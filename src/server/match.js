@@ -0,0 +1,423 @@
+/**
+ * Multiplayer Matches for Dungeon Terrain
+ *
+ * A match owns one game and everyone connected to it. It waits in a lobby
+ * until enough players have joined, runs the game with bots filling the
+ * remaining places, and starts over with a new dungeon once a winner is
+ * left. Clients only send commands; the match applies them to its game and
+ * broadcasts what changed (see engine/netState.js).
+ *
+ * Clients are plain objects, { name, send(message) }, so the match doesn't
+ * care whether they're WebSockets or scripted stand-ins.
+ *
+ * Messages to clients:
+ *   { type: "lobby", state, players, startsIn }   Waiting for a match
+ *   { type: "snapshot", ...snapshot }             A match began
+ *   { type: "delta", ...changes, self }           Changes since the last one
+ *   { type: "death", being, killer, cause }       Someone died (being ids)
+ *   { type: "encumbered", item }                  Your pickup was too heavy
+ *   { type: "gameover", winner, nextMatchIn }     The match is over
+ *   { type: "error", message }                    A command was refused
+ *
+ * Messages from clients:
+ *   { type: "move", dx, dy }   Step one tile
+ *   { type: "attack" }         Attack in the facing direction
+ *   { type: "equip", index, slot, slotIndex }
+ *                              Equip the inventory item at index, to the
+ *                              given slot if there is one, otherwise to a
+ *                              free one
+ *   { type: "unequip", slot, slotIndex }
+ *                              Put a worn item back in the inventory
+ *   { type: "drop", index }    Drop the inventory item at index
+ *   { type: "start" }          Start the match without waiting (lobby only)
+ */
+
+import {
+  TOTAL_PLAYERS,
+  EQUIPMENT_SLOTS,
+  randomSeed,
+  DUNGEON_CONFIG,
+  tryEquipItem,
+  equipItem,
+  unequipItem,
+  dropItem,
+  Player,
+  createGame,
+  addBeing,
+  onGameEvent,
+  emitGameEvent,
+  startGameLoop,
+  stopGameLoop,
+  moveBeing,
+  placeOnRandomDot,
+  spawnBots,
+  handleDeath,
+  createSnapshot,
+  createChangeTracker,
+  collectChanges,
+  describeSelf,
+} from "../engine/index.js";
+
+// Defaults for createMatch
+const MATCH_DEFAULTS = {
+  seed: null, // Random for every match when not set
+  dungeon: DUNGEON_CONFIG, // What every match's dungeon is made of
+  minPlayers: 2, // Players needed before the countdown starts
+  countdownMs: 10000, // Lobby countdown once enough players are in
+  restartMs: 15000, // Time between a match ending and the next lobby
+};
+
+const BROADCAST_MS = 50; // How often changes are sent to clients
+const MOVE_INTERVAL_MS = 60; // Fastest a player may step, like key repeat
+const MAX_NAME_LENGTH = 16;
+
+/**
+ * Creates a match waiting in its lobby
+ * @param {Object} options - Any of MATCH_DEFAULTS
+ * @returns {Object} - The match
+ */
+function createMatch(options = {}) {
+  return {
+    options: { ...MATCH_DEFAULTS, ...options },
+    state: "lobby", // lobby, running or over
+    clients: new Set(),
+    game: null,
+    tracker: null,
+    countdown: null, // Lobby countdown timer
+    startsAt: null,
+    broadcastTimer: null,
+    restartTimer: null,
+    nextGuest: 1,
+  };
+}
+
+/**
+ * Adds a client. Players who join a running match wait in the lobby for
+ * the next one.
+ * @param {Object} match - The match
+ * @param {Object} client - { name, send }
+ */
+function joinMatch(match, client) {
+  client.name = uniqueName(match, client.name);
+  client.player = null;
+  client.lastMove = 0;
+  match.clients.add(client);
+  console.log(`${client.name} joined (${match.clients.size} connected)`);
+
+  if (match.state === "lobby") scheduleStart(match);
+  broadcastLobby(match);
+}
+
+/**
+ * Removes a client. A player leaving a running match dies where they stand.
+ * @param {Object} match - The match
+ * @param {Object} client - A client added with joinMatch
+ */
+function leaveMatch(match, client) {
+  if (!match.clients.delete(client)) return;
+  console.log(`${client.name} left (${match.clients.size} connected)`);
+
+  if (match.state === "running" && client.player) {
+    if (!client.player.isDead()) {
+      client.player.stats.health = 0;
+      handleDeath(match.game, client.player, null, "leaving");
+    }
+    // Nobody left to play for
+    if (![...match.clients].some((other) => other.player)) {
+      console.log("Every player has left, back to the lobby");
+      resetToLobby(match);
+      return;
+    }
+  }
+
+  if (match.state === "lobby") scheduleStart(match);
+  broadcastLobby(match);
+}
+
+/**
+ * Applies one command from a client
+ * @param {Object} match - The match
+ * @param {Object} client - The client that sent it
+ * @param {Object} message - The parsed command
+ */
+function handleCommand(match, client, message) {
+  if (!message || typeof message.type !== "string") {
+    client.send({ type: "error", message: "Unreadable command" });
+    return;
+  }
+
+  if (message.type === "start") {
+    if (match.state === "lobby" && match.clients.size > 0) startMatch(match);
+    return;
+  }
+
+  const player = client.player;
+  if (match.state !== "running" || !player) {
+    client.send({ type: "error", message: "Not in a running match" });
+    return;
+  }
+
+  // The dead and the stunned can't move or swing
+  if (player.isDead() || player.isStunned()) return;
+
+  switch (message.type) {
+    case "move": {
+      const { dx, dy } = message;
+      if (
+        !Number.isInteger(dx) ||
+        !Number.isInteger(dy) ||
+        Math.abs(dx) + Math.abs(dy) !== 1
+      ) {
+        client.send({ type: "error", message: "Moves are one tile" });
+        return;
+      }
+      const now = Date.now();
+      if (now - client.lastMove < MOVE_INTERVAL_MS) return;
+      client.lastMove = now;
+      moveBeing(match.game, player, dx, dy);
+      break;
+    }
+    case "attack":
+      player.attack();
+      break;
+    case "equip": {
+      if (!isInventoryIndex(player, message.index)) {
+        client.send({ type: "error", message: "No such inventory item" });
+        return;
+      }
+      const item = player.inventory[message.index];
+      const equipped =
+        message.slot === undefined
+          ? tryEquipItem(player, item, message.index)
+          : equipItem(player, message.index, message.slot, message.slotIndex);
+      if (equipped) {
+        emitGameEvent(match.game, "change", { floor: player.floor });
+      } else if (message.slot !== undefined) {
+        client.send({ type: "error", message: "That doesn't go there" });
+      }
+      break;
+    }
+    case "unequip": {
+      const { slot, slotIndex = 0 } = message;
+      if (
+        !EQUIPMENT_SLOTS.some(
+          (entry) => entry.slot === slot && entry.index === slotIndex
+        )
+      ) {
+        client.send({ type: "error", message: "No such equipment slot" });
+        return;
+      }
+      if (unequipItem(player, slot, slotIndex)) {
+        emitGameEvent(match.game, "change", { floor: player.floor });
+      }
+      break;
+    }
+    case "drop": {
+      if (!isInventoryIndex(player, message.index)) {
+        client.send({ type: "error", message: "No such inventory item" });
+        return;
+      }
+      const dropped = dropItem(
+        player,
+        match.game.maps[player.floor],
+        match.game.floorItems[player.floor],
+        message.index
+      );
+      if (dropped) {
+        emitGameEvent(match.game, "change", { floor: player.floor });
+      } else {
+        client.send({ type: "error", message: "Nothing can be dropped here" });
+      }
+      break;
+    }
+    default:
+      client.send({
+        type: "error",
+        message: `Unknown command: ${message.type}`,
+      });
+  }
+}
+
+// Start the countdown once enough players are waiting, stop it if they leave
+function scheduleStart(match) {
+  const ready = match.clients.size >= match.options.minPlayers;
+  if (ready && !match.countdown) {
+    match.startsAt = Date.now() + match.options.countdownMs;
+    match.countdown = setTimeout(
+      () => startMatch(match),
+      match.options.countdownMs
+    );
+  } else if (!ready && match.countdown) {
+    clearTimeout(match.countdown);
+    match.countdown = null;
+    match.startsAt = null;
+  }
+}
+
+/**
+ * Generates the dungeon, puts every waiting client in it and starts the
+ * game and the broadcasts
+ * @param {Object} match - A match in its lobby
+ */
+function startMatch(match) {
+  clearTimeout(match.countdown);
+  match.countdown = null;
+  match.startsAt = null;
+
+  const game = createGame(
+    match.options.seed || randomSeed(),
+    match.options.dungeon
+  );
+  const clients = [...match.clients].slice(0, TOTAL_PLAYERS);
+  for (const client of clients) {
+    client.player = addBeing(game, new Player(0, 0, client.name));
+    placeOnRandomDot(game, client.player);
+  }
+  spawnBots(game);
+
+  onGameEvent(game, "death", ({ being, killer, cause }) => {
+    broadcast(match, {
+      type: "death",
+      being: game.beings.indexOf(being),
+      killer: killer ? game.beings.indexOf(killer) : null,
+      cause: cause,
+    });
+  });
+  onGameEvent(game, "encumbered", ({ being, item }) => {
+    const client = clients.find((candidate) => candidate.player === being);
+    if (client) client.send({ type: "encumbered", item: item.id });
+  });
+  onGameEvent(game, "gameover", ({ winner }) => endMatch(match, winner));
+
+  match.game = game;
+  match.state = "running";
+  match.tracker = createChangeTracker(game);
+  console.log(
+    `Match started with seed "${game.seed}": ${clients.length} players, ` +
+      `${game.beings.length - clients.length} bots`
+  );
+
+  for (const client of clients) {
+    client.sentSelf = JSON.stringify(describeSelf(client.player));
+    client.send({ type: "snapshot", ...createSnapshot(game, client.player) });
+  }
+  broadcastLobby(match);
+
+  startGameLoop(game);
+  match.broadcastTimer = setInterval(
+    () => broadcastChanges(match),
+    BROADCAST_MS
+  );
+}
+
+// Announce the winner and open the next lobby after a while
+function endMatch(match, winner) {
+  if (match.state !== "running") return;
+  match.state = "over";
+  broadcastChanges(match);
+  console.log(`Match over, ${winner.name} won`);
+  broadcast(match, {
+    type: "gameover",
+    winner: match.game.beings.indexOf(winner),
+    nextMatchIn: Math.ceil(match.options.restartMs / 1000),
+  });
+  match.restartTimer = setTimeout(
+    () => resetToLobby(match),
+    match.options.restartMs
+  );
+}
+
+// Drop the current game and gather everyone in a fresh lobby
+function resetToLobby(match) {
+  clearTimeout(match.restartTimer);
+  clearInterval(match.broadcastTimer);
+  if (match.game) stopGameLoop(match.game);
+  match.game = null;
+  match.tracker = null;
+  match.state = "lobby";
+  for (const client of match.clients) client.player = null;
+
+  scheduleStart(match);
+  broadcastLobby(match);
+}
+
+/**
+ * Sends everyone the public changes since the last broadcast, plus their
+ * own player's private state whenever it changed
+ * @param {Object} match - A running match
+ */
+function broadcastChanges(match) {
+  if (!match.game) return;
+  const changes = collectChanges(match.tracker, match.game);
+
+  for (const client of match.clients) {
+    if (!client.player) continue;
+    const self = describeSelf(client.player);
+    const selfJSON = JSON.stringify(self);
+    const selfChanged = selfJSON !== client.sentSelf;
+    if (!changes && !selfChanged) continue;
+
+    client.sentSelf = selfJSON;
+    client.send({
+      type: "delta",
+      ...changes,
+      ...(selfChanged ? { self: self } : {}),
+    });
+  }
+}
+
+// Tell everyone who's waiting when the next match starts. Players in the
+// running match don't need to know.
+function broadcastLobby(match) {
+  const message = {
+    type: "lobby",
+    state: match.state,
+    players: [...match.clients].map((client) => client.name),
+    minPlayers: match.options.minPlayers,
+    startsIn: match.startsAt
+      ? Math.max(0, Math.ceil((match.startsAt - Date.now()) / 1000))
+      : null,
+  };
+  for (const client of match.clients) {
+    if (!client.player) client.send(message);
+  }
+}
+
+function broadcast(match, message) {
+  for (const client of match.clients) client.send(message);
+}
+
+// Whether a command's index points at an item in the player's inventory;
+// anything else, such as "length", must never reach the inventory
+function isInventoryIndex(player, index) {
+  return (
+    Number.isInteger(index) && index >= 0 && index < player.inventory.length
+  );
+}
+
+// Trimmed, length-limited and different from everyone else's
+function uniqueName(match, requested) {
+  let base = String(requested || "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  // Bots are called "Bot <n>", keep players apart from them
+  if (!base || /^bot\b/i.test(base)) base = `Player ${match.nextGuest++}`;
+
+  const taken = new Set([...match.clients].map((client) => client.name));
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = `${base} (${n})`;
+  return name;
+}
+
+// Export functions
+export {
+  MATCH_DEFAULTS,
+  BROADCAST_MS,
+  MOVE_INTERVAL_MS,
+  createMatch,
+  joinMatch,
+  leaveMatch,
+  handleCommand,
+  startMatch,
+  broadcastChanges,
+};
@@ -0,0 +1,127 @@
+/**
+ * ANSI output for the terminal client
+ *
+ * Turns the HTML that getViewport writes for the browser's <pre> into lines
+ * of text with ANSI colour codes. Each class gets the colours index.html
+ * gives it; backgrounds that are translucent on the page are blended onto
+ * the black background here, since terminals have no alpha.
+ */
+
+const RESET = "\x1b[0m";
+
+// The classes of index.html as terminal styles
+const ANSI_STYLES = {
+  upstairs: { color: "#ffcc00", background: "#4d2e00", bold: true },
+  downstairs: { color: "#66ffff", background: "#003d4d", bold: true },
+  player: { color: "#ffffff", bold: true },
+  bot: { color: "#ff5555", bold: true },
+  remembered: { color: "#444444" },
+  storm: { color: "#c9a0ff", background: "#310e46" },
+  weapon: { color: "#ffcc00", bold: true },
+  armor: { color: "#00ccff" },
+  trinket: { color: "#ff00ff" },
+  poison: { color: "#5cff00" },
+  freeze: { color: "#00ffff" },
+  flame: { color: "#ff5500" },
+  bleed: { color: "#ff0000" },
+  "inventory-item": { underline: true },
+};
+
+// The --item-color-* variables of index.html, used by inline styles
+const ITEM_COLORS = {
+  weapon: "#ffcc00",
+  armor: "#00ccff",
+  ring: "#ff00ff",
+  talisman: "#ff00ff",
+  consumable: "#00ff00",
+};
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', "#39": "'" };
+
+/**
+ * Converts viewport HTML to terminal lines
+ * @param {string} html - Output of getViewport
+ * @param {number} width - Terminal width; lines are padded or cut to it
+ * @returns {Array} - One string per line, each ending with a reset
+ */
+function htmlToANSI(html, width) {
+  const lines = [];
+  const stack = [{}]; // Style of each open span, innermost last
+  let line = "";
+  let length = 0;
+  let current = RESET;
+
+  // Append one visible character in the innermost style
+  const put = (char) => {
+    if (length >= width) return;
+    const code = styleToANSI(stack[stack.length - 1]);
+    if (code !== current) {
+      line += code;
+      current = code;
+    }
+    line += char;
+    length++;
+  };
+  const endLine = () => {
+    line += RESET + " ".repeat(Math.max(0, width - length));
+    lines.push(line);
+    line = "";
+    length = 0;
+    current = RESET;
+  };
+
+  // Tags may span several lines (see renderInventory), so they're matched
+  // across the whole text before it's split into lines
+  const pattern = /<span([^>]*)>|<\/span>|&(\w+|#\d+);|\n|[^<&\n]/g;
+  for (const [token, attributes, entity] of html.matchAll(pattern)) {
+    if (token === "\n") {
+      endLine();
+    } else if (token === "</span>") {
+      if (stack.length > 1) stack.pop();
+    } else if (token.startsWith("<span")) {
+      stack.push({ ...stack[stack.length - 1], ...parseSpan(attributes) });
+    } else if (entity !== undefined) {
+      put(ENTITIES[entity] || "?");
+    } else {
+      put(token);
+    }
+  }
+  endLine();
+
+  return lines;
+}
+
+// The terminal style of a span from its class and inline colour
+function parseSpan(attributes) {
+  const style = {};
+  const classes = attributes.match(/class="([^"]*)"/);
+  for (const name of classes ? classes[1].split(/\s+/) : []) {
+    Object.assign(style, ANSI_STYLES[name]);
+  }
+  const itemColor = attributes.match(/color: var\(--item-color-(\w+)\)/);
+  if (itemColor && ITEM_COLORS[itemColor[1]]) {
+    style.color = ITEM_COLORS[itemColor[1]];
+  }
+  const tileColor = attributes.match(/style="color: (#[0-9a-fA-F]{6})/);
+  if (tileColor) style.color = tileColor[1];
+  return style;
+}
+
+// Escape code for a style, in 24-bit colour
+function styleToANSI(style) {
+  let code = RESET;
+  if (style.bold) code += "\x1b[1m";
+  if (style.underline) code += "\x1b[4m";
+  if (style.color) code += `\x1b[38;2;${hexToRGB(style.color)}m`;
+  if (style.background) code += `\x1b[48;2;${hexToRGB(style.background)}m`;
+  return code;
+}
+
+// "#ffcc00" to "255;204;0"
+function hexToRGB(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].join(";");
+}
+
+// Export functions
+export { RESET, ANSI_STYLES, ITEM_COLORS, htmlToANSI };
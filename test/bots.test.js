@@ -0,0 +1,67 @@
+/**
+ * Bot tests for Dungeon Terrain
+ *
+ * What a bot alone on an empty floor decides to do about the items lying
+ * around it.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createGame,
+  addBeing,
+  createRNG,
+  Bot,
+  findItemById,
+  ITEM_SYMBOLS,
+} from "../src/engine/index.js";
+
+// The engine logs every step
+console.log = () => {};
+
+// A bot on an empty floor
+function createLoneBot() {
+  const config = createDungeonConfig({
+    width: 40,
+    height: 40,
+    floors: ["arena"],
+  });
+  const game = createGame("loot", config);
+  game.maps[0].fill(".");
+  game.floorItems[0].length = 0;
+  const bot = addBeing(game, new Bot(20, 20, 0, "Bot", createRNG("bot")));
+  return { game, bot };
+}
+
+// Lay an item on the floor, weighing as much as given
+function layItem(game, x, y, weight) {
+  const item = { ...findItemById("dagger_silver"), weight: weight };
+  const symbol = ITEM_SYMBOLS[item.type];
+  game.floorItems[0].push({ x, y, item, symbol });
+  game.maps[0][y * game.width + x] = symbol;
+}
+
+test("a bot goes for an item it can carry", () => {
+  const { game, bot } = createLoneBot();
+  layItem(game, 23, 20, 1);
+  bot.think();
+  assert.equal(bot.state, "loot");
+  assert.deepEqual([bot.x, bot.y], [21, 20]);
+});
+
+test("a bot passes over an item too heavy for it", () => {
+  const { game, bot } = createLoneBot();
+  layItem(game, 23, 20, 1000);
+  bot.think();
+  assert.equal(bot.state, "roam");
+});
+
+test("a bot goes for a lighter item further off instead", () => {
+  const { game, bot } = createLoneBot();
+  layItem(game, 22, 20, 1000);
+  layItem(game, 20, 24, 1);
+  bot.think();
+  assert.equal(bot.state, "loot");
+  assert.deepEqual([bot.x, bot.y], [20, 21]);
+});
@@ -0,0 +1,66 @@
+/**
+ * Combat tests for Dungeon Terrain
+ *
+ * A thrust played out frame by frame on an open floor, to see how far the
+ * blade's hit pushes its target.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createGame,
+  addBeing,
+  Player,
+  findItemById,
+} from "../src/engine/index.js";
+
+// The engine logs every hit
+console.log = () => {};
+
+// Two players on an empty floor: one with a dagger facing right, the other
+// where only the last frame of its thrust reaches, three tiles out
+function createDuel() {
+  const config = createDungeonConfig({
+    width: 30,
+    height: 30,
+    floors: ["arena"],
+  });
+  const game = createGame("duel", config);
+  game.maps[0].fill(".");
+  const attacker = addBeing(game, new Player(10, 10, "Attacker"));
+  attacker.equipment.rightHand = [findItemById("dagger_silver")];
+  const target = addBeing(game, new Player(13, 11, "Target"));
+  target.stats.maxHealth = target.stats.health = 1000;
+  return { game, attacker, target };
+}
+
+// Thrust and play every frame
+function thrust(attacker) {
+  assert.ok(attacker.attack());
+  assert.equal(attacker.attackKind, "thrust");
+  attacker.advanceAttack(1000);
+}
+
+test("a thrust knocks its target back one tile", () => {
+  const { attacker, target } = createDuel();
+  thrust(attacker);
+  assert.ok(target.stats.health < 1000);
+  assert.deepEqual([target.x, target.y], [14, 12]);
+});
+
+test("a wall stops the knockback", () => {
+  const { game, attacker, target } = createDuel();
+  game.maps[0][12 * game.width + 14] = "#";
+  thrust(attacker);
+  assert.ok(target.stats.health < 1000);
+  assert.deepEqual([target.x, target.y], [13, 11]);
+});
+
+test("another being stops the knockback", () => {
+  const { game, attacker, target } = createDuel();
+  const behind = addBeing(game, new Player(14, 12, "Behind"));
+  thrust(attacker);
+  assert.deepEqual([target.x, target.y], [13, 11]);
+  assert.deepEqual([behind.x, behind.y], [14, 12]);
+});
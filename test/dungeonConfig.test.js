@@ -0,0 +1,71 @@
+/**
+ * Dungeon configuration tests for Dungeon Terrain
+ *
+ * Configurations come from JSON files and page URLs, so anything in them
+ * can be wrong; none of it may reach the generators.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DUNGEON_LIMITS,
+  createDungeonConfig,
+  checkDungeonConfig,
+  parseDungeonConfig,
+  dungeonConfigFromParams,
+} from "../src/engine/index.js";
+
+test("floorCount repeats the floors, or cuts them short", () => {
+  const config = createDungeonConfig({
+    floors: ["caves", "maze"],
+    floorCount: 5,
+  });
+  assert.deepEqual(
+    config.floors.map((floor) => floor.generator),
+    ["caves", "maze", "caves", "maze", "caves"]
+  );
+  assert.deepEqual(checkDungeonConfig(config), []);
+  assert.equal(createDungeonConfig({ floorCount: 2 }).floors.length, 2);
+});
+
+test("a floorCount out of range builds no floors and is reported", () => {
+  const [, max] = DUNGEON_LIMITS.floors;
+  for (const floorCount of [1e9, max + 1, 0, -3, 2.5, NaN]) {
+    const config = createDungeonConfig({ floorCount });
+    assert.deepEqual(config.floors, [], `floorCount ${floorCount}`);
+    assert.equal(checkDungeonConfig(config).length, 1);
+  }
+  const params = new URLSearchParams("floorCount=1e9");
+  const config = createDungeonConfig(dungeonConfigFromParams(params));
+  assert.match(checkDungeonConfig(config)[0], /floors/);
+});
+
+test("generator parameters are held to their ranges", () => {
+  const check = (floor) =>
+    parseDungeonConfig(JSON.stringify({ floors: [floor] })).errors;
+  assert.deepEqual(
+    check({ generator: "caves", params: { fillRatio: 0.5, smoothing: 3 } }),
+    []
+  );
+  assert.deepEqual(check({ generator: "urban", params: {} }), []);
+  assert.match(
+    check({ generator: "caves", params: { fillRatio: 1.5 } })[0],
+    /fillRatio has to be a number from 0 to 1/
+  );
+  assert.match(
+    check({ generator: "maze", params: { rooms: 10.5 } })[0],
+    /rooms has to be a whole number/
+  );
+  assert.match(
+    check({ generator: "maze", params: { rooms: "many" } })[0],
+    /rooms/
+  );
+  assert.match(
+    check({ generator: "urban", params: { blockSize: 0 } })[0],
+    /blockSize/
+  );
+  assert.match(
+    check({ generator: "maze", params: { room: 10 } })[0],
+    /maze has no parameter "room" \(only rooms\)/
+  );
+});
@@ -0,0 +1,67 @@
+/**
+ * Encumbrance tests for Dungeon Terrain
+ *
+ * How fast beings get about: their own pace, their load and the tiles
+ * they step off.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createGame,
+  addBeing,
+  stepGame,
+  createRNG,
+  Player,
+  Bot,
+  BASE_STEP_MS,
+  AI_TICK_MS,
+  getStepDelay,
+} from "../src/engine/index.js";
+
+// The engine logs every step
+console.log = () => {};
+
+// A bot alone on a floor of nothing but one tile
+function createLoneBot(glyph) {
+  const config = createDungeonConfig({
+    width: 40,
+    height: 40,
+    floors: ["arena"],
+  });
+  const game = createGame("pace", config);
+  game.maps[0].fill(glyph);
+  const bot = addBeing(game, new Bot(20, 20, 0, "Bot", createRNG("bot")));
+  return { game, bot };
+}
+
+// Steps a bot takes in some game time
+function countSteps(game, bot, ms) {
+  let steps = 0;
+  for (let time = 0; time < ms; time += 50) {
+    const [x, y] = [bot.x, bot.y];
+    stepGame(game);
+    if (bot.x !== x || bot.y !== y) steps++;
+  }
+  return steps;
+}
+
+test("a step off a tile takes its moveCost times a plain step", () => {
+  const player = new Player(0, 0);
+  assert.equal(getStepDelay(player), BASE_STEP_MS);
+  assert.equal(getStepDelay(player, 2), BASE_STEP_MS * 2);
+  assert.equal(getStepDelay(player, 0.75), BASE_STEP_MS * 0.75);
+
+  const bot = new Bot(0, 0, 0, "Bot", createRNG("bot"));
+  assert.equal(getStepDelay(bot), AI_TICK_MS);
+  assert.equal(getStepDelay(bot, 2), AI_TICK_MS * 2);
+});
+
+test("a bot wades through shallow water at half its pace on floor", () => {
+  const floor = createLoneBot(".");
+  const water = createLoneBot(",");
+  const ms = 40 * AI_TICK_MS;
+  assert.equal(countSteps(floor.game, floor.bot, ms), 40);
+  assert.equal(countSteps(water.game, water.bot, ms), 20);
+});
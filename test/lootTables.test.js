@@ -0,0 +1,72 @@
+/**
+ * Loot table tests for Dungeon Terrain
+ *
+ * Tables can be read from JSON files, so everything wrong in one has to
+ * be caught before any floor is filled from it.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LOOT_TABLE,
+  createLootTable,
+  checkLootTable,
+} from "../src/engine/index.js";
+
+// Errors in a table made from some overrides
+function check(overrides) {
+  return checkLootTable({ ...LOOT_TABLE, ...overrides });
+}
+
+test("the default table and partial ones built on it are valid", () => {
+  assert.deepEqual(checkLootTable(LOOT_TABLE), []);
+  const table = createLootTable({
+    categories: { ring: 0 },
+    rarities: { legendary: 2 },
+    floors: { 3: { guaranteed: [{ id: "dagger_silver" }] } },
+  });
+  assert.equal(table.categories.ring, 0);
+  assert.equal(table.categories.weapon, LOOT_TABLE.categories.weapon);
+});
+
+test("weights have to be numbers of 0 or more", () => {
+  assert.match(check({ categories: { weapon: -1 } })[0], /weapon/);
+  assert.match(check({ categories: { weapon: "40" } })[0], /weapon/);
+  assert.match(check({ rarities: { rare: [1, 2, 3] } })[0], /rare/);
+  assert.match(check({ rarities: { rare: [] } })[0], /rare/);
+  assert.match(check({ rarities: { rare: [1, NaN] } })[0], /rare/);
+  assert.match(check({ caps: { epic: 1.5 } })[0], /cap on epic/);
+  assert.match(
+    check({ rules: [{ type: "ring", multiplier: -2 }] })[0],
+    /multiplier/
+  );
+});
+
+test("kinds, rarities, items and floors have to exist", () => {
+  assert.match(check({ categories: { potion: 5 } })[0], /"potion"/);
+  assert.match(check({ rarities: { mythic: 1 } })[0], /"mythic"/);
+  assert.match(check({ caps: { mythic: 1 } })[0], /"mythic"/);
+  assert.match(
+    check({ guaranteed: [{ id: "no_such_item" }] })[0],
+    /"no_such_item"/
+  );
+  assert.match(
+    check({ rules: [{ ids: ["dagger_silver", "nope"], multiplier: 2 }] })[0],
+    /"nope"/
+  );
+  assert.match(check({ floors: { deep: {} } })[0], /No such floor: deep/);
+});
+
+test("theme and floor changes are checked like the table", () => {
+  assert.match(
+    check({ themes: { forest: { categories: { weapon: -1 } } } })[0],
+    /^Theme forest: /
+  );
+  assert.match(check({ floors: { 2: [] } })[0], /^Floor 2: /);
+  assert.match(check({ rules: {} })[0], /rules has to be a list/);
+  assert.throws(
+    () => createLootTable({ guaranteed: [{ rarity: "mythic" }] }),
+    /unknown rarity "mythic"/
+  );
+  assert.throws(() => createLootTable([]), /A loot table is an object/);
+});
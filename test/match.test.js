@@ -0,0 +1,87 @@
+/**
+ * Multiplayer match tests for Dungeon Terrain
+ *
+ * Commands as a client would send them to the server, with a stand-in
+ * client that keeps what it's sent. Indexes come straight from the
+ * network, so only ones that point into the inventory may be used.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDungeonConfig, findItemById } from "../src/engine/index.js";
+import {
+  createMatch,
+  joinMatch,
+  leaveMatch,
+  handleCommand,
+} from "../src/server/match.js";
+
+// The server logs everyone who comes and goes
+console.log = () => {};
+
+// Run a test in a match of one player, started at once, who holds a
+// dagger; leaving it again stops its timers
+function withMatch(run) {
+  const match = createMatch({
+    seed: "match",
+    dungeon: createDungeonConfig({
+      width: 40,
+      height: 40,
+      floors: ["arena"],
+    }),
+  });
+  const client = { name: "Tester", sent: [] };
+  client.send = (message) => client.sent.push(message);
+  joinMatch(match, client);
+  handleCommand(match, client, { type: "start" });
+  try {
+    const player = client.player;
+    player.inventory.push({ ...findItemById("dagger_silver"), quantity: 1 });
+    client.sent.length = 0;
+    run(match, client, player);
+  } finally {
+    leaveMatch(match, client);
+  }
+}
+
+// Indexes that don't point at an inventory item, for an inventory of one
+const BAD_INDEXES = [1, -1, 0.5, "0", "length", "__proto__", null, undefined];
+
+test("equip refuses anything but an inventory position", () => {
+  withMatch((match, client, player) => {
+    for (const index of BAD_INDEXES) {
+      handleCommand(match, client, { type: "equip", index });
+      assert.deepEqual(client.sent.pop(), {
+        type: "error",
+        message: "No such inventory item",
+      });
+    }
+    assert.equal(player.inventory.length, 1);
+
+    handleCommand(match, client, { type: "equip", index: 0 });
+    assert.equal(client.sent.length, 0);
+    assert.equal(player.inventory.length, 0);
+    assert.equal(player.getCurrentWeapon().id, "dagger_silver");
+  });
+});
+
+test("drop refuses anything but an inventory position", () => {
+  withMatch((match, client, player) => {
+    const floorItems = match.game.floorItems[player.floor];
+    const lying = floorItems.length;
+    for (const index of BAD_INDEXES) {
+      handleCommand(match, client, { type: "drop", index });
+      assert.deepEqual(client.sent.pop(), {
+        type: "error",
+        message: "No such inventory item",
+      });
+    }
+    assert.equal(player.inventory.length, 1);
+    assert.equal(floorItems.length, lying);
+
+    handleCommand(match, client, { type: "drop", index: 0 });
+    assert.equal(client.sent.length, 0);
+    assert.equal(player.inventory.length, 0);
+    assert.equal(floorItems.length, lying + 1);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Save system tests for Dungeon Terrain
+ *
+ * Saves from every earlier version have to load as today's: a save taken
+ * back to version 1 by hand migrates to the very save it started as.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SAVE_VERSION,
+  createGame,
+  addBeing,
+  placeOnRandomDot,
+  spawnBots,
+  Player,
+  serializeGame,
+  migrateSave,
+  parseSave,
+  restoreGame,
+} from "../src/engine/index.js";
+
+// The engine logs every migration
+console.log = () => {};
+console.error = () => {};
+
+// A save of a new game in the default dungeon, which every save before
+// configurable dungeons was, as read back from its file
+function createSave() {
+  const game = createGame("saved");
+  const player = addBeing(game, new Player(0, 0));
+  placeOnRandomDot(game, player);
+  spawnBots(game);
+  return JSON.parse(JSON.stringify({ ...serializeGame(game), savedAt: 0 }));
+}
+
+// The same save as version 1 wrote it: fog of war on the game, no tile
+// wear, configuration or combat rolls
+function toVersion1(save) {
+  const { config, tileWear, combatRNG, ...rest } = save;
+  const player = save.beings.find((being) => !being.bot);
+  return {
+    ...rest,
+    version: 1,
+    exploredTiles: player.exploredTiles,
+    beings: save.beings.map(({ exploredTiles, ...being }) => being),
+  };
+}
+
+test("a version 1 save migrates to the save it was", () => {
+  assert.equal(SAVE_VERSION, 5);
+  const save = createSave();
+  assert.deepEqual(migrateSave(toVersion1(save)), save);
+});
+
+test("a migrated save restores and saves again unchanged", () => {
+  const save = createSave();
+  const text = JSON.stringify(toVersion1(save));
+  const game = restoreGame(parseSave(text));
+  assert.ok(game);
+  assert.equal(
+    JSON.stringify({ ...serializeGame(game), savedAt: 0 }),
+    JSON.stringify(save)
+  );
+});
+
+test("saves that can't be migrated are refused", () => {
+  assert.equal(
+    migrateSave({ ...createSave(), version: SAVE_VERSION + 1 }),
+    null
+  );
+  assert.equal(migrateSave({ version: 0 }), null);
+  assert.equal(migrateSave({ seed: "no version" }), null);
+  assert.equal(parseSave("not json"), null);
+});
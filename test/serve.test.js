@@ -0,0 +1,44 @@
+/**
+ * Development server tests for Dungeon Terrain
+ *
+ * Requests answered by serveStatic directly, with a response that only
+ * keeps what was written to it.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serveStatic } from "../serve.js";
+
+// The status a request for a URL is answered with
+async function getStatus(url) {
+  const response = {
+    status: null,
+    writeHead(status) {
+      this.status = status;
+      return this;
+    },
+    end() {},
+  };
+  await serveStatic({ url }, response);
+  return response.status;
+}
+
+test("the page and its code are served", async () => {
+  assert.equal(await getStatus("/"), 200);
+  assert.equal(await getStatus("/index.html"), 200);
+  assert.equal(await getStatus("/src/engine/index.js"), 200);
+  assert.equal(await getStatus("/example-ascii.txt"), 200);
+  assert.equal(await getStatus("/src/engine/missing.js"), 404);
+});
+
+test("the rest of the repository is not", async () => {
+  assert.equal(await getStatus("/.git/config"), 403);
+  assert.equal(await getStatus("/package.json"), 403);
+  assert.equal(await getStatus("/node_modules/ws/package.json"), 403);
+  assert.equal(await getStatus("/src/../serve.js"), 403);
+  assert.equal(await getStatus("/%2e%2e/etc/passwd"), 403);
+});
+
+test("a malformed path is refused rather than thrown", async () => {
+  assert.equal(await getStatus("/%E0%A4%A"), 400);
+});
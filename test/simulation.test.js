@@ -0,0 +1,82 @@
+/**
+ * Headless simulation tests for Dungeon Terrain
+ *
+ * Plays whole games in Node, bots only, stepping the game loop directly
+ * (see stepGame) on a small dungeon so a match is over in about a second.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createDungeon,
+  LOOT_TABLE,
+  createGame,
+  spawnBots,
+  stepGame,
+  onGameEvent,
+  serializeGame,
+} from "../src/engine/index.js";
+
+// The engine logs every step
+console.log = () => {};
+
+const CONFIG = createDungeonConfig({
+  width: 40,
+  height: 40,
+  floors: ["caves", "arena"],
+});
+
+// Steps of TICK_MS after which a match has to be over; the safe zone
+// closes for good well before
+const MAX_STEPS = 20000;
+
+// Everything about a game that a save holds, but for when it was saved
+function getState(game) {
+  return JSON.stringify({ ...serializeGame(game), savedAt: null });
+}
+
+// A game full of bots from a seed, run for some steps or until it's over
+function playGame(seed, steps = MAX_STEPS) {
+  const game = createGame(seed, CONFIG);
+  spawnBots(game);
+  const winners = [];
+  onGameEvent(game, "gameover", ({ winner }) => winners.push(winner));
+  for (let i = 0; i < steps && !game.gameOver; i++) {
+    stepGame(game);
+  }
+  return { game, winners };
+}
+
+test("the same seed builds the same dungeon", () => {
+  const first = createDungeon("same", LOOT_TABLE, CONFIG);
+  const second = createDungeon("same", LOOT_TABLE, CONFIG);
+  assert.deepEqual(second.maps, first.maps);
+  assert.deepEqual(second.floorItems, first.floorItems);
+  assert.deepEqual(second.stairLinks, first.stairLinks);
+});
+
+test("the same seed plays the same game", () => {
+  const first = playGame("same", 1000);
+  const second = playGame("same", 1000);
+  assert.equal(getState(second.game), getState(first.game));
+});
+
+test("another seed plays another game", () => {
+  const first = playGame("same", 1000);
+  const other = playGame("other", 1000);
+  assert.notEqual(getState(other.game), getState(first.game));
+});
+
+test("a game runs until one being is left, the same way every time", () => {
+  const { game, winners } = playGame("winner");
+  assert.ok(game.gameOver, `No winner after ${MAX_STEPS} steps`);
+  const alive = game.beings.filter((being) => !being.isDead());
+  assert.equal(alive.length, 1);
+  assert.deepEqual(winners, [alive[0]]);
+  assert.equal(game.winner, alive[0]);
+
+  const again = playGame("winner");
+  assert.equal(again.game.time, game.time);
+  assert.equal(again.game.winner.name, game.winner.name);
+});
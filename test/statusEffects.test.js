@@ -0,0 +1,58 @@
+/**
+ * Status effect tests for Dungeon Terrain
+ *
+ * Damage over time ticking away at the last beings of a match.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createGame,
+  addBeing,
+  stepGame,
+  onGameEvent,
+  Player,
+  STATUS_TICK_MS,
+  TICK_MS,
+} from "../src/engine/index.js";
+
+// The engine logs every death
+console.log = () => {};
+
+// The last two beings of a match, both poisoned past saving
+function createLastTwo() {
+  const config = createDungeonConfig({
+    width: 40,
+    height: 40,
+    floors: ["arena"],
+  });
+  const game = createGame("poison", config);
+  game.maps[0].fill(".");
+  const first = addBeing(game, new Player(10, 10, "First"));
+  const second = addBeing(game, new Player(20, 20, "Second"));
+  for (const being of [first, second]) {
+    being.applyDebuff("health", -1000, 3);
+  }
+  return { game, first, second };
+}
+
+test("damage over time leaves the last being standing", () => {
+  const { game, first, second } = createLastTwo();
+  const winners = [];
+  onGameEvent(game, "gameover", ({ winner }) => winners.push(winner));
+  for (let i = 0; i < STATUS_TICK_MS / TICK_MS; i++) stepGame(game);
+
+  assert.ok(first.isDead());
+  assert.ok(!second.isDead());
+  assert.ok(game.gameOver);
+  assert.equal(game.winner, second);
+  assert.deepEqual(winners, [second]);
+});
+
+test("the survivor's damage over time still runs out", () => {
+  const { game, second } = createLastTwo();
+  for (let i = 0; i < (4 * STATUS_TICK_MS) / TICK_MS; i++) stepGame(game);
+  assert.ok(!second.isDead());
+  assert.deepEqual(second.debuffs, []);
+});
@@ -0,0 +1,57 @@
+/**
+ * Viewport tests for Dungeon Terrain
+ *
+ * The view has to fit the height it's given exactly, HUD included, since
+ * the terminal client cuts off whatever doesn't.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDungeonConfig,
+  createGame,
+  addBeing,
+  placeOnRandomDot,
+  Player,
+  findItemById,
+  HUD_HEIGHT,
+  getHUD,
+  getViewport,
+  getViewportCells,
+} from "../src/engine/index.js";
+
+// The engine logs the inventory as it renders it
+console.log = () => {};
+
+function createViewer() {
+  const config = createDungeonConfig({
+    width: 40,
+    height: 40,
+    floors: ["caves"],
+  });
+  const game = createGame("view", config);
+  const viewer = addBeing(game, new Player(0, 0));
+  placeOnRandomDot(game, viewer);
+  return { game, viewer };
+}
+
+test("the HUD is HUD_HEIGHT lines, inventory and bottom border included", () => {
+  const { game, viewer } = createViewer();
+  viewer.inventory.push({ ...findItemById("dagger_silver"), quantity: 1 });
+  const hud = getHUD(game, viewer, 80);
+  assert.equal(hud.length, HUD_HEIGHT);
+  assert.match(hud[HUD_HEIGHT - 2], /INVENTORY/);
+  assert.match(hud[HUD_HEIGHT - 1], /^\+-+\+$/);
+});
+
+test("map and HUD together fill the view's height", () => {
+  const { game, viewer } = createViewer();
+  for (const height of [HUD_HEIGHT + 5, 30, 60]) {
+    const cells = getViewportCells(game, viewer, 60, height);
+    assert.equal(cells.length, height - HUD_HEIGHT);
+    assert.equal(
+      getViewport(game, viewer, 60, height).split("\n").length,
+      height
+    );
+  }
+});